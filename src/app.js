@@ -0,0 +1,92 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const swaggerUi = require('swagger-ui-express');
+const swaggerSpec = require('./swagger');
+const { validateRequest } = require('./middleware/validate');
+const { authenticate } = require('./middleware/auth');
+const { stripeAccount } = require('./middleware/stripe-account');
+const { createStripeClients } = require('./services/stripe-client');
+const { createLedger } = require('./services/ledger');
+const { createStore } = require('./storage');
+const { createMailer } = require('./mail');
+const webhooks = require('./webhooks');
+const { requestContext } = require('./middleware/request-context');
+
+/**
+ * Build the API for a configuration from loadConfig(). The app gets its own
+ * store, ledger, mailer and Stripe clients, built from the config, and
+ * routes read them and the config from req.app.locals. store,
+ * stripeClientFactory and mailTransport replace the configured ones (e.g.
+ * in tests). Nothing is started here: logging, listening, the capture
+ * sweeper and shutdown are up to the caller (see index.js).
+ */
+function createApp(config, { store = createStore(config.storage), stripeClientFactory, mailTransport } = {}) {
+  const app = express();
+  app.locals.config = config;
+  app.locals.store = store;
+  app.locals.ledger = createLedger(store);
+  app.locals.mailer = createMailer(config.mail, mailTransport);
+  // Emulated events go to this app's webhook handlers
+  app.locals.stripeClients = createStripeClients(config.stripe, {
+    factory: stripeClientFactory,
+    dispatchEvent: (event) => webhooks.dispatchEvent(event, app.locals),
+  });
+  // Set by shutdown to stop new reader actions
+  app.locals.draining = false;
+
+  // Middleware
+  // Tag every log line, including Stripe calls, with the request's ID
+  app.use(requestContext());
+
+  // Configure CORS for network access. Authentication uses API key headers
+  // rather than cookies, so credentials are never needed cross-origin.
+  app.use(cors({
+    origin: config.corsOrigins
+  }));
+
+  // Configure security headers
+  app.use(helmet({
+    crossOriginResourcePolicy: { policy: "cross-origin" }
+  }));
+
+  // Stripe webhooks need the raw request body for signature verification,
+  // so they are mounted before the JSON body parser
+  app.use('/api/payments/webhook', require('./routes/webhook.routes'));
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // Swagger UI endpoint
+  app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.status(200).json({ status: 'ok' });
+  });
+
+  // Every API route needs an API key; webhooks are verified by signature instead
+  app.use('/api', authenticate({ apiKeys: config.apiKeys, disabled: config.authDisabled }));
+
+  // Pick the Stripe account (platform or connected) each request acts on
+  app.use('/api', stripeAccount({ tenants: config.tenants }));
+
+  // Check requests against the OpenAPI schemas before they reach the routes
+  app.use('/api', validateRequest());
+
+  // Routes
+  app.use('/api/payments', require('./routes/payment.routes'));
+  app.use('/api/payment-status', require('./routes/payment-status.routes'));
+  app.use('/api/readers', require('./routes/reader.routes'));
+  app.use('/api/locations', require('./routes/location.routes'));
+  app.use('/api/connection-token', require('./routes/connection-token.routes'));
+  app.use('/api/transactions', require('./routes/transaction.routes'));
+  app.use('/api/customers', require('./routes/customer.routes'));
+
+  // Error handling middleware
+  app.use(require('./middleware/error-handler'));
+
+  return app;
+}
+
+module.exports = { createApp };
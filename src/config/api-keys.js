@@ -0,0 +1,61 @@
+const fs = require('fs');
+const { ACCOUNT_ID_PATTERN } = require('./tenants');
+
+const ROLES = ['cashier', 'manager', 'admin'];
+
+/**
+ * API keys allowed to call the API, read from API_KEYS (a JSON array) or
+ * from the JSON file named by API_KEYS_FILE:
+ *
+ *   [{ "key": "...", "name": "Downtown tablet", "role": "cashier", "locations": ["tml_123"], "account": "acct_123" }]
+ *
+ * role is one of cashier, manager or admin, each including the ones before
+ * it. locations limits the key to readers at those Terminal locations;
+ * leave it out for access to every location. account binds the key to a
+ * connected Stripe account (e.g. one franchisee on a Connect platform).
+ */
+function loadApiKeys(env = process.env) {
+  let source;
+  if (env.API_KEYS_FILE) {
+    source = fs.readFileSync(env.API_KEYS_FILE, 'utf8');
+  } else if (env.API_KEYS) {
+    source = env.API_KEYS;
+  } else {
+    return [];
+  }
+
+  let keys;
+  try {
+    keys = JSON.parse(source);
+  } catch (error) {
+    throw new Error(`API keys are not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(keys)) {
+    throw new Error('API keys must be a JSON array');
+  }
+
+  return keys.map((entry, index) => {
+    if (!entry || typeof entry.key !== 'string' || entry.key.length < 16) {
+      throw new Error(`API key #${index + 1} needs a "key" of at least 16 characters`);
+    }
+    if (!ROLES.includes(entry.role)) {
+      throw new Error(`API key #${index + 1} has an unknown role; use one of ${ROLES.join(', ')}`);
+    }
+    if (entry.locations !== undefined && !Array.isArray(entry.locations)) {
+      throw new Error(`API key #${index + 1} "locations" must be an array of location IDs`);
+    }
+    if (entry.account !== undefined && !ACCOUNT_ID_PATTERN.test(entry.account)) {
+      throw new Error(`API key #${index + 1} "account" must be a Stripe account ID (acct_...)`);
+    }
+    return {
+      key: entry.key,
+      name: entry.name || `key-${index + 1}`,
+      role: entry.role,
+      locations: entry.locations && entry.locations.length ? entry.locations : null,
+      account: entry.account || null,
+    };
+  });
+}
+
+module.exports = { ROLES, loadApiKeys };
@@ -0,0 +1,248 @@
+const { loadApiKeys } = require('./api-keys');
+const { loadTenants } = require('./tenants');
+const { sweeperConfigFromEnv } = require('../services/capture-sweeper');
+const { DEFAULT_SQLITE_PATH } = require('../storage');
+const { DEFAULT_MAIL_DIR } = require('../mail');
+const { LEVELS } = require('../logging');
+
+const BACKENDS = ['stripe', 'emulator'];
+const STORAGE_DRIVERS = ['sqlite', 'memory'];
+const MAIL_TRANSPORTS = ['file', 'smtp'];
+const SECRET_KEY_PATTERN = /^(sk|rk)_(test|live)_/;
+const WEBHOOK_SECRET_PATTERN = /^whsec_/;
+
+function parseFlag(value, name, problems) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  if (value === 'true' || value === '1') {
+    return true;
+  }
+  if (value === 'false' || value === '0') {
+    return false;
+  }
+  problems.push(`${name} must be true or false`);
+  return undefined;
+}
+
+function parseInteger(value, name, { min, max }, problems) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    problems.push(`${name} must be a whole number from ${min} to ${max}`);
+    return undefined;
+  }
+  return number;
+}
+
+function parseCorsOrigins(value, problems) {
+  const origins = (value || '')
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+
+  origins.forEach((origin) => {
+    let parsed = null;
+    try {
+      parsed = new URL(origin);
+    } catch (error) {
+      // Reported below
+    }
+    if (!parsed || parsed.origin !== origin) {
+      problems.push(`CORS_ORIGINS entry "${origin}" must be an origin such as https://pos.example.com`);
+    }
+  });
+
+  // Allow all origins unless a list is configured
+  return origins.length ? origins : true;
+}
+
+// Run a loader that throws on bad input, recording its message instead
+function collect(load, problems, fallback) {
+  try {
+    return load();
+  } catch (error) {
+    problems.push(error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Read and check every setting the service needs at startup. All problems
+ * are reported together: the thrown error's message lists each one, and
+ * error.problems holds them as an array.
+ *
+ *   PORT, HOST                      where to listen (default 0.0.0.0:3000)
+ *   CORS_ORIGINS                    comma-separated allowed origins (all when unset)
+ *   STRIPE_BACKEND                  stripe (default) or emulator
+ *   STRIPE_SECRET_KEY               required unless STRIPE_BACKEND=emulator
+ *   STRIPE_WEBHOOK_SECRET           required unless STRIPE_BACKEND=emulator
+ *   STRIPE_CONNECT_WEBHOOK_SECRET   optional second signing secret for Connect events
+ *   EMULATOR_WEBHOOK_URL            where the emulator posts events
+ *   TEST_MODE                       allow simulated readers and payments (default:
+ *                                   on unless the secret key is a live key)
+ *   SIMULATE_PAYMENT_DELAY_MS       emulated reader processing time (default 2000)
+ *   DEFAULT_CURRENCY                currency when a request names none (default usd)
+ *   SHUTDOWN_TIMEOUT_SECONDS        how long shutdown waits for reader actions (default 30)
+ *   LOG_LEVEL                       debug, info (default), warn, error or silent
+ *   STORAGE_DRIVER                  sqlite (default) or memory
+ *   SQLITE_PATH                     ledger database file (default data/ledger.db)
+ *   MAIL_TRANSPORT                  file (default) or smtp
+ *   MAIL_FROM                       sender of receipt emails (default receipts@localhost)
+ *   MAIL_DIR                        where the file transport writes .eml files (default data/mail)
+ *   SMTP_HOST                       required for the smtp transport
+ *   SMTP_PORT, SMTP_SECURE          default 587 without TLS
+ *   SMTP_USER, SMTP_PASS            optional SMTP credentials
+ *   RECEIPT_MERCHANT_NAME           merchant name on receipts (default: the Stripe account's)
+ *
+ * API keys, tenants and the capture sweeper are read by their own loaders.
+ */
+function loadConfig(env = process.env) {
+  const problems = [];
+
+  const backend = env.STRIPE_BACKEND || 'stripe';
+  if (!BACKENDS.includes(backend)) {
+    problems.push(`STRIPE_BACKEND must be one of ${BACKENDS.join(', ')}`);
+  }
+  const emulated = backend === 'emulator';
+
+  const secretKey = env.STRIPE_SECRET_KEY || null;
+  if (!secretKey && !emulated) {
+    problems.push('STRIPE_SECRET_KEY is required (or set STRIPE_BACKEND=emulator to work offline)');
+  } else if (secretKey && !SECRET_KEY_PATTERN.test(secretKey)) {
+    problems.push('STRIPE_SECRET_KEY must be a Stripe secret or restricted key (sk_... or rk_...)');
+  }
+  const liveKey = Boolean(secretKey && secretKey.includes('_live_'));
+
+  const webhookSecret = env.STRIPE_WEBHOOK_SECRET || null;
+  const connectWebhookSecret = env.STRIPE_CONNECT_WEBHOOK_SECRET || null;
+  const emulatorWebhookUrl = env.EMULATOR_WEBHOOK_URL || null;
+  if (!webhookSecret && !emulated) {
+    problems.push('STRIPE_WEBHOOK_SECRET is required to verify webhook events');
+  } else if (!webhookSecret && emulatorWebhookUrl) {
+    problems.push('STRIPE_WEBHOOK_SECRET is required to sign events posted to EMULATOR_WEBHOOK_URL');
+  }
+  [
+    ['STRIPE_WEBHOOK_SECRET', webhookSecret],
+    ['STRIPE_CONNECT_WEBHOOK_SECRET', connectWebhookSecret],
+  ].forEach(([name, secret]) => {
+    if (secret && !WEBHOOK_SECRET_PATTERN.test(secret)) {
+      problems.push(`${name} must be a webhook signing secret (whsec_...)`);
+    }
+  });
+  if (emulatorWebhookUrl && !/^https?:\/\//.test(emulatorWebhookUrl)) {
+    problems.push('EMULATOR_WEBHOOK_URL must be an http(s) URL');
+  }
+
+  const testMode = parseFlag(env.TEST_MODE, 'TEST_MODE', problems);
+  if (testMode && liveKey) {
+    problems.push('TEST_MODE needs a test mode secret key, not a live one');
+  }
+  if (testMode === false && emulated) {
+    problems.push('STRIPE_BACKEND=emulator only runs in test mode; remove TEST_MODE=false');
+  }
+
+  const defaultCurrency = (env.DEFAULT_CURRENCY || 'usd').toLowerCase();
+  if (!/^[a-z]{3}$/.test(defaultCurrency)) {
+    problems.push('DEFAULT_CURRENCY must be a three-letter ISO currency code');
+  }
+
+  const authDisabled = parseFlag(env.AUTH_DISABLED, 'AUTH_DISABLED', problems) || false;
+  if (authDisabled && env.NODE_ENV === 'production') {
+    problems.push('AUTH_DISABLED cannot be used with NODE_ENV=production');
+  }
+
+  const simulatePaymentDelay = parseInteger(
+    env.SIMULATE_PAYMENT_DELAY_MS,
+    'SIMULATE_PAYMENT_DELAY_MS',
+    { min: 0, max: 60000 },
+    problems
+  );
+  const shutdownTimeout = parseInteger(
+    env.SHUTDOWN_TIMEOUT_SECONDS,
+    'SHUTDOWN_TIMEOUT_SECONDS',
+    { min: 0, max: 3600 },
+    problems
+  );
+
+  const logLevel = env.LOG_LEVEL || 'info';
+  if (!(logLevel in LEVELS)) {
+    problems.push(`LOG_LEVEL must be one of ${Object.keys(LEVELS).join(', ')}`);
+  }
+
+  const storageDriver = env.STORAGE_DRIVER || 'sqlite';
+  if (!STORAGE_DRIVERS.includes(storageDriver)) {
+    problems.push(`STORAGE_DRIVER must be one of ${STORAGE_DRIVERS.join(', ')}`);
+  }
+
+  const mailTransport = env.MAIL_TRANSPORT || 'file';
+  if (!MAIL_TRANSPORTS.includes(mailTransport)) {
+    problems.push(`MAIL_TRANSPORT must be one of ${MAIL_TRANSPORTS.join(', ')}`);
+  }
+  if (mailTransport === 'smtp' && !env.SMTP_HOST) {
+    problems.push('SMTP_HOST is required for MAIL_TRANSPORT=smtp');
+  }
+  const mailFrom = env.MAIL_FROM || 'receipts@localhost';
+  if (!/^[^\s@]+@[^\s@]+$/.test(mailFrom)) {
+    problems.push('MAIL_FROM must be an email address');
+  }
+
+  const config = {
+    env: env.NODE_ENV || 'development',
+    port: parseInteger(env.PORT, 'PORT', { min: 1, max: 65535 }, problems) || 3000,
+    host: env.HOST || '0.0.0.0',
+    corsOrigins: parseCorsOrigins(env.CORS_ORIGINS, problems),
+    authDisabled,
+    apiKeys: collect(() => loadApiKeys(env), problems, []),
+    tenants: collect(() => loadTenants(env), problems, new Map()),
+    stripe: {
+      backend,
+      secretKey,
+      webhookSecret,
+      connectWebhookSecret,
+      emulator: {
+        webhookUrl: emulatorWebhookUrl,
+        webhookSecret,
+        delayMs: simulatePaymentDelay ?? 2000,
+        defaultCurrency,
+      },
+    },
+    testMode: testMode === undefined ? !liveKey : testMode,
+    defaultCurrency,
+    sweeper: collect(() => sweeperConfigFromEnv(env), problems, {}),
+    shutdownTimeoutMs: (shutdownTimeout ?? 30) * 1000,
+    logLevel,
+    storage: {
+      driver: storageDriver,
+      filename: env.SQLITE_PATH || DEFAULT_SQLITE_PATH,
+    },
+    mail: {
+      transport: mailTransport,
+      from: mailFrom,
+      directory: env.MAIL_DIR || DEFAULT_MAIL_DIR,
+      smtp: {
+        host: env.SMTP_HOST || null,
+        port: parseInteger(env.SMTP_PORT, 'SMTP_PORT', { min: 1, max: 65535 }, problems) || 587,
+        secure: parseFlag(env.SMTP_SECURE, 'SMTP_SECURE', problems) || false,
+        user: env.SMTP_USER || null,
+        pass: env.SMTP_PASS || null,
+      },
+    },
+    receipts: {
+      merchantName: env.RECEIPT_MERCHANT_NAME || null,
+    },
+  };
+
+  if (problems.length) {
+    const error = new Error(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    error.code = 'invalid_config';
+    error.problems = problems;
+    throw error;
+  }
+
+  return config;
+}
+
+module.exports = { loadConfig };
@@ -1,25 +1,52 @@
 const simulatedReaderConfig = {
-  // Test card numbers for simulated payments
-  testCards: {
-    visa: '4242424242424242',
-    mastercard: '5555555555554444',
-    amex: '378282246310005',
-    discover: '6011111111111117'
+  // Named scenarios for simulate-payment, each a card presented to the
+  // reader (Stripe's card_present test numbers)
+  testScenarios: {
+    approved: { type: 'card_present', number: '4242424242424242' },
+    visa: { type: 'card_present', number: '4242424242424242' },
+    mastercard: { type: 'card_present', number: '5555555555554444' },
+    amex: { type: 'card_present', number: '378282246310005' },
+    discover: { type: 'card_present', number: '6011111111111117' },
+    interac: { type: 'interac_present', number: '4506445006931933' },
+    offline_pin: { type: 'card_present', number: '4001007020000002' },
+    online_pin: { type: 'card_present', number: '4001000360000005' },
+    declined: { type: 'card_present', number: '4000000000000002' },
+    insufficient_funds: { type: 'card_present', number: '4000000000009995' },
+    lost_card: { type: 'card_present', number: '4000000000009987' },
+    stolen_card: { type: 'card_present', number: '4000000000009979' },
+    expired_card: { type: 'card_present', number: '4000000000000069' },
+    processing_error: { type: 'card_present', number: '4000000000000119' }
   },
-  
+
+  // Payments whose amount ends in these two digits are declined with the
+  // given code, whatever card is presented
+  testAmountDeclines: {
+    '01': 'call_issuer',
+    '05': 'generic_decline',
+    '55': 'incorrect_pin',
+    '65': 'withdrawal_count_limit_exceeded',
+    '75': 'pin_try_exceeded'
+  },
+
   // Default simulated reader settings
   defaultReader: {
-    registration_code: 'simulated-code',
-    label: 'Test Reader',
-    location: "london" // Optional location ID
+    registration_code: 'simulated-wpe',
+    label: 'Simulated Reader'
   },
 
-  // Test mode configuration
-  testMode: {
-    isEnabled: true,
-    simulatePaymentDelay: 2000, // ms to simulate payment processing
-    defaultCurrency: 'usd'
+  // Terminal location created on demand for simulated readers registered
+  // without a location (Stripe requires a real tml_ location ID)
+  testLocation: {
+    display_name: 'Simulated Test Location',
+    address: {
+      line1: '510 Townsend St',
+      city: 'San Francisco',
+      state: 'CA',
+      postal_code: '94103',
+      country: 'US'
+    },
+    metadata: { simulated: 'true' }
   }
 };
 
-module.exports = simulatedReaderConfig;
\ No newline at end of file
+module.exports = simulatedReaderConfig;
@@ -0,0 +1,35 @@
+const ACCOUNT_ID_PATTERN = /^acct_[A-Za-z0-9]+$/;
+
+/**
+ * Map of tenant IDs to connected Stripe account IDs, read from
+ * STRIPE_TENANTS as a JSON object. Returned as a Map so tenant IDs taken from
+ * request headers never resolve to Object.prototype members:
+ *
+ *   { "downtown-cafe": "acct_123", "harbour-bar": "acct_456" }
+ */
+function loadTenants(env = process.env) {
+  if (!env.STRIPE_TENANTS) {
+    return new Map();
+  }
+
+  let tenants;
+  try {
+    tenants = JSON.parse(env.STRIPE_TENANTS);
+  } catch (error) {
+    throw new Error(`STRIPE_TENANTS is not valid JSON: ${error.message}`);
+  }
+
+  if (!tenants || typeof tenants !== 'object' || Array.isArray(tenants)) {
+    throw new Error('STRIPE_TENANTS must be a JSON object of tenant IDs to account IDs');
+  }
+
+  Object.entries(tenants).forEach(([tenant, account]) => {
+    if (!ACCOUNT_ID_PATTERN.test(account)) {
+      throw new Error(`STRIPE_TENANTS entry "${tenant}" must map to a Stripe account ID (acct_...)`);
+    }
+  });
+
+  return new Map(Object.entries(tenants));
+}
+
+module.exports = { ACCOUNT_ID_PATTERN, loadTenants };
@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+const simulatedReaderConfig = require("../config/simulated-reader");
+
+// Stripe's test numbers for simulated card_present readers that decline
+const DECLINES = {
+  "4000000000000002": { code: "card_declined", decline_code: "generic_decline", message: "Your card was declined." },
+  "4000000000009995": { code: "card_declined", decline_code: "insufficient_funds", message: "Your card has insufficient funds." },
+  "4000000000009987": { code: "card_declined", decline_code: "lost_card", message: "Your card was declined." },
+  "4000000000009979": { code: "card_declined", decline_code: "stolen_card", message: "Your card was declined." },
+  "4000000000000069": { code: "expired_card", decline_code: "expired_card", message: "Your card has expired." },
+  "4000000000000119": { code: "processing_error", decline_code: "processing_error", message: "An error occurred while processing your card. Try again in a little bit." },
+};
+
+// Test cards that ask for a PIN, and how the PIN is verified
+const PIN_CARDS = {
+  "4001007020000002": "offline_pin",
+  "4001000360000005": "online_pin",
+};
+
+const DEFAULT_NUMBERS = {
+  card_present: "4242424242424242",
+  interac_present: "4506445006931933",
+};
+
+// EMV application IDs and names printed on receipts
+const APPLICATIONS = {
+  visa: { aid: "A0000000031010", name: "Visa Credit" },
+  mastercard: { aid: "A0000000041010", name: "Mastercard" },
+  amex: { aid: "A00000002501", name: "American Express" },
+  discover: { aid: "A0000001523010", name: "Discover" },
+  jcb: { aid: "A0000000651010", name: "JCB" },
+  interac: { aid: "A0000002771010", name: "Interac" },
+};
+
+function brandFor(number, type) {
+  if (type === "interac_present") {
+    return "interac";
+  }
+  if (/^4/.test(number)) {
+    return "visa";
+  }
+  if (/^(5[1-5]|2[2-7])/.test(number)) {
+    return "mastercard";
+  }
+  if (/^3[47]/.test(number)) {
+    return "amex";
+  }
+  if (/^(6011|65)/.test(number)) {
+    return "discover";
+  }
+  if (/^35/.test(number)) {
+    return "jcb";
+  }
+  return "unknown";
+}
+
+/**
+ * The card a presentPaymentMethod call simulates, from Stripe's parameters:
+ * type (card_present or interac_present) and card_present.number or
+ * interac_present.number. The emulator also reads an optional read_method
+ * next to the number (contactless_emv by default).
+ */
+function presentedCard(params = {}) {
+  const type = params.type || "card_present";
+  const details = params[type] || {};
+  const number = String(details.number || DEFAULT_NUMBERS[type] || DEFAULT_NUMBERS.card_present);
+  const brand = brandFor(number, type);
+
+  return {
+    type,
+    number,
+    brand,
+    last4: number.slice(-4),
+    read_method: details.read_method || "contactless_emv",
+    verification: PIN_CARDS[number] || "none",
+    decline: DECLINES[number] || null,
+  };
+}
+
+// Decline for payments of a test amount (see testAmountDeclines)
+function amountDecline(amount) {
+  const declineCode = simulatedReaderConfig.testAmountDeclines[String(amount % 100).padStart(2, "0")];
+  if (!declineCode) {
+    return null;
+  }
+  return { code: "card_declined", decline_code: declineCode, message: "Your card was declined." };
+}
+
+function digits(length) {
+  return Array.from(crypto.randomBytes(length), (byte) => byte % 10).join("");
+}
+
+// payment_method_details of a charge taken with the card
+function paymentMethodDetails(card, { amountAuthorized, incrementalAuthorization, captureBefore }) {
+  const application = APPLICATIONS[card.brand] || { aid: null, name: null };
+
+  return {
+    type: card.type,
+    [card.type]: {
+      brand: card.brand,
+      last4: card.last4,
+      exp_month: 12,
+      exp_year: new Date().getFullYear() + 3,
+      funding: "credit",
+      country: card.type === "interac_present" ? "CA" : "US",
+      network: card.brand,
+      read_method: card.read_method,
+      amount_authorized: amountAuthorized,
+      capture_before: captureBefore,
+      incremental_authorization_supported: Boolean(incrementalAuthorization),
+      overcapture_supported: false,
+      generated_card: null,
+      receipt: {
+        account_type: "credit",
+        application_preferred_name: application.name,
+        dedicated_file_name: application.aid,
+        authorization_code: digits(6),
+        authorization_response_code: "3030",
+        cardholder_verification_method: card.verification,
+        application_cryptogram: crypto.randomBytes(8).toString("hex").toUpperCase(),
+        terminal_verification_results: "0000000000",
+        transaction_status_information: "0000",
+      },
+    },
+  };
+}
+
+module.exports = { DECLINES, presentedCard, amountDecline, paymentMethodDetails };
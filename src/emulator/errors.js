@@ -0,0 +1,38 @@
+const { errors } = require("stripe");
+
+// Errors shaped like the ones stripe-node raises for API responses, so the
+// routes and the error handler treat emulated failures like real ones
+
+function invalidRequest(message, { code, param, statusCode = 400 } = {}) {
+  return new errors.StripeInvalidRequestError({
+    type: "invalid_request_error",
+    message,
+    code,
+    param,
+    statusCode,
+  });
+}
+
+function resourceMissing(kind, id, param = "id") {
+  return invalidRequest(`No such ${kind}: '${id}'`, { code: "resource_missing", param, statusCode: 404 });
+}
+
+function cardDeclined(message, { code = "card_declined", decline_code } = {}) {
+  return new errors.StripeCardError({
+    type: "card_error",
+    message,
+    code,
+    decline_code,
+    statusCode: 402,
+  });
+}
+
+function idempotencyMismatch() {
+  return new errors.StripeIdempotencyError({
+    type: "idempotency_error",
+    message: "Keys for idempotent requests can only be used for the same endpoint they were first used for.",
+    statusCode: 400,
+  });
+}
+
+module.exports = { invalidRequest, resourceMissing, cardDeclined, idempotencyMismatch };
@@ -0,0 +1,896 @@
+const simulatedReaderConfig = require("../config/simulated-reader");
+const cards = require("./cards");
+const { invalidRequest, resourceMissing, idempotencyMismatch } = require("./errors");
+const { newId, nowSeconds, clone, mergeMetadata, listPage } = require("./objects");
+const { logger, runWithLogContext } = require("../logging");
+
+const API_VERSION = "2023-10-16";
+
+// Stripe forgets idempotency keys after a day; the emulator also forgets
+// the oldest keys once an account has more than MAX_IDEMPOTENCY_KEYS
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_IDEMPOTENCY_KEYS = 1000;
+
+// Card authorizations taken in person stay capturable for two days
+const CAPTURE_WINDOW_SECONDS = 2 * 24 * 60 * 60;
+
+const CANCELABLE_STATUSES = [
+  "requires_payment_method",
+  "requires_confirmation",
+  "requires_action",
+  "requires_capture",
+  "processing",
+];
+
+const PRESENT_TYPES = ["card_present", "interac_present"];
+
+const PAYMENT_CURRENCIES = [
+  "aud", "cad", "chf", "czk", "dkk", "eur", "gbp", "hkd",
+  "jpy", "myr", "nok", "nzd", "sek", "sgd", "usd",
+];
+
+// Values the simulated customer "enters" for each collect_inputs input type
+const INPUT_VALUES = {
+  email: "customer@example.com",
+  numeric: "1234",
+  phone: "+15555550100",
+  signature: "file_emulated_signature",
+  text: "Emulated input",
+};
+
+/**
+ * Fresh, empty state for one Stripe account.
+ */
+function createAccountState() {
+  return {
+    readers: new Map(),
+    locations: new Map(),
+    configurations: new Map(),
+    paymentIntents: new Map(),
+    charges: new Map(),
+    refunds: new Map(),
+    setupIntents: new Map(),
+    setupAttempts: new Map(),
+    customers: new Map(),
+    paymentMethods: new Map(),
+    // Results by idempotency key, oldest first
+    idempotency: new Map(),
+    // Pending reader timers, by reader ID
+    timers: new Map(),
+  };
+}
+
+function find(map, kind, id, param) {
+  if (!id || !map.has(id)) {
+    throw resourceMissing(kind, id, param);
+  }
+  return map.get(id);
+}
+
+function definedParams(params = {}) {
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined));
+}
+
+function expanded(params) {
+  return (params && params.expand) || [];
+}
+
+/**
+ * A stand-in for a stripe-node client acting on one account, backed by
+ * in-memory state. Implements the API calls this service makes, with the
+ * same state transitions Stripe applies to simulated readers. Reader actions
+ * complete after delayMs; emit(type, object) is called for every event
+ * Stripe would send a webhook for. The account's default currency is
+ * defaultCurrency.
+ */
+function createFakeStripe({ account, state, delayMs, defaultCurrency = "usd", emit }) {
+  const accountId = account || "acct_emulator";
+
+  // Drop expired keys, then the oldest ones over the limit
+  function pruneIdempotencyKeys() {
+    const expiredBefore = Date.now() - IDEMPOTENCY_TTL_MS;
+    for (const [key, entry] of state.idempotency) {
+      if (entry.created >= expiredBefore && state.idempotency.size <= MAX_IDEMPOTENCY_KEYS) {
+        break;
+      }
+      state.idempotency.delete(key);
+    }
+  }
+
+  // Replay results for repeated idempotency keys, like Stripe does
+  function idempotent(endpoint, method) {
+    return async (...args) => {
+      const options = args[args.length - 1];
+      const key = options && typeof options === "object" && options.idempotencyKey;
+      if (!key) {
+        return method(...args);
+      }
+      pruneIdempotencyKeys();
+      if (!state.idempotency.has(key)) {
+        state.idempotency.set(key, {
+          endpoint,
+          created: Date.now(),
+          result: Promise.resolve().then(() => method(...args)),
+        });
+      }
+      const entry = state.idempotency.get(key);
+      if (entry.endpoint !== endpoint) {
+        throw idempotencyMismatch();
+      }
+      return clone(await entry.result);
+    };
+  }
+
+  // The simulated customer acts after the request that started the action
+  // has finished, so the task gets a log context of its own
+  function schedule(readerId, task) {
+    clearTimeout(state.timers.get(readerId));
+    const timer = setTimeout(() => runWithLogContext({ reader_id: readerId }, () => {
+      state.timers.delete(readerId);
+      try {
+        task();
+      } catch (error) {
+        logger.error("Emulated reader action failed", { error });
+      }
+    }), delayMs);
+    // Don't keep the process alive for a simulated customer
+    timer.unref();
+    state.timers.set(readerId, timer);
+  }
+
+  function assertReaderIdle(reader) {
+    if (reader.action && reader.action.status === "in_progress") {
+      throw invalidRequest("Reader is currently busy processing another request.", {
+        code: "terminal_reader_busy",
+      });
+    }
+  }
+
+  function startAction(reader, type, details) {
+    reader.action = {
+      type,
+      status: "in_progress",
+      failure_code: null,
+      failure_message: null,
+      [type]: details,
+    };
+    return clone(reader);
+  }
+
+  function finishAction(reader, failure) {
+    reader.action.status = failure ? "failed" : "succeeded";
+    if (failure) {
+      reader.action.failure_code = failure.code;
+      reader.action.failure_message = failure.message;
+    }
+    emit(failure ? "terminal.reader.action_failed" : "terminal.reader.action_succeeded", reader);
+  }
+
+  function readerProcessingPayment(paymentIntentId) {
+    return [...state.readers.values()].find(
+      (reader) =>
+        reader.action &&
+        reader.action.status === "in_progress" &&
+        reader.action.type === "process_payment_intent" &&
+        reader.action.process_payment_intent.payment_intent === paymentIntentId
+    );
+  }
+
+  function withLatestCharge(paymentIntent, params) {
+    const copy = clone(paymentIntent);
+    if (expanded(params).includes("latest_charge") && copy.latest_charge) {
+      copy.latest_charge = clone(state.charges.get(copy.latest_charge));
+    }
+    return copy;
+  }
+
+  function createGeneratedCard(card, customer) {
+    const paymentMethod = {
+      id: newId("pm"),
+      object: "payment_method",
+      type: "card",
+      card: {
+        brand: card.brand,
+        last4: card.last4,
+        exp_month: 12,
+        exp_year: new Date().getFullYear() + 3,
+        funding: "credit",
+        country: "US",
+        generated_from: { charge: null, setup_attempt: null },
+      },
+      customer,
+      created: nowSeconds(),
+      livemode: false,
+      metadata: {},
+    };
+    state.paymentMethods.set(paymentMethod.id, paymentMethod);
+    return paymentMethod;
+  }
+
+  // ---- Payment intents ---------------------------------------------------
+
+  function unexpectedState(paymentIntent, action, allowed) {
+    return invalidRequest(
+      `This PaymentIntent could not be ${action} because it has a status of ${paymentIntent.status}. ` +
+        `Only a PaymentIntent with one of the following statuses may be ${action}: ${allowed.join(", ")}.`,
+      { code: "payment_intent_unexpected_state" }
+    );
+  }
+
+  function settlePayment(reader, paymentIntent, card, amountTip) {
+    const decline = card.decline || cards.amountDecline(paymentIntent.amount);
+    if (decline) {
+      paymentIntent.status = "requires_payment_method";
+      paymentIntent.last_payment_error = {
+        type: "card_error",
+        code: decline.code,
+        decline_code: decline.decline_code,
+        message: decline.message,
+      };
+      emit("payment_intent.payment_failed", paymentIntent);
+      finishAction(reader, { code: decline.code, message: decline.message });
+      return;
+    }
+
+    if (amountTip) {
+      paymentIntent.amount += amountTip;
+      paymentIntent.amount_details = { tip: { amount: amountTip } };
+    }
+
+    // Interac payments are captured as soon as they are authorized
+    const manual = paymentIntent.capture_method !== "automatic" && card.type !== "interac_present";
+    const created = nowSeconds();
+    const charge = {
+      id: newId("ch"),
+      object: "charge",
+      amount: paymentIntent.amount,
+      amount_captured: manual ? 0 : paymentIntent.amount,
+      amount_refunded: 0,
+      captured: !manual,
+      refunded: false,
+      created,
+      currency: paymentIntent.currency,
+      customer: paymentIntent.customer,
+      description: paymentIntent.description,
+      metadata: clone(paymentIntent.metadata),
+      payment_intent: paymentIntent.id,
+      payment_method: newId("pm"),
+      payment_method_details: cards.paymentMethodDetails(card, {
+        amountAuthorized: paymentIntent.amount,
+        incrementalAuthorization: (paymentIntent.payment_method_options.card_present || {})
+          .request_incremental_authorization_support,
+        captureBefore: created + CAPTURE_WINDOW_SECONDS,
+      }),
+      application_fee_amount: paymentIntent.application_fee_amount,
+      on_behalf_of: paymentIntent.on_behalf_of,
+      transfer_data: paymentIntent.transfer_data,
+      receipt_email: paymentIntent.receipt_email,
+      receipt_number: `${created % 10000}-${Math.floor(Math.random() * 9000) + 1000}`,
+      status: "succeeded",
+      paid: true,
+      livemode: false,
+    };
+
+    if (paymentIntent.setup_future_usage && paymentIntent.customer) {
+      const generated = createGeneratedCard(card, paymentIntent.customer);
+      generated.card.generated_from.charge = charge.id;
+      charge.payment_method_details[card.type].generated_card = generated.id;
+    }
+
+    state.charges.set(charge.id, charge);
+    paymentIntent.latest_charge = charge.id;
+    paymentIntent.payment_method = charge.payment_method;
+    paymentIntent.last_payment_error = null;
+
+    if (manual) {
+      paymentIntent.status = "requires_capture";
+      paymentIntent.amount_capturable = paymentIntent.amount;
+      emit("payment_intent.amount_capturable_updated", paymentIntent);
+    } else {
+      paymentIntent.status = "succeeded";
+      paymentIntent.amount_received = paymentIntent.amount;
+      emit("payment_intent.succeeded", paymentIntent);
+    }
+    finishAction(reader, null);
+  }
+
+  const paymentIntents = {
+    create: idempotent("payment_intents.create", async (params = {}) => {
+      if (!Number.isInteger(params.amount) || params.amount < 1) {
+        throw invalidRequest("Amount must be at least 1", { code: "parameter_invalid_integer", param: "amount" });
+      }
+      if (!params.currency) {
+        throw invalidRequest("Missing required param: currency.", { code: "parameter_missing", param: "currency" });
+      }
+      if (params.customer) {
+        find(state.customers, "customer", params.customer, "customer");
+      }
+      const paymentIntent = {
+        id: newId("pi"),
+        object: "payment_intent",
+        amount: params.amount,
+        amount_capturable: 0,
+        amount_received: 0,
+        amount_details: { tip: {} },
+        application_fee_amount: params.application_fee_amount || null,
+        canceled_at: null,
+        cancellation_reason: null,
+        capture_method: params.capture_method || "automatic",
+        created: nowSeconds(),
+        currency: String(params.currency).toLowerCase(),
+        customer: params.customer || null,
+        description: params.description || null,
+        last_payment_error: null,
+        latest_charge: null,
+        livemode: false,
+        metadata: mergeMetadata({}, params.metadata),
+        on_behalf_of: params.on_behalf_of || null,
+        payment_method: null,
+        payment_method_options: clone(params.payment_method_options || {}),
+        payment_method_types: params.payment_method_types || ["card_present"],
+        receipt_email: params.receipt_email || null,
+        setup_future_usage: params.setup_future_usage || null,
+        status: "requires_payment_method",
+        transfer_data: params.transfer_data || null,
+      };
+      state.paymentIntents.set(paymentIntent.id, paymentIntent);
+      emit("payment_intent.created", paymentIntent);
+      return clone(paymentIntent);
+    }),
+
+    retrieve: async (id, params) => {
+      return withLatestCharge(find(state.paymentIntents, "payment_intent", id), params);
+    },
+
+    capture: idempotent("payment_intents.capture", async (id, params = {}) => {
+      const paymentIntent = find(state.paymentIntents, "payment_intent", id);
+      if (paymentIntent.status !== "requires_capture") {
+        throw unexpectedState(paymentIntent, "captured", ["requires_capture"]);
+      }
+      const amount = params.amount_to_capture === undefined ? paymentIntent.amount_capturable : params.amount_to_capture;
+      if (amount > paymentIntent.amount_capturable) {
+        throw invalidRequest("The amount to capture exceeds the amount capturable on this PaymentIntent.", {
+          code: "amount_too_large",
+          param: "amount_to_capture",
+        });
+      }
+
+      const charge = state.charges.get(paymentIntent.latest_charge);
+      charge.captured = true;
+      charge.amount_captured = amount;
+      paymentIntent.amount_received = amount;
+      paymentIntent.amount_capturable = 0;
+      paymentIntent.status = "succeeded";
+      emit("payment_intent.succeeded", paymentIntent);
+      emit("charge.captured", charge);
+      return withLatestCharge(paymentIntent, params);
+    }),
+
+    cancel: idempotent("payment_intents.cancel", async (id, params = {}) => {
+      const paymentIntent = find(state.paymentIntents, "payment_intent", id);
+      if (!CANCELABLE_STATUSES.includes(paymentIntent.status)) {
+        throw invalidRequest(
+          `You cannot cancel this PaymentIntent because it has a status of ${paymentIntent.status}. ` +
+            `Only a PaymentIntent with one of the following statuses may be canceled: ${CANCELABLE_STATUSES.join(", ")}.`,
+          { code: "payment_intent_unexpected_state" }
+        );
+      }
+
+      const reader = readerProcessingPayment(id);
+      if (reader) {
+        clearTimeout(state.timers.get(reader.id));
+        state.timers.delete(reader.id);
+        reader.action = null;
+      }
+
+      paymentIntent.status = "canceled";
+      paymentIntent.amount_capturable = 0;
+      paymentIntent.canceled_at = nowSeconds();
+      paymentIntent.cancellation_reason = params.cancellation_reason || null;
+      emit("payment_intent.canceled", paymentIntent);
+      return clone(paymentIntent);
+    }),
+
+    incrementAuthorization: idempotent("payment_intents.increment_authorization", async (id, params = {}) => {
+      const paymentIntent = find(state.paymentIntents, "payment_intent", id);
+      if (paymentIntent.status !== "requires_capture") {
+        throw unexpectedState(paymentIntent, "incremented", ["requires_capture"]);
+      }
+      const charge = state.charges.get(paymentIntent.latest_charge);
+      const details = charge.payment_method_details[charge.payment_method_details.type];
+      if (!details.incremental_authorization_supported) {
+        throw invalidRequest("This PaymentIntent does not support incremental authorizations.", {
+          code: "incremental_authorization_not_supported",
+        });
+      }
+      if (!Number.isInteger(params.amount) || params.amount <= paymentIntent.amount) {
+        throw invalidRequest("The amount must be greater than the PaymentIntent's current amount.", {
+          param: "amount",
+        });
+      }
+
+      paymentIntent.amount = params.amount;
+      paymentIntent.amount_capturable = params.amount;
+      charge.amount = params.amount;
+      details.amount_authorized = params.amount;
+      emit("payment_intent.amount_capturable_updated", paymentIntent);
+      return clone(paymentIntent);
+    }),
+  };
+
+  // ---- Refunds -----------------------------------------------------------
+
+  const refunds = {
+    create: idempotent("refunds.create", async (params = {}) => {
+      let paymentIntent;
+      if (params.payment_intent) {
+        paymentIntent = find(state.paymentIntents, "payment_intent", params.payment_intent, "payment_intent");
+      } else {
+        const charge = find(state.charges, "charge", params.charge, "charge");
+        paymentIntent = state.paymentIntents.get(charge.payment_intent);
+      }
+      if (paymentIntent.status !== "succeeded") {
+        throw invalidRequest(
+          `This PaymentIntent does not have a successful charge to refund.`,
+          { code: "charge_not_refundable", param: "payment_intent" }
+        );
+      }
+
+      const charge = state.charges.get(paymentIntent.latest_charge);
+      const remaining = charge.amount_captured - charge.amount_refunded;
+      if (remaining <= 0) {
+        throw invalidRequest(`Charge ${charge.id} has already been refunded.`, { code: "charge_already_refunded" });
+      }
+      const amount = params.amount === undefined ? remaining : params.amount;
+      if (amount > remaining) {
+        throw invalidRequest(
+          `Refund amount (${amount}) is greater than unrefunded amount on charge (${remaining})`,
+          { code: "amount_too_large", param: "amount" }
+        );
+      }
+
+      const refund = {
+        id: newId("re"),
+        object: "refund",
+        amount,
+        charge: charge.id,
+        created: nowSeconds(),
+        currency: charge.currency,
+        metadata: mergeMetadata({}, params.metadata),
+        payment_intent: paymentIntent.id,
+        reason: params.reason || null,
+        status: "succeeded",
+      };
+      state.refunds.set(refund.id, refund);
+      charge.amount_refunded += amount;
+      charge.refunded = charge.amount_refunded === charge.amount_captured;
+      emit("charge.refunded", charge);
+      return expanded(params).includes("charge") ? { ...clone(refund), charge: clone(charge) } : clone(refund);
+    }),
+
+    list: (params = {}) => {
+      const matching = [...state.refunds.values()].filter(
+        (refund) =>
+          (!params.payment_intent || refund.payment_intent === params.payment_intent) &&
+          (!params.charge || refund.charge === params.charge)
+      );
+      return listPage(matching, "/v1/refunds", definedParams(params));
+    },
+  };
+
+  // ---- Customers and setup intents ---------------------------------------
+
+  const customers = {
+    create: idempotent("customers.create", async (params = {}) => {
+      const customer = {
+        id: newId("cus"),
+        object: "customer",
+        created: nowSeconds(),
+        description: params.description || null,
+        email: params.email || null,
+        livemode: false,
+        metadata: mergeMetadata({}, params.metadata),
+        name: params.name || null,
+        phone: params.phone || null,
+      };
+      state.customers.set(customer.id, customer);
+      return clone(customer);
+    }),
+
+    retrieve: async (id) => clone(find(state.customers, "customer", id)),
+
+    listPaymentMethods: (id, params = {}) => {
+      find(state.customers, "customer", id);
+      const matching = [...state.paymentMethods.values()].filter(
+        (paymentMethod) => paymentMethod.customer === id && (!params.type || paymentMethod.type === params.type)
+      );
+      return listPage(matching, `/v1/customers/${id}/payment_methods`, definedParams(params));
+    },
+  };
+
+  function settleSetup(reader, setupIntent, card) {
+    const attempt = {
+      id: newId("setatt"),
+      object: "setup_attempt",
+      created: nowSeconds(),
+      customer: setupIntent.customer,
+      setup_intent: setupIntent.id,
+      status: card.decline ? "failed" : "succeeded",
+      payment_method_details: { type: card.type, [card.type]: { generated_card: null } },
+    };
+    state.setupAttempts.set(attempt.id, attempt);
+    setupIntent.latest_attempt = attempt.id;
+
+    if (card.decline) {
+      setupIntent.last_setup_error = {
+        type: "card_error",
+        code: card.decline.code,
+        decline_code: card.decline.decline_code,
+        message: card.decline.message,
+      };
+      emit("setup_intent.setup_failed", setupIntent);
+      finishAction(reader, { code: card.decline.code, message: card.decline.message });
+      return;
+    }
+
+    const generated = createGeneratedCard(card, setupIntent.customer);
+    generated.card.generated_from.setup_attempt = attempt.id;
+    attempt.payment_method_details[card.type].generated_card = generated.id;
+    setupIntent.payment_method = generated.id;
+    setupIntent.last_setup_error = null;
+    setupIntent.status = "succeeded";
+    reader.action.process_setup_intent.generated_card = generated.id;
+    emit("setup_intent.succeeded", setupIntent);
+    finishAction(reader, null);
+  }
+
+  const setupIntents = {
+    create: idempotent("setup_intents.create", async (params = {}) => {
+      if (params.customer) {
+        find(state.customers, "customer", params.customer, "customer");
+      }
+      const setupIntent = {
+        id: newId("seti"),
+        object: "setup_intent",
+        created: nowSeconds(),
+        customer: params.customer || null,
+        last_setup_error: null,
+        latest_attempt: null,
+        livemode: false,
+        metadata: mergeMetadata({}, params.metadata),
+        payment_method: null,
+        payment_method_types: params.payment_method_types || ["card_present"],
+        status: "requires_payment_method",
+        usage: params.usage || "off_session",
+      };
+      state.setupIntents.set(setupIntent.id, setupIntent);
+      return clone(setupIntent);
+    }),
+
+    retrieve: async (id, params) => {
+      const setupIntent = clone(find(state.setupIntents, "setup_intent", id));
+      if (expanded(params).includes("latest_attempt") && setupIntent.latest_attempt) {
+        setupIntent.latest_attempt = clone(state.setupAttempts.get(setupIntent.latest_attempt));
+      }
+      return setupIntent;
+    },
+  };
+
+  // ---- Terminal ----------------------------------------------------------
+
+  const locations = {
+    create: idempotent("terminal.locations.create", async (params = {}) => {
+      if (!params.display_name) {
+        throw invalidRequest("Missing required param: display_name.", { code: "parameter_missing", param: "display_name" });
+      }
+      if (!params.address || !params.address.country) {
+        throw invalidRequest("Missing required param: address[country].", { code: "parameter_missing", param: "address[country]" });
+      }
+      const location = {
+        id: newId("tml"),
+        object: "terminal.location",
+        address: clone(params.address),
+        configuration_overrides: params.configuration_overrides || null,
+        display_name: params.display_name,
+        livemode: false,
+        metadata: mergeMetadata({}, params.metadata),
+      };
+      state.locations.set(location.id, location);
+      return clone(location);
+    }),
+
+    retrieve: async (id) => clone(find(state.locations, "terminal.location", id)),
+
+    update: async (id, params = {}) => {
+      const location = find(state.locations, "terminal.location", id);
+      ["display_name", "configuration_overrides"].forEach((field) => {
+        if (params[field] !== undefined) {
+          location[field] = params[field];
+        }
+      });
+      if (params.address) {
+        location.address = { ...location.address, ...params.address };
+      }
+      if (params.metadata) {
+        location.metadata = mergeMetadata(location.metadata, params.metadata);
+      }
+      return clone(location);
+    },
+
+    del: async (id) => {
+      find(state.locations, "terminal.location", id);
+      state.locations.delete(id);
+      return { id, object: "terminal.location", deleted: true };
+    },
+
+    list: (params = {}) => listPage([...state.locations.values()], "/v1/terminal/locations", definedParams(params)),
+  };
+
+  const configurations = {
+    create: async (params = {}) => {
+      const configuration = {
+        id: newId("tmc"),
+        object: "terminal.configuration",
+        is_account_default: false,
+        livemode: false,
+        tipping: clone(params.tipping || {}),
+      };
+      state.configurations.set(configuration.id, configuration);
+      return clone(configuration);
+    },
+
+    retrieve: async (id) => clone(find(state.configurations, "terminal.configuration", id)),
+
+    update: async (id, params = {}) => {
+      const configuration = find(state.configurations, "terminal.configuration", id);
+      if (params.tipping) {
+        configuration.tipping = { ...configuration.tipping, ...clone(params.tipping) };
+      }
+      return clone(configuration);
+    },
+  };
+
+  const readers = {
+    create: idempotent("terminal.readers.create", async (params = {}) => {
+      const { registration_code: registrationCode } = simulatedReaderConfig.defaultReader;
+      if (params.registration_code !== registrationCode) {
+        throw invalidRequest(
+          `The emulator can only register simulated readers; use the registration code "${registrationCode}".`,
+          { code: "resource_missing", param: "registration_code" }
+        );
+      }
+      if (!params.location) {
+        throw invalidRequest("Missing required param: location.", { code: "parameter_missing", param: "location" });
+      }
+      find(state.locations, "terminal.location", params.location, "location");
+
+      const reader = {
+        id: newId("tmr"),
+        object: "terminal.reader",
+        action: null,
+        device_sw_version: "",
+        device_type: "simulated_wisepos_e",
+        ip_address: "0.0.0.0",
+        label: params.label || simulatedReaderConfig.defaultReader.label,
+        last_seen_at: Date.now(),
+        livemode: false,
+        location: params.location,
+        metadata: mergeMetadata({}, params.metadata),
+        serial_number: `SIM-${newId("sn").slice(3, 15).toUpperCase()}`,
+        status: "online",
+      };
+      state.readers.set(reader.id, reader);
+      return clone(reader);
+    }),
+
+    retrieve: async (id) => clone(find(state.readers, "terminal.reader", id)),
+
+    update: async (id, params = {}) => {
+      const reader = find(state.readers, "terminal.reader", id);
+      if (params.label !== undefined) {
+        reader.label = params.label;
+      }
+      if (params.metadata) {
+        reader.metadata = mergeMetadata(reader.metadata, params.metadata);
+      }
+      return clone(reader);
+    },
+
+    del: async (id) => {
+      find(state.readers, "terminal.reader", id);
+      clearTimeout(state.timers.get(id));
+      state.timers.delete(id);
+      state.readers.delete(id);
+      return { id, object: "terminal.reader", deleted: true };
+    },
+
+    list: (params = {}) => {
+      const matching = [...state.readers.values()].filter(
+        (reader) =>
+          (!params.location || reader.location === params.location) &&
+          (!params.status || reader.status === params.status) &&
+          (!params.device_type || reader.device_type === params.device_type) &&
+          (!params.serial_number || reader.serial_number === params.serial_number)
+      );
+      return listPage(matching, "/v1/terminal/readers", definedParams(params));
+    },
+
+    processPaymentIntent: idempotent("terminal.readers.process_payment_intent", async (id, params = {}) => {
+      const reader = find(state.readers, "terminal.reader", id);
+      const paymentIntent = find(state.paymentIntents, "payment_intent", params.payment_intent, "payment_intent");
+      assertReaderIdle(reader);
+      if (paymentIntent.status !== "requires_payment_method") {
+        throw unexpectedState(paymentIntent, "processed", ["requires_payment_method"]);
+      }
+      if (!paymentIntent.payment_method_types.some((type) => PRESENT_TYPES.includes(type))) {
+        throw invalidRequest("This PaymentIntent does not accept card_present or interac_present payments.", {
+          param: "payment_intent",
+        });
+      }
+      return startAction(reader, "process_payment_intent", {
+        payment_intent: paymentIntent.id,
+        process_config: definedParams(params.process_config),
+      });
+    }),
+
+    processSetupIntent: idempotent("terminal.readers.process_setup_intent", async (id, params = {}) => {
+      const reader = find(state.readers, "terminal.reader", id);
+      const setupIntent = find(state.setupIntents, "setup_intent", params.setup_intent, "setup_intent");
+      assertReaderIdle(reader);
+      if (!params.customer_consent_collected) {
+        throw invalidRequest("customer_consent_collected must be true to save a card.", {
+          param: "customer_consent_collected",
+        });
+      }
+      if (setupIntent.status !== "requires_payment_method") {
+        throw invalidRequest(
+          `This SetupIntent could not be processed because it has a status of ${setupIntent.status}.`,
+          { code: "setup_intent_unexpected_state" }
+        );
+      }
+      return startAction(reader, "process_setup_intent", {
+        setup_intent: setupIntent.id,
+        generated_card: null,
+      });
+    }),
+
+    setReaderDisplay: idempotent("terminal.readers.set_reader_display", async (id, params = {}) => {
+      const reader = find(state.readers, "terminal.reader", id);
+      assertReaderIdle(reader);
+      startAction(reader, "set_reader_display", { type: params.type, cart: clone(params.cart) });
+      reader.action.status = "succeeded";
+      return clone(reader);
+    }),
+
+    // The simulated customer fills in every input after the payment delay
+    collectInputs: idempotent("terminal.readers.collect_inputs", async (id, params = {}) => {
+      const reader = find(state.readers, "terminal.reader", id);
+      assertReaderIdle(reader);
+      const response = startAction(reader, "collect_inputs", {
+        inputs: clone(params.inputs || []),
+        metadata: mergeMetadata({}, params.metadata),
+      });
+
+      schedule(id, () => {
+        reader.action.collect_inputs.inputs.forEach((input) => {
+          input.skipped = false;
+          if (input.type === "selection") {
+            const [choice] = (input.selection && input.selection.choices) || [];
+            input.selection = { ...input.selection, value: choice ? choice.value || choice.id : null };
+          } else {
+            input[input.type] = { value: INPUT_VALUES[input.type] || null };
+          }
+        });
+        finishAction(reader, null);
+      });
+      return response;
+    }),
+
+    cancelAction: idempotent("terminal.readers.cancel_action", async (id) => {
+      const reader = find(state.readers, "terminal.reader", id);
+      clearTimeout(state.timers.get(id));
+      state.timers.delete(id);
+
+      const action = reader.action;
+      if (action && action.type === "process_payment_intent") {
+        const paymentIntent = state.paymentIntents.get(action.process_payment_intent.payment_intent);
+        if (paymentIntent && paymentIntent.status === "processing") {
+          paymentIntent.status = "requires_payment_method";
+        }
+      }
+      reader.action = null;
+      return clone(reader);
+    }),
+  };
+
+  const testHelpers = {
+    terminal: {
+      readers: {
+        /**
+         * Present a test card to a reader that is processing a payment or
+         * setup intent. The outcome follows the card number, after delayMs.
+         */
+        presentPaymentMethod: idempotent("test_helpers.terminal.readers.present_payment_method", async (id, params = {}) => {
+          const reader = find(state.readers, "terminal.reader", id);
+          const action = reader.action;
+          if (
+            !action ||
+            action.status !== "in_progress" ||
+            !["process_payment_intent", "process_setup_intent"].includes(action.type)
+          ) {
+            throw invalidRequest("This reader has no payment or setup in progress to present a card to.", {
+              code: "terminal_reader_action_not_in_progress",
+            });
+          }
+          if (params.type && !PRESENT_TYPES.includes(params.type)) {
+            throw invalidRequest(`Invalid payment method type: ${params.type}`, { param: "type" });
+          }
+          const card = cards.presentedCard(params);
+
+          if (action.type === "process_setup_intent") {
+            const setupIntent = state.setupIntents.get(action.process_setup_intent.setup_intent);
+            schedule(id, () => settleSetup(reader, setupIntent, card));
+            return clone(reader);
+          }
+
+          const paymentIntent = state.paymentIntents.get(action.process_payment_intent.payment_intent);
+          if (!paymentIntent.payment_method_types.includes(card.type)) {
+            throw invalidRequest(`This PaymentIntent does not accept ${card.type} payments.`, { param: "type" });
+          }
+          paymentIntent.status = "processing";
+          schedule(id, () => settlePayment(reader, paymentIntent, card, params.amount_tip || 0));
+          return clone(reader);
+        }),
+      },
+    },
+  };
+
+  // ---- Account -----------------------------------------------------------
+
+  const accounts = {
+    retrieve: async () => ({
+      id: accountId,
+      object: "account",
+      business_profile: { name: "Emulated Merchant", support_phone: null, url: null },
+      charges_enabled: true,
+      country: "US",
+      default_currency: defaultCurrency,
+      settings: { dashboard: { display_name: "Emulated Merchant" } },
+    }),
+  };
+
+  const countrySpecs = {
+    retrieve: async (country) => ({
+      id: country,
+      object: "country_spec",
+      default_currency: defaultCurrency,
+      supported_payment_currencies: PAYMENT_CURRENCIES,
+    }),
+  };
+
+  return {
+    emulated: true,
+    apiVersion: API_VERSION,
+    accounts,
+    countrySpecs,
+    customers,
+    paymentIntents,
+    refunds,
+    setupIntents,
+    terminal: {
+      configurations,
+      connectionTokens: {
+        create: async (params = {}) => ({
+          object: "terminal.connection_token",
+          location: params.location,
+          secret: newId("pst_test"),
+        }),
+      },
+      locations,
+      readers,
+    },
+    testHelpers,
+  };
+}
+
+module.exports = { API_VERSION, IDEMPOTENCY_TTL_MS, MAX_IDEMPOTENCY_KEYS, createAccountState, createFakeStripe };
@@ -0,0 +1,90 @@
+const { EventEmitter } = require("events");
+const { API_VERSION, createAccountState, createFakeStripe } = require("./fake-stripe");
+const { createWebhookSender, createEventDispatcher } = require("./webhooks");
+const { newId, nowSeconds, clone } = require("./objects");
+
+/**
+ * In-memory Stripe backend for working offline with simulated readers.
+ * Keeps separate state per connected account and emits an "event" for
+ * every webhook event Stripe would send. When webhookUrl is set, events are
+ * also posted there, signed with webhookSecret; otherwise each one is passed
+ * to dispatchEvent (e.g. the app's webhook handlers) when given. Simulated
+ * payments take delayMs to complete.
+ */
+function createEmulator({
+  delayMs = 2000,
+  defaultCurrency = "usd",
+  webhookUrl = null,
+  webhookSecret = null,
+  dispatchEvent = null,
+} = {}) {
+  const emulator = new EventEmitter();
+  const accounts = new Map();
+  const clients = new Map();
+
+  function stateFor(account) {
+    if (!accounts.has(account)) {
+      accounts.set(account, createAccountState());
+    }
+    return accounts.get(account);
+  }
+
+  function emit(account, type, object) {
+    const event = {
+      id: newId("evt"),
+      object: "event",
+      api_version: API_VERSION,
+      created: nowSeconds(),
+      data: { object: clone(object) },
+      livemode: false,
+      pending_webhooks: webhookUrl ? 1 : 0,
+      request: { id: null, idempotency_key: null },
+      type,
+    };
+    if (account) {
+      event.account = account;
+    }
+    emulator.emit("event", event);
+  }
+
+  if (webhookUrl) {
+    if (!webhookSecret) {
+      throw new Error("Emulated webhooks need STRIPE_WEBHOOK_SECRET to sign events");
+    }
+    emulator.on("event", createWebhookSender({ url: webhookUrl, secret: webhookSecret }));
+  } else if (dispatchEvent) {
+    emulator.on("event", createEventDispatcher(dispatchEvent));
+  }
+
+  /**
+   * Fake Stripe client for a connected account, or the platform account
+   * when account is empty.
+   */
+  emulator.client = (account) => {
+    const key = account || "";
+    if (!clients.has(key)) {
+      clients.set(
+        key,
+        createFakeStripe({
+          account: account || null,
+          state: stateFor(key),
+          delayMs,
+          defaultCurrency,
+          emit: (type, object) => emit(account || null, type, object),
+        })
+      );
+    }
+    return clients.get(key);
+  };
+
+  // Forget every object and cancel pending reader actions
+  emulator.reset = () => {
+    accounts.forEach((state) => state.timers.forEach((timer) => clearTimeout(timer)));
+    accounts.clear();
+    clients.clear();
+  };
+
+  return emulator;
+}
+
+module.exports = { createEmulator };
@@ -0,0 +1,56 @@
+const crypto = require("crypto");
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// Callers get copies, so they can never change emulator state by accident
+function clone(object) {
+  return structuredClone(object);
+}
+
+// Merge metadata the way Stripe does: an empty string removes a key
+function mergeMetadata(current, updates) {
+  const merged = { ...current };
+  Object.entries(updates || {}).forEach(([key, value]) => {
+    if (value === "") {
+      delete merged[key];
+    } else {
+      merged[key] = String(value);
+    }
+  });
+  return merged;
+}
+
+/**
+ * A Stripe list page over items (oldest first, as stored), newest first.
+ * Like stripe-node, the returned promise can also be iterated with
+ * for await to walk every item.
+ */
+function listPage(items, url, { limit = 10, starting_after } = {}) {
+  const newestFirst = [...items].reverse();
+  let start = 0;
+  if (starting_after) {
+    start = newestFirst.findIndex((item) => item.id === starting_after) + 1;
+  }
+  const data = newestFirst.slice(start, start + Number(limit));
+
+  const page = Promise.resolve({
+    object: "list",
+    url,
+    data: data.map(clone),
+    has_more: start + data.length < newestFirst.length,
+  });
+  page[Symbol.asyncIterator] = async function* iterate() {
+    for (const item of newestFirst.slice(start)) {
+      yield clone(item);
+    }
+  };
+  return page;
+}
+
+module.exports = { newId, nowSeconds, clone, mergeMetadata, listPage };
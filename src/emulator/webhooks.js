@@ -0,0 +1,68 @@
+const Stripe = require("stripe");
+const { logger, runWithLogContext } = require("../logging");
+
+// Events are raised inside whichever request or reader timer caused them;
+// deliver each in a log context of its own rather than that request's
+function inEventContext(event, fn) {
+  return runWithLogContext(
+    { stripe_event_id: event.id, stripe_event_type: event.type, stripe_account: event.account },
+    fn
+  );
+}
+
+/**
+ * Deliver emulated events to a webhook endpoint, signed with the endpoint's
+ * secret exactly like Stripe signs them. Events are sent one at a time in
+ * the order they happened; failures are logged and not retried.
+ */
+function createWebhookSender({ url, secret }) {
+  let queue = Promise.resolve();
+
+  async function deliver(event) {
+    const payload = JSON.stringify(event);
+    const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Stripe-Signature": signature },
+        body: payload,
+      });
+      if (!response.ok) {
+        logger.error("Emulated webhook was rejected", { stripe_event_type: event.type, status: response.status });
+      }
+    } catch (error) {
+      logger.error("Error delivering emulated webhook", { stripe_event_type: event.type, error });
+    }
+  }
+
+  return (event) => {
+    queue = queue.then(() => inEventContext(event, () => deliver(event)));
+    return queue;
+  };
+}
+
+/**
+ * Hand emulated events straight to dispatchEvent (the app's webhook
+ * handlers) when no webhook URL is configured, so the ledger and reader
+ * event streams still see every outcome. Events are handled one at a time
+ * in order; failures are logged.
+ */
+function createEventDispatcher(dispatchEvent) {
+  let queue = Promise.resolve();
+
+  async function deliver(event) {
+    try {
+      await dispatchEvent(event);
+    } catch (error) {
+      logger.error("Error handling emulated event", { stripe_event_type: event.type, error });
+    }
+  }
+
+  return (event) => {
+    queue = queue.then(() => inEventContext(event, () => deliver(event)));
+    return queue;
+  };
+}
+
+module.exports = { createWebhookSender, createEventDispatcher };
@@ -1,56 +1,48 @@
 require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const morgan = require('morgan');
-const swaggerUi = require('swagger-ui-express');
-const swaggerSpec = require('./swagger');
-
-const app = express();
-
-// Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-// Configure CORS for network access
-app.use(cors({
-  origin: true, // Allow all origins
-  credentials: true
-}));
-
-// Configure security headers
-app.use(helmet({
-  crossOriginResourcePolicy: { policy: "cross-origin" }
-}));
-app.use(morgan('dev'));
-
-// Swagger UI endpoint
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok' });
+const { loadConfig } = require('./config');
+const { createApp } = require('./app');
+const { createCaptureSweeper } = require('./services/capture-sweeper');
+const { createShutdown } = require('./shutdown');
+const { configureLogger, logger } = require('./logging');
+
+// Refuse to start on a bad configuration rather than fail on first use
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  logger.error('Invalid configuration', { problems: error.problems || [error.message] });
+  process.exit(1);
+}
+
+configureLogger({ level: config.logLevel });
+const app = createApp(config);
+
+const server = app.listen(config.port, config.host, () => {
+  logger.info(`Server is running on http://${config.host}:${config.port}`, {
+    stripe_backend: config.stripe.backend,
+    test_mode: config.testMode,
+  });
 });
 
-// Initialize Stripe
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-
-// Routes
-app.use('/api/payments', require('./routes/payment.routes'));
-app.use('/api/readers', require('./routes/reader.routes'));
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    status: 'error',
-    message: 'Something went wrong!',
-    error: process.env.NODE_ENV === 'development' ? err.message : undefined
+// Capture or cancel aged authorizations in the background
+const { store, ledger, stripeClients } = app.locals;
+const sweeper = createCaptureSweeper({ ...config.sweeper, store, ledger, stripeClients });
+sweeper.start();
+
+const shutdown = createShutdown({ app, server, sweeper, timeoutMs: config.shutdownTimeoutMs });
+
+['SIGTERM', 'SIGINT'].forEach((signal) => {
+  process.once(signal, () => {
+    logger.info(`${signal} received, shutting down`);
+    // A second signal skips waiting for reader actions
+    process.once(signal, () => process.exit(1));
+
+    shutdown().then(
+      () => process.exit(0),
+      (error) => {
+        logger.error('Error during shutdown', { error });
+        process.exit(1);
+      }
+    );
   });
 });
-
-const PORT = process.env.PORT || 3000;
-
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server is running on http://0.0.0.0:${PORT}`);
-  console.log('Access the API from your network using your machine\'s IP address');
-});
\ No newline at end of file
@@ -0,0 +1,123 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const { redact } = require("./redact");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Fields (request_id, reader_id, payment_intent_id, ...) added to every log
+// line written while handling one request
+const context = new AsyncLocalStorage();
+
+let threshold = LEVELS.info;
+let output = (line) => process.stdout.write(`${line}\n`);
+
+/**
+ * Set the lowest level written (one of LEVELS) and, e.g. in tests, where
+ * lines go; output receives each line as a JSON string.
+ */
+function configureLogger({ level = "info", output: newOutput } = {}) {
+  threshold = LEVELS[level];
+  if (newOutput) {
+    output = newOutput;
+  }
+}
+
+// Errors as plain objects, with Stripe's details and the request ID of the
+// failed call. Stacks are kept only for unexpected errors.
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+
+  const serialized = { name: error.name, message: error.message };
+  ["type", "code", "decline_code", "param"].forEach((field) => {
+    if (error[field]) {
+      serialized[field] = error[field];
+    }
+  });
+  const status = error.statusCode || error.status;
+  if (status) {
+    serialized.status = status;
+  }
+  if (error.requestId) {
+    serialized.stripe_request_id = error.requestId;
+  }
+  if (!status || status >= 500) {
+    serialized.stack = error.stack;
+  }
+  return serialized;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < threshold) {
+    return;
+  }
+
+  const { error, ...rest } = fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+  };
+  // Missing values (e.g. a webhook without a reader) keep the context's
+  Object.entries(rest).forEach(([key, value]) => {
+    if (value !== undefined) {
+      entry[key] = value;
+    }
+  });
+  if (error !== undefined) {
+    entry.error = serializeError(error);
+  }
+
+  output(JSON.stringify(redact(entry)));
+}
+
+/**
+ * Structured logger writing one JSON object per line. fields are merged
+ * into the line after the current request's context; pass a caught error
+ * as fields.error.
+ *
+ *   logger.error("Error capturing payment", { error });
+ */
+const logger = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
+
+// Run fn with fields as the log context; later addLogContext calls inside
+// fn add to the same object
+function runWithLogContext(fields, fn) {
+  return context.run(fields, fn);
+}
+
+// Add fields to the current request's log context, if there is one
+function addLogContext(fields) {
+  const current = context.getStore();
+  if (current) {
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        current[key] = value;
+      }
+    });
+  }
+}
+
+// router.param callback that adds a route parameter to the log context
+function logParam(field) {
+  return (req, res, next, value) => {
+    addLogContext({ [field]: value });
+    next();
+  };
+}
+
+module.exports = {
+  LEVELS,
+  logger,
+  configureLogger,
+  runWithLogContext,
+  addLogContext,
+  logParam,
+  redact,
+};
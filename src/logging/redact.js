@@ -0,0 +1,70 @@
+// Keys whose values never belong in logs, whatever they hold
+const SENSITIVE_KEY_PATTERN =
+  /secret|password|token|api[_-]?key|^key$|authorization|cookie|card_?number|^number$|^cvc$|^cvv$|^pin$|^exp_(month|year)$/i;
+
+// Secrets that can turn up inside free text such as error messages
+const SECRET_PATTERNS = [
+  [/\b(sk|rk)_(test|live)_[A-Za-z0-9]+/g, "$1_$2_[REDACTED]"],
+  [/\bwhsec_[A-Za-z0-9]+/g, "whsec_[REDACTED]"],
+  [/\bpst_(test|live)_[A-Za-z0-9_]+/g, "pst_$1_[REDACTED]"],
+  [/_secret_[A-Za-z0-9]+/g, "_secret_[REDACTED]"],
+];
+
+// 13 to 19 digits, optionally grouped with spaces or dashes
+const CARD_NUMBER_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function redactString(value) {
+  let redacted = value.replace(CARD_NUMBER_PATTERN, (match) => {
+    const digits = match.replace(/[ -]/g, "");
+    return passesLuhn(digits) ? `****${digits.slice(-4)}` : match;
+  });
+  SECRET_PATTERNS.forEach(([pattern, replacement]) => {
+    redacted = redacted.replace(pattern, replacement);
+  });
+  return redacted;
+}
+
+/**
+ * Copy of value safe to log: values under sensitive keys (secrets, tokens,
+ * API keys, card numbers and PINs) are replaced, Stripe secrets in text are
+ * cut to their prefix and card numbers are masked to the last four digits.
+ */
+function redact(value, seen = new WeakSet()) {
+  if (typeof value === "string") {
+    return redactString(value);
+  }
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+  if (seen.has(value)) {
+    return "[Circular]";
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, seen));
+  }
+
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    copy[key] = SENSITIVE_KEY_PATTERN.test(key) && item !== null && item !== undefined ? "[REDACTED]" : redact(item, seen);
+  });
+  return copy;
+}
+
+module.exports = { redact };
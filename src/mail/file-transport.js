@@ -0,0 +1,24 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// Writes each message to an .eml file instead of sending it, for local
+// testing. The files open in any mail client.
+function createFileTransport({ directory }) {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      const filename = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, "")}.eml`;
+      const file = path.join(directory, filename);
+      await fs.promises.writeFile(file, info.message);
+
+      return { messageId: info.messageId, file };
+    },
+  };
+}
+
+module.exports = createFileTransport;
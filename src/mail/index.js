@@ -0,0 +1,34 @@
+const path = require("path");
+const createSmtpTransport = require("./smtp-transport");
+const createFileTransport = require("./file-transport");
+
+const DEFAULT_MAIL_DIR = path.join(__dirname, "..", "..", "data", "mail");
+
+// Build a mail transport for the given settings (loadConfig().mail). A
+// transport is any object with an async send({ from, to, subject, text,
+// html }) method.
+function createMailTransport({ transport = "file", directory = DEFAULT_MAIL_DIR, smtp = {} } = {}) {
+  switch (transport) {
+    case "smtp":
+      if (!smtp.host) {
+        throw new Error("SMTP_HOST is required for the smtp mail transport");
+      }
+      return createSmtpTransport(smtp);
+    case "file":
+      return createFileTransport({ directory });
+    default:
+      throw new Error(`Unknown mail transport: ${transport}`);
+  }
+}
+
+// Sends messages from settings.from through transport, by default the one
+// the settings describe.
+function createMailer(settings, transport = createMailTransport(settings)) {
+  return {
+    sendMail(message) {
+      return transport.send({ from: settings.from, ...message });
+    },
+  };
+}
+
+module.exports = { DEFAULT_MAIL_DIR, createMailTransport, createMailer };
@@ -0,0 +1,110 @@
+const crypto = require("crypto");
+const { ROLES } = require("../config/api-keys");
+const { logger } = require("../logging");
+
+// Keys are compared by digest so lookups take the same time for any input
+const digest = (value) => crypto.createHash("sha256").update(value).digest();
+
+// Stand-in identity when authentication is disabled for local development
+const UNRESTRICTED_KEY = { id: "auth-disabled", name: "auth-disabled", role: "admin", locations: null };
+
+function forbidden(message) {
+  const error = new Error(message);
+  error.status = 403;
+  error.expose = true;
+  return error;
+}
+
+function readKey(req) {
+  const header = req.get("Authorization");
+  if (header && header.startsWith("Bearer ")) {
+    return header.slice("Bearer ".length).trim();
+  }
+  return req.get("X-API-Key");
+}
+
+/**
+ * Identify the caller from an "Authorization: Bearer <key>" or "X-API-Key"
+ * header and expose the matching key as req.apiKey, with an id derived from
+ * the key that is safe to store and log. apiKeys come from loadApiKeys();
+ * disabled lets every request through as an admin.
+ */
+function authenticate({ apiKeys: configuredKeys = [], disabled = false } = {}) {
+  const apiKeys = configuredKeys.map((entry) => {
+    const keyDigest = digest(entry.key);
+    return { ...entry, digest: keyDigest, id: keyDigest.toString("hex").slice(0, 16) };
+  });
+
+  if (disabled) {
+    logger.warn("AUTH_DISABLED=true: API key authentication is off. Never use this in production.");
+  } else if (!apiKeys.length) {
+    logger.warn("No API keys configured (API_KEYS or API_KEYS_FILE); every /api request will be rejected.");
+  }
+
+  return (req, res, next) => {
+    if (disabled) {
+      req.apiKey = UNRESTRICTED_KEY;
+      return next();
+    }
+
+    const key = readKey(req);
+    const match = key && apiKeys.find((entry) => crypto.timingSafeEqual(entry.digest, digest(key)));
+
+    if (!match) {
+      return res.status(401).json({
+        status: "error",
+        message: "A valid API key is required",
+      });
+    }
+
+    req.apiKey = match;
+    next();
+  };
+}
+
+// Allow only keys with at least the given role
+function requireRole(role) {
+  const required = ROLES.indexOf(role);
+
+  return (req, res, next) => {
+    if (!req.apiKey || ROLES.indexOf(req.apiKey.role) < required) {
+      return res.status(403).json({
+        status: "error",
+        message: `This action requires the ${role} role`,
+      });
+    }
+    next();
+  };
+}
+
+function canAccessLocation(req, locationId) {
+  const { locations } = req.apiKey;
+  return !locations || locations.includes(locationId);
+}
+
+/**
+ * Throw a 403 unless the caller's key may use the given Terminal location.
+ * Routes call this after loading the reader or payment intent involved.
+ */
+function assertLocationAccess(req, locationId) {
+  if (!canAccessLocation(req, locationId)) {
+    throw forbidden("This API key is not allowed to use this location");
+  }
+}
+
+/**
+ * Location to use when a location-scoped key omits one: its only location,
+ * or undefined when the key is unrestricted or has several.
+ */
+function defaultLocation(req) {
+  const { locations } = req.apiKey;
+  return locations && locations.length === 1 ? locations[0] : undefined;
+}
+
+module.exports = {
+  authenticate,
+  requireRole,
+  canAccessLocation,
+  assertLocationAccess,
+  defaultLocation,
+};
@@ -0,0 +1,19 @@
+/**
+ * Refuse to start new reader actions once shutdown has begun (see
+ * shutdown.js), so the actions being drained can finish. Requests that
+ * complete or cancel actions, and the webhooks reporting them, still run.
+ */
+function rejectWhileDraining() {
+  return (req, res, next) => {
+    if (req.app.locals.draining) {
+      res.set("Retry-After", "5");
+      return res.status(503).json({
+        status: "error",
+        message: "Server is shutting down; retry shortly",
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { rejectWhileDraining };
@@ -0,0 +1,32 @@
+const { isStripeError, translateStripeError } = require("../utils/stripe-errors");
+const { logger } = require("../logging");
+
+/**
+ * Final error handler. Stripe errors become the matching 4xx/5xx response,
+ * client errors raised by Express (e.g. malformed JSON) keep their status,
+ * and anything else is a generic 500. Express recognizes error handlers by
+ * their four arguments, so next stays in the signature.
+ */
+function errorHandler(err, req, res, next) {
+  if (isStripeError(err)) {
+    const { statusCode, body } = translateStripeError(err);
+    return res.status(statusCode).json(body);
+  }
+
+  const statusCode = err.status || err.statusCode;
+  if (statusCode >= 400 && statusCode < 500) {
+    return res.status(statusCode).json({
+      status: "error",
+      message: err.expose ? err.message : "Invalid request",
+    });
+  }
+
+  logger.error("Unhandled error", { error: err });
+  res.status(500).json({
+    status: "error",
+    message: "Something went wrong!",
+    error: req.app.locals.config.env === "development" ? err.message : undefined,
+  });
+}
+
+module.exports = errorHandler;
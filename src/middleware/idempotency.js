@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+const { logger } = require("../logging");
+
+// How long a completed response is replayed for a repeated key
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+// How long a key stays claimed by a request that has not finished, so a
+// request cut off by a crash does not block its key for a day
+const IN_PROGRESS_LEASE_MS = 60 * 1000;
+// Leaves room for the caller and step prefixes within Stripe's 255 characters
+const MAX_KEY_LENGTH = 200;
+
+function fingerprint(req) {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body || {})}`)
+    .digest("hex");
+}
+
+/**
+ * Honor the Idempotency-Key header on POST requests. Mount it per route
+ * after requireRole, so responses to unauthorized callers are never stored.
+ *
+ * The first response for a key is stored for 24 hours and replayed for any
+ * retry with the same method, URL and body by the same API key; keys are
+ * scoped to the Stripe account and API key, so callers never see each
+ * other's responses. Reusing a key for a different request, or while the
+ * first one is still running, is rejected with 409. Server errors are not
+ * stored so the request can be retried; the key is still forwarded to
+ * Stripe (see idempotencyOptions) so Stripe never performs the same
+ * operation twice.
+ */
+function idempotency() {
+  return async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (req.method !== "POST" || !key) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        status: "error",
+        message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+      });
+    }
+
+    try {
+      const { store } = req.app.locals;
+      const now = new Date();
+      const requestFingerprint = fingerprint(req);
+      // Keys are per Stripe account, like Stripe's own idempotency keys,
+      // and per API key
+      const callerKey = `${req.apiKey.id}:${key}`;
+      const storedKey = `${req.stripeAccount || "platform"}:${callerKey}`;
+
+      const existing = await store.getIdempotencyKey(storedKey, now.toISOString());
+      if (existing) {
+        if (existing.fingerprint !== requestFingerprint) {
+          return res.status(409).json({
+            status: "error",
+            message: "Idempotency-Key was already used for a different request",
+          });
+        }
+        if (existing.status !== "completed") {
+          return res.status(409).json({
+            status: "error",
+            message: "A request with this Idempotency-Key is still being processed",
+          });
+        }
+        res.set("Idempotent-Replayed", "true");
+        return res.status(existing.response_status).json(existing.response_body);
+      }
+
+      const claimed = await store.createIdempotencyKey({
+        key: storedKey,
+        fingerprint: requestFingerprint,
+        status: "in_progress",
+        created_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + IN_PROGRESS_LEASE_MS).toISOString(),
+      });
+      if (!claimed) {
+        return res.status(409).json({
+          status: "error",
+          message: "A request with this Idempotency-Key is still being processed",
+        });
+      }
+
+      req.idempotencyKey = callerKey;
+
+      let responseBody;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        responseBody = body;
+        return json(body);
+      };
+
+      res.on("close", async () => {
+        try {
+          if (res.writableFinished && res.statusCode < 500) {
+            await store.saveIdempotencyKey({
+              key: storedKey,
+              status: "completed",
+              response_status: res.statusCode,
+              response_body: responseBody,
+              expires_at: new Date(now.getTime() + KEY_TTL_MS).toISOString(),
+            });
+          } else {
+            await store.deleteIdempotencyKey(storedKey);
+          }
+        } catch (error) {
+          logger.error("Error saving idempotent response", { error });
+        }
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Stripe request options carrying the client's Idempotency-Key, prefixed
+ * with the caller's API key ID. Routes that make several mutating Stripe
+ * calls pass a distinct step name for each so the derived keys never
+ * collide.
+ */
+function idempotencyOptions(req, step) {
+  return req.idempotencyKey ? { idempotencyKey: `${req.idempotencyKey}:${step}` } : {};
+}
+
+module.exports = { idempotency, idempotencyOptions };
@@ -0,0 +1,39 @@
+const crypto = require("crypto");
+const { logger, runWithLogContext } = require("../logging");
+
+// Accept caller-supplied IDs only when they are short and printable
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Give each request an ID, taken from the X-Request-Id header (e.g. set by
+ * a load balancer or the POS app) or generated, and echo it in the
+ * response's X-Request-Id. Everything logged while handling the request,
+ * including its Stripe calls, carries the ID as request_id, and a summary
+ * line is logged when the response is sent.
+ */
+function requestContext() {
+  return (req, res, next) => {
+    const header = req.get("X-Request-Id");
+    const requestId = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+    const fields = { request_id: requestId };
+    const startedAt = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set("X-Request-Id", requestId);
+
+    res.on("finish", () => {
+      const level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+      logger[level]("Request completed", {
+        ...fields,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        duration_ms: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      });
+    });
+
+    runWithLogContext(fields, next);
+  };
+}
+
+module.exports = { requestContext };
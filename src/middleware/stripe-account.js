@@ -0,0 +1,49 @@
+const { ACCOUNT_ID_PATTERN } = require("../config/tenants");
+
+function badRequest(res, message) {
+  return res.status(400).json({
+    status: "error",
+    message,
+  });
+}
+
+/**
+ * Pick the Stripe account a request acts on and expose its client as
+ * req.stripe (and the account ID, if any, as req.stripeAccount).
+ *
+ * The account comes from the caller's API key when the key is bound to one,
+ * otherwise from a Stripe-Account header or an X-Tenant-Id header mapped
+ * through the tenants Map (from loadTenants()). Without any of them requests
+ * use the platform account.
+ */
+function stripeAccount({ tenants = new Map() } = {}) {
+  return (req, res, next) => {
+    const headerAccount = req.get("Stripe-Account");
+    const tenantId = req.get("X-Tenant-Id");
+
+    if (headerAccount && !ACCOUNT_ID_PATTERN.test(headerAccount)) {
+      return badRequest(res, "Stripe-Account must be a Stripe account ID (acct_...)");
+    }
+
+    const tenantAccount = tenantId ? tenants.get(tenantId) : undefined;
+    if (tenantId && !(typeof tenantAccount === "string" && ACCOUNT_ID_PATTERN.test(tenantAccount))) {
+      return badRequest(res, `Unknown tenant: ${tenantId}`);
+    }
+
+    const requested = headerAccount || tenantAccount;
+    const bound = req.apiKey && req.apiKey.account;
+
+    if (bound && requested && requested !== bound) {
+      return res.status(403).json({
+        status: "error",
+        message: "This API key cannot act on other Stripe accounts",
+      });
+    }
+
+    req.stripeAccount = bound || requested || undefined;
+    req.stripe = req.app.locals.stripeClients.get(req.stripeAccount);
+    next();
+  };
+}
+
+module.exports = { stripeAccount };
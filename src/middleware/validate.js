@@ -0,0 +1,151 @@
+const Ajv = require("ajv");
+const swaggerSpec = require("../swagger");
+
+// Bodies are JSON and must match their schema exactly; path and query
+// values are always strings, so they are coerced before checking
+const bodyAjv = new Ajv({ allErrors: true, strict: false });
+const paramsAjv = new Ajv({ allErrors: true, strict: false, coerceTypes: true });
+
+// format: email is one plain address; lists ("a@x.com,b@y.com") and display
+// names ("Name <a@x.com>"), which mailers would accept, are not
+const EMAIL_FORMAT = /^[^\s@,;<>"]+@[^\s@,;<>"]+\.[^\s@,;<>"]+$/;
+[bodyAjv, paramsAjv].forEach((ajv) => ajv.addFormat("email", EMAIL_FORMAT));
+
+const operations = compileOperations(swaggerSpec);
+
+// Let "#/components/..." references resolve against the spec's components
+function withComponents(schema) {
+  return { ...schema, components: swaggerSpec.components };
+}
+
+function parameterSchema(parameters, location) {
+  const matching = parameters.filter((parameter) => parameter.in === location);
+  if (!matching.length) {
+    return null;
+  }
+  return {
+    type: "object",
+    properties: Object.fromEntries(
+      matching.map((parameter) => [parameter.name, parameter.schema || {}])
+    ),
+    required: matching.filter((parameter) => parameter.required).map((parameter) => parameter.name),
+  };
+}
+
+/**
+ * Build a matcher and validators for every documented operation. Literal
+ * paths are tried before templated ones so /api/readers/register wins over
+ * /api/readers/{readerId}.
+ */
+function compileOperations(spec) {
+  return Object.entries(spec.paths || {})
+    .map(([path, pathItem]) => {
+      const pattern = new RegExp(
+        `^${path.replace(/[.*+?^$()|[\]\\]/g, "\\$&").replace(/\{[^}]+\}/g, "([^/]+)")}/?$`
+      );
+      const paramNames = (path.match(/\{[^}]+\}/g) || []).map((name) => name.slice(1, -1));
+
+      const methods = {};
+      Object.entries(pathItem).forEach(([method, operation]) => {
+        const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])];
+        const params = parameterSchema(parameters, "path");
+        const query = parameterSchema(parameters, "query");
+        const body =
+          operation.requestBody &&
+          operation.requestBody.content &&
+          operation.requestBody.content["application/json"] &&
+          operation.requestBody.content["application/json"].schema;
+
+        methods[method] = {
+          params: params && paramsAjv.compile(withComponents(params)),
+          query: query && paramsAjv.compile(withComponents(query)),
+          body: body && bodyAjv.compile(withComponents(body)),
+        };
+      });
+
+      return { path, pattern, paramNames, methods };
+    })
+    .sort((a, b) => a.paramNames.length - b.paramNames.length);
+}
+
+// Path parameters that are not valid percent-encoding (e.g. "%E0%A4%A") are
+// reported as validation errors rather than thrown as URIErrors
+function findOperation(method, path) {
+  for (const operation of operations) {
+    const match = operation.pattern.exec(path);
+    if (match && operation.methods[method]) {
+      const params = {};
+      const malformed = [];
+      operation.paramNames.forEach((name, index) => {
+        try {
+          params[name] = decodeURIComponent(match[index + 1]);
+        } catch (error) {
+          malformed.push(name);
+        }
+      });
+      return { validators: operation.methods[method], params, malformed };
+    }
+  }
+  return null;
+}
+
+function formatErrors(location, errors) {
+  return errors.map((error) => {
+    const segments = error.instancePath.split("/").filter(Boolean);
+    if (error.keyword === "required") {
+      segments.push(error.params.missingProperty);
+    }
+    const field = segments.join(".");
+    const message = error.keyword === "required" ? "is required" : error.message;
+    return {
+      location,
+      field: field || null,
+      message: `${field || location} ${message}`,
+    };
+  });
+}
+
+/**
+ * Validate path parameters, query strings and JSON bodies against the
+ * OpenAPI schemas documented in the routes' @swagger blocks, so the docs and
+ * the accepted input cannot drift apart. Requests to undocumented operations
+ * pass through. Every failing field is reported in a single 400 response.
+ */
+function validateRequest() {
+  return (req, res, next) => {
+    const operation = findOperation(req.method.toLowerCase(), req.baseUrl + req.path);
+    if (!operation) {
+      return next();
+    }
+
+    const { validators } = operation;
+    const errors = operation.malformed.map((name) => ({
+      location: "params",
+      field: name,
+      message: `${name} is not a valid URL-encoded value`,
+    }));
+
+    // Validate copies so coercion never changes what the routes receive
+    if (validators.params && !operation.malformed.length && !validators.params({ ...operation.params })) {
+      errors.push(...formatErrors("params", validators.params.errors));
+    }
+    if (validators.query && !validators.query({ ...req.query })) {
+      errors.push(...formatErrors("query", validators.query.errors));
+    }
+    if (validators.body && !validators.body(req.body === undefined ? {} : req.body)) {
+      errors.push(...formatErrors("body", validators.body.errors));
+    }
+
+    if (errors.length) {
+      return res.status(400).json({
+        status: "error",
+        message: "Request validation failed",
+        errors,
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = { validateRequest };
@@ -0,0 +1,73 @@
+const express = require("express");
+const router = express.Router();
+const { requireRole, assertLocationAccess, defaultLocation } = require("../middleware/auth");
+const { logger } = require("../logging");
+
+/**
+ * @swagger
+ * /api/connection-token:
+ *   post:
+ *     summary: Create a connection token for a Stripe Terminal client SDK
+ *     description: |
+ *       The Terminal JS, iOS and Android SDKs call this from their connection token provider
+ *       to discover and connect to readers. Tokens are short-lived and single-use, so request
+ *       a new one each time the SDK asks for it.
+ *     tags: [Readers]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               location:
+ *                 type: string
+ *                 pattern: '^tml_'
+ *                 description: Restrict the token to readers at this Terminal location (tml_...)
+ *     responses:
+ *       200:
+ *         description: Connection token created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 secret:
+ *                   type: string
+ *                   example: pst_test_xxxxx
+ *       400:
+ *         description: Invalid location ID
+ *       500:
+ *         description: Server error
+ */
+router.post("/", requireRole("cashier"), async (req, res, next) => {
+  try {
+    const location = req.body.location || defaultLocation(req);
+
+    // Unscoped tokens could connect to any reader on the account
+    if (req.apiKey.locations && !location) {
+      return res.status(400).json({
+        status: "error",
+        message: "location is required for API keys limited to several locations",
+      });
+    }
+    if (location) {
+      assertLocationAccess(req, location);
+    }
+
+    const connectionToken = await req.stripe.terminal.connectionTokens.create({ location });
+
+    res.status(200).json({
+      status: "success",
+      secret: connectionToken.secret,
+    });
+  } catch (error) {
+    logger.error("Error creating connection token", { error });
+    next(error);
+  }
+});
+
+module.exports = router;
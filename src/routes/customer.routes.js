@@ -0,0 +1,148 @@
+const express = require("express");
+const router = express.Router();
+const { idempotency, idempotencyOptions } = require("../middleware/idempotency");
+const { requireRole } = require("../middleware/auth");
+const { logger } = require("../logging");
+
+/**
+ * @swagger
+ * /api/customers:
+ *   post:
+ *     summary: Create a customer to save cards for
+ *     tags: [Customers]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 maxLength: 512
+ *               name:
+ *                 type: string
+ *                 maxLength: 256
+ *               phone:
+ *                 type: string
+ *                 maxLength: 20
+ *               description:
+ *                 type: string
+ *               metadata:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 description: E.g. the membership number in your own system
+ *     responses:
+ *       201:
+ *         description: Customer created successfully
+ *       400:
+ *         description: Invalid request parameters
+ *       500:
+ *         description: Server error
+ */
+router.post("/", requireRole("cashier"), idempotency(), async (req, res, next) => {
+  try {
+    const { email, name, phone, description, metadata } = req.body;
+
+    const customer = await req.stripe.customers.create(
+      { email, name, phone, description, metadata },
+      idempotencyOptions(req, "create-customer")
+    );
+
+    res.status(201).json({
+      status: "success",
+      customer,
+    });
+  } catch (error) {
+    logger.error("Error creating customer", { error });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{customerId}:
+ *   get:
+ *     summary: Get a customer
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the customer (cus_...)
+ *     responses:
+ *       200:
+ *         description: Customer retrieved successfully
+ *       404:
+ *         description: Customer not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/:customerId", requireRole("cashier"), async (req, res, next) => {
+  try {
+    const customer = await req.stripe.customers.retrieve(req.params.customerId);
+
+    // Stripe returns deleted customers as stubs rather than 404s
+    if (customer.deleted) {
+      return res.status(404).json({
+        status: "error",
+        message: "Customer not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      customer,
+    });
+  } catch (error) {
+    logger.error("Error fetching customer", { error });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{customerId}/payment-methods:
+ *   get:
+ *     summary: List the cards saved for a customer
+ *     description: |
+ *       Cards saved from a reader (with process-setup-intent, or a payment created with
+ *       setup_future_usage) appear here as card payment methods that can be charged later
+ *       without the customer present.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the customer (cus_...)
+ *     responses:
+ *       200:
+ *         description: Saved cards retrieved successfully
+ *       404:
+ *         description: Customer not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/:customerId/payment-methods", requireRole("cashier"), async (req, res, next) => {
+  try {
+    const paymentMethods = await req.stripe.customers.listPaymentMethods(req.params.customerId, {
+      type: "card",
+    });
+
+    res.status(200).json({
+      status: "success",
+      payment_methods: paymentMethods.data,
+      has_more: paymentMethods.has_more,
+    });
+  } catch (error) {
+    logger.error("Error fetching payment methods", { error });
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,371 @@
+const express = require("express");
+const router = express.Router();
+const { idempotency, idempotencyOptions } = require("../middleware/idempotency");
+const { requireRole, assertLocationAccess } = require("../middleware/auth");
+const tipping = require("../services/tipping");
+const { forEachLimited } = require("../utils/concurrency");
+const { logger } = require("../logging");
+
+// Stripe's default page size for lists
+const DEFAULT_LIMIT = 10;
+// Location retrieves a scoped key's listing keeps in flight at once
+const RETRIEVE_CONCURRENCY = 5;
+
+/**
+ * One page of a location-scoped key's own locations, in the key's order.
+ * The set is small and known, so the locations are retrieved directly
+ * rather than filtered out of Stripe's pages; ones deleted since the key was
+ * issued are skipped.
+ */
+async function listKeyLocations(req, { limit = DEFAULT_LIMIT, starting_after }) {
+  const ids = req.apiKey.locations;
+  if (starting_after) {
+    assertLocationAccess(req, starting_after);
+  }
+  const remaining = ids.slice(starting_after ? ids.indexOf(starting_after) + 1 : 0);
+
+  const retrieved = new Array(remaining.length);
+  await forEachLimited(remaining, RETRIEVE_CONCURRENCY, async (id, index) => {
+    try {
+      retrieved[index] = await req.stripe.terminal.locations.retrieve(id);
+    } catch (error) {
+      if (error.code !== "resource_missing") {
+        throw error;
+      }
+    }
+  });
+
+  const locations = retrieved.filter((location) => location && !location.deleted);
+  return {
+    data: locations.slice(0, limit),
+    has_more: locations.length > limit,
+  };
+}
+
+/**
+ * @swagger
+ * /api/locations:
+ *   get:
+ *     summary: Get Terminal locations
+ *     description: |
+ *       Keys limited to some locations list only those locations, in the order the key
+ *       names them.
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Maximum number of locations to return
+ *       - in: query
+ *         name: starting_after
+ *         schema:
+ *           type: string
+ *         description: Location ID to start after (the last ID of the previous page)
+ *     responses:
+ *       200:
+ *         description: List of locations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 locations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Location'
+ *                 has_more:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Create a Terminal location
+ *     tags: [Locations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - display_name
+ *               - address
+ *             properties:
+ *               display_name:
+ *                 type: string
+ *                 minLength: 1
+ *                 description: Name of the location shown in the Dashboard
+ *                 example: Downtown Store
+ *               address:
+ *                 $ref: '#/components/schemas/Address'
+ *               metadata:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Location created successfully
+ *       400:
+ *         description: Invalid request parameters
+ *       500:
+ *         description: Server error
+ */
+router.get("/", requireRole("manager"), async (req, res, next) => {
+  try {
+    const { starting_after } = req.query;
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+
+    const locations = req.apiKey.locations
+      ? await listKeyLocations(req, { limit, starting_after })
+      : await req.stripe.terminal.locations.list({ limit, starting_after });
+
+    res.status(200).json({
+      status: "success",
+      locations: locations.data,
+      has_more: locations.has_more,
+    });
+  } catch (error) {
+    logger.error("Error fetching locations", { error });
+    next(error);
+  }
+});
+
+router.post("/", requireRole("admin"), idempotency(), async (req, res, next) => {
+  try {
+    const { display_name, address, metadata } = req.body;
+
+    const location = await req.stripe.terminal.locations.create(
+      { display_name, address, metadata },
+      idempotencyOptions(req, "create-location")
+    );
+
+    res.status(201).json({
+      status: "success",
+      location,
+    });
+  } catch (error) {
+    logger.error("Error creating location", { error });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/locations/{locationId}:
+ *   get:
+ *     summary: Get a Terminal location
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: locationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the location (tml_...)
+ *     responses:
+ *       200:
+ *         description: Location retrieved successfully
+ *       500:
+ *         description: Server error
+ *   patch:
+ *     summary: Update a Terminal location
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: locationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the location (tml_...)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               display_name:
+ *                 type: string
+ *               address:
+ *                 $ref: '#/components/schemas/Address'
+ *               metadata:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Location updated successfully
+ *       400:
+ *         description: Invalid request parameters
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a Terminal location
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: locationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the location (tml_...)
+ *     responses:
+ *       200:
+ *         description: Location deleted successfully
+ *       500:
+ *         description: Server error
+ */
+router.get("/:locationId", requireRole("manager"), async (req, res, next) => {
+  try {
+    const { locationId } = req.params;
+    assertLocationAccess(req, locationId);
+    const location = await req.stripe.terminal.locations.retrieve(locationId);
+
+    res.status(200).json({
+      status: "success",
+      location,
+    });
+  } catch (error) {
+    logger.error("Error fetching location", { error });
+    next(error);
+  }
+});
+
+router.patch("/:locationId", requireRole("admin"), async (req, res, next) => {
+  try {
+    const { locationId } = req.params;
+    assertLocationAccess(req, locationId);
+    const { display_name, address, metadata } = req.body;
+
+    if (display_name === undefined && address === undefined && metadata === undefined) {
+      return res.status(400).json({
+        status: "error",
+        message: "display_name, address or metadata is required",
+      });
+    }
+
+    const location = await req.stripe.terminal.locations.update(locationId, {
+      display_name,
+      address,
+      metadata,
+    });
+
+    res.status(200).json({
+      status: "success",
+      location,
+    });
+  } catch (error) {
+    logger.error("Error updating location", { error });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/locations/{locationId}/tipping:
+ *   put:
+ *     summary: Set the tip presets readers at a location offer
+ *     description: |
+ *       Stripe reads tip presets from the Terminal configuration of the reader's location, so they
+ *       are saved to the location's configuration override (created if it has none) and apply to
+ *       every later payment there. Other currencies' presets are left as they are.
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: locationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the location (tml_...)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currency
+ *             properties:
+ *               currency:
+ *                 type: string
+ *                 pattern: '^[A-Za-z]{3}$'
+ *                 description: Currency the presets are for
+ *               percentages:
+ *                 type: array
+ *                 maxItems: 3
+ *                 items:
+ *                   type: integer
+ *                   minimum: 0
+ *                   maximum: 100
+ *                 description: Tip percentages offered on the reader
+ *               fixed_amounts:
+ *                 type: array
+ *                 maxItems: 3
+ *                 items:
+ *                   type: integer
+ *                   minimum: 1
+ *                 description: Fixed tip amounts offered, in the smallest currency unit
+ *               smart_tip_threshold:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Below this amount fixed amounts are offered, above it percentages
+ *     responses:
+ *       200:
+ *         description: Tip presets saved; returns the location's Terminal configuration
+ *       400:
+ *         description: Invalid request parameters or unsupported currency
+ *       403:
+ *         description: The API key may not manage this location
+ *       500:
+ *         description: Server error
+ */
+router.put("/:locationId/tipping", requireRole("manager"), async (req, res, next) => {
+  try {
+    const { locationId } = req.params;
+    assertLocationAccess(req, locationId);
+
+    const presetError = tipping.validateTipPresets(req.body);
+    if (presetError) {
+      return res.status(400).json({
+        status: "error",
+        message: presetError,
+      });
+    }
+
+    const configuration = await tipping.setLocationTipPresets(req.stripe, locationId, req.body);
+
+    res.status(200).json({
+      status: "success",
+      configuration,
+    });
+  } catch (error) {
+    logger.error("Error setting tip presets", { error });
+    next(error);
+  }
+});
+
+router.delete("/:locationId", requireRole("admin"), async (req, res, next) => {
+  try {
+    const { locationId } = req.params;
+    assertLocationAccess(req, locationId);
+    const deleted = await req.stripe.terminal.locations.del(locationId);
+
+    res.status(200).json({
+      status: "success",
+      location: deleted,
+    });
+  } catch (error) {
+    logger.error("Error deleting location", { error });
+    next(error);
+  }
+});
+
+module.exports = router;
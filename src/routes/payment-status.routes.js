@@ -1,6 +1,153 @@
 const express = require("express");
 const router = express.Router();
-const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const readerEvents = require("../services/reader-events");
+const tipping = require("../services/tipping");
+const { requireRole, assertLocationAccess, canAccessLocation } = require("../middleware/auth");
+const { forEachLimited } = require("../utils/concurrency");
+const { isStripeError, translateStripeError } = require("../utils/stripe-errors");
+const { logger, logParam } = require("../logging");
+
+// Statuses that mean the customer has not finished paying yet
+const PENDING_STATUSES = ["requires_payment_method", "processing"];
+const POLL_INTERVAL_MS = 2000;
+const MAX_BATCH_SIZE = 50;
+// Stripe retrieves a batch lookup keeps in flight at once
+const BATCH_CONCURRENCY = 5;
+
+router.param("paymentIntentId", logParam("payment_intent_id"));
+
+function formatPaymentIntent(paymentIntent) {
+  const tip = tipping.tipAmount(paymentIntent);
+  return {
+    id: paymentIntent.id,
+    status: paymentIntent.status,
+    amount: paymentIntent.amount,
+    tip_amount: tip,
+    amount_before_tip: paymentIntent.amount - tip,
+    currency: paymentIntent.currency,
+    payment_method: paymentIntent.payment_method,
+    created: paymentIntent.created,
+    metadata: paymentIntent.metadata,
+    last_payment_error: paymentIntent.last_payment_error
+  };
+}
+
+/**
+ * Resolve after POLL_INTERVAL_MS, when an event arrives on the reader's
+ * stream, or when the client disconnects, whichever comes first.
+ */
+function waitForChange(readerId, res, timeoutMs) {
+  return new Promise((resolve) => {
+    const unsubscribe = readerId ? readerEvents.subscribe(readerId, done) : () => {};
+    const timer = setTimeout(done, Math.min(POLL_INTERVAL_MS, timeoutMs));
+    res.once("close", done);
+
+    function done() {
+      clearTimeout(timer);
+      unsubscribe();
+      res.off("close", done);
+      resolve();
+    }
+  });
+}
+
+/**
+ * Status entry for one ID of a batch lookup. Stripe errors (a missing
+ * payment, a rate limit) become an error entry for that ID alone.
+ */
+async function lookupPaymentIntent(req, id) {
+  try {
+    const paymentIntent = await req.stripe.paymentIntents.retrieve(id);
+    if (!canAccessLocation(req, paymentIntent.metadata.location)) {
+      return {
+        id,
+        error: { code: "location_forbidden", message: "This API key is not allowed to use this location" },
+      };
+    }
+    return formatPaymentIntent(paymentIntent);
+  } catch (error) {
+    if (!isStripeError(error)) {
+      throw error;
+    }
+    const { body } = translateStripeError(error);
+    return {
+      id,
+      error: { type: body.type, code: body.code, message: body.message },
+    };
+  }
+}
+
+/**
+ * @swagger
+ * /api/payment-status:
+ *   get:
+ *     summary: Get the current status of several payment intents
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: query
+ *         name: ids
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comma-separated payment intent IDs (at most 50)
+ *     responses:
+ *       200:
+ *         description: |
+ *           Payment statuses retrieved. Intents that could not be retrieved (not found,
+ *           rate limited, ...) or were taken at a location the API key may not use are
+ *           returned with an error entry instead of failing the whole batch.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 payment_intents:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Missing or too many payment intent IDs
+ *       500:
+ *         description: Server error
+ */
+router.get("/", requireRole("cashier"), async (req, res, next) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || "")
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean))];
+
+    if (!ids.length) {
+      return res.status(400).json({
+        status: "error",
+        message: "At least one payment intent ID is required in ids",
+      });
+    }
+
+    if (ids.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        status: "error",
+        message: `At most ${MAX_BATCH_SIZE} payment intent IDs can be requested at once`,
+      });
+    }
+
+    const paymentIntents = new Array(ids.length);
+    await forEachLimited(ids, BATCH_CONCURRENCY, async (id, index) => {
+      paymentIntents[index] = await lookupPaymentIntent(req, id);
+    });
+
+    res.status(200).json({
+      status: "success",
+      payment_intents: paymentIntents,
+    });
+  } catch (error) {
+    logger.error("Error retrieving payment statuses", { error });
+    next(error);
+  }
+});
 
 /**
  * @swagger
@@ -15,6 +162,16 @@ const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
  *         schema:
  *           type: string
  *         description: ID of the payment intent to check
+ *       - in: query
+ *         name: wait
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 60
+ *         description: |
+ *           Long-poll for up to this many seconds while the payment intent is still
+ *           requires_payment_method or processing. Responds as soon as the status changes,
+ *           or with the unchanged status when the time runs out.
  *     responses:
  *       200:
  *         description: Payment status retrieved successfully
@@ -35,6 +192,12 @@ const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
  *                       type: string
  *                     amount:
  *                       type: number
+ *                       description: Total amount, including any tip
+ *                     tip_amount:
+ *                       type: number
+ *                       description: Tip the customer added on the reader
+ *                     amount_before_tip:
+ *                       type: number
  *                     currency:
  *                       type: string
  *                     payment_method:
@@ -43,44 +206,46 @@ const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
  *                       type: number
  *                     metadata:
  *                       type: object
+ *       400:
+ *         description: Invalid wait value
+ *       403:
+ *         description: The payment was taken at a location the API key may not use
  *       404:
  *         description: Payment intent not found
  *       500:
  *         description: Server error
  */
-router.get("/:paymentIntentId", async (req, res) => {
+router.get("/:paymentIntentId", requireRole("cashier"), async (req, res, next) => {
   try {
     const { paymentIntentId } = req.params;
+    const wait = req.query.wait === undefined ? 0 : Number(req.query.wait);
+
+    let disconnected = false;
+    res.once("close", () => {
+      disconnected = true;
+    });
 
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    let paymentIntent = await req.stripe.paymentIntents.retrieve(paymentIntentId);
+    assertLocationAccess(req, paymentIntent.metadata.location);
 
-    if (!paymentIntent) {
-      return res.status(404).json({
-        status: "error",
-        message: "Payment intent not found",
-      });
+    const deadline = Date.now() + wait * 1000;
+    while (PENDING_STATUSES.includes(paymentIntent.status) && Date.now() < deadline) {
+      const readerId = paymentIntent.metadata && paymentIntent.metadata.readerId;
+      await waitForChange(readerId, res, deadline - Date.now());
+      if (disconnected) {
+        return;
+      }
+      paymentIntent = await req.stripe.paymentIntents.retrieve(paymentIntentId);
     }
 
     res.status(200).json({
       status: "success",
-      payment_intent: {
-        id: paymentIntent.id,
-        status: paymentIntent.status,
-        amount: paymentIntent.amount,
-        currency: paymentIntent.currency,
-        payment_method: paymentIntent.payment_method,
-        created: paymentIntent.created,
-        metadata: paymentIntent.metadata,
-        last_payment_error: paymentIntent.last_payment_error
-      },
+      payment_intent: formatPaymentIntent(paymentIntent),
     });
   } catch (error) {
-    console.error("Error retrieving payment status:", error);
-    res.status(500).json({
-      status: "error",
-      message: error.message,
-    });
+    logger.error("Error retrieving payment status", { error });
+    next(error);
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,7 +1,161 @@
 const express = require("express");
 const router = express.Router();
-const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 const simulatedReaderConfig = require('../config/simulated-reader');
+const readerEvents = require("../services/reader-events");
+const { idempotency, idempotencyOptions } = require("../middleware/idempotency");
+const money = require("../utils/money");
+const tipping = require("../services/tipping");
+const captureSweeper = require("../services/capture-sweeper");
+const receipts = require("../services/receipts");
+const { requireRole, assertLocationAccess } = require("../middleware/auth");
+const { rejectWhileDraining } = require("../middleware/draining");
+const { logger, addLogContext, logParam } = require("../logging");
+
+router.param("readerId", logParam("reader_id"));
+router.param("paymentIntentId", logParam("payment_intent_id"));
+
+// Location-scoped keys may only touch payment intents taken at their locations
+async function assertPaymentIntentAccess(req, paymentIntentId) {
+  if (!req.apiKey.locations) {
+    return;
+  }
+  const paymentIntent = await req.stripe.paymentIntents.retrieve(paymentIntentId);
+  assertLocationAccess(req, paymentIntent.metadata.location);
+}
+
+function incrementalAuthorizationParams({ request_incremental_authorization_support }) {
+  if (!request_incremental_authorization_support) {
+    return {};
+  }
+  return {
+    payment_method_options: {
+      card_present: { request_incremental_authorization_support: true },
+    },
+  };
+}
+
+// Interac debit cards can only pay in Canada, in CAD
+function paymentMethodTypes(currency) {
+  return money.normalizeCurrency(currency) === "cad" ? ["card_present", "interac_present"] : ["card_present"];
+}
+
+// A card presented for a payment with setup_future_usage is saved to the
+// customer as a reusable card payment method (generated_card)
+function customerParams({ customer, setup_future_usage }) {
+  const params = {};
+  if (customer) {
+    params.customer = customer;
+  }
+  if (setup_future_usage) {
+    params.setup_future_usage = setup_future_usage;
+  }
+  return params;
+}
+
+// Card-present details of the authorization behind a payment intent
+// retrieved with latest_charge expanded
+function cardPresentDetails(paymentIntent) {
+  const charge = paymentIntent.latest_charge;
+  return (charge && charge.payment_method_details && charge.payment_method_details.card_present) || {};
+}
+
+/**
+ * Receipt for a payment the caller may access. Sends the error response and
+ * resolves to null when the payment has not been completed.
+ */
+async function getReceipt(req, res, paymentIntentId) {
+  const paymentIntent = await req.stripe.paymentIntents.retrieve(paymentIntentId, {
+    expand: ["latest_charge"],
+  });
+  assertLocationAccess(req, paymentIntent.metadata.location);
+
+  if (paymentIntent.status !== "succeeded" || !paymentIntent.latest_charge) {
+    res.status(400).json({
+      status: "error",
+      message: "Receipts are only available for completed payments",
+    });
+    return null;
+  }
+
+  return receipts.buildReceipt(req.stripe, paymentIntent, req.app.locals.config.receipts);
+}
+
+// read_method values for the entry modes simulate-payment can ask for
+const ENTRY_MODES = {
+  contactless: "contactless_emv",
+  chip: "contact_emv",
+};
+
+// presentPaymentMethod parameters for a simulate-payment request: the card
+// of a named test scenario or an explicit test card number, plus a tip.
+// Returns { error } when invalid.
+function presentParams(req) {
+  const { scenario, card_number, entry_mode, amount_tip } = req.body;
+  const params = {};
+
+  if (scenario && card_number) {
+    return { error: "Use either scenario or card_number, not both" };
+  }
+  if (scenario && !simulatedReaderConfig.testScenarios[scenario]) {
+    return { error: `Unknown test scenario: ${scenario}` };
+  }
+  // Stripe's simulated readers choose the read method themselves
+  if (entry_mode && !req.stripe.emulated) {
+    return { error: "entry_mode can only be chosen with STRIPE_BACKEND=emulator" };
+  }
+
+  const card = scenario
+    ? simulatedReaderConfig.testScenarios[scenario]
+    : card_number && { type: "card_present", number: card_number };
+  if (card) {
+    params.type = card.type;
+    params[card.type] = { number: card.number };
+  }
+  if (entry_mode) {
+    params.type = params.type || "card_present";
+    params[params.type] = { ...params[params.type], read_method: ENTRY_MODES[entry_mode] };
+  }
+  if (amount_tip) {
+    params.amount_tip = amount_tip;
+  }
+
+  return { params };
+}
+
+// Connect parameters for a new payment intent: an application fee on either
+// kind of charge, plus transfer_data/on_behalf_of for destination charges,
+// which are created on the platform account. Returns { error } when invalid.
+function connectParams(req, amount) {
+  const { application_fee_amount, transfer_data, on_behalf_of } = req.body;
+  const params = {};
+
+  if ((transfer_data || on_behalf_of) && req.stripeAccount) {
+    return { error: "Destination charges must be created on the platform account, without Stripe-Account" };
+  }
+
+  if (application_fee_amount !== undefined) {
+    if (application_fee_amount >= amount) {
+      return { error: "application_fee_amount must be less than amount" };
+    }
+    if (transfer_data && transfer_data.amount !== undefined) {
+      return { error: "Use either application_fee_amount or transfer_data.amount, not both" };
+    }
+    params.application_fee_amount = application_fee_amount;
+  }
+
+  if (transfer_data) {
+    if (transfer_data.amount !== undefined && transfer_data.amount > amount) {
+      return { error: "transfer_data.amount cannot exceed amount" };
+    }
+    params.transfer_data = transfer_data;
+    // Terminal destination charges settle in the connected account's name
+    params.on_behalf_of = on_behalf_of || transfer_data.destination;
+  } else if (on_behalf_of) {
+    params.on_behalf_of = on_behalf_of;
+  }
+
+  return { params };
+}
 
 /**
  * @swagger
@@ -20,15 +174,55 @@ const simulatedReaderConfig = require('../config/simulated-reader');
  *               - readerId
  *             properties:
  *               amount:
- *                 type: number
- *                 description: Amount in cents
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Amount in the currency's smallest unit (cents for USD, yen for JPY, fils for KWD)
  *               currency:
  *                 type: string
+ *                 pattern: '^[A-Za-z]{3}$'
  *                 default: usd
- *                 description: Currency code
+ *                 description: Three-letter ISO currency code
  *               readerId:
  *                 type: string
+ *                 minLength: 1
  *                 description: ID of the terminal reader
+ *               simulated:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Skip the online check for simulated readers
+ *               customer:
+ *                 type: string
+ *                 pattern: '^cus_'
+ *                 description: Customer the payment belongs to
+ *               setup_future_usage:
+ *                 type: string
+ *                 enum: [off_session, on_session]
+ *                 description: Save the card presented for later payments (requires customer)
+ *               request_incremental_authorization_support:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Allow raising the authorized amount later (e.g. open bar tabs), where the card supports it
+ *               application_fee_amount:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Platform fee in the smallest currency unit, kept by the platform (Connect)
+ *               transfer_data:
+ *                 type: object
+ *                 required:
+ *                   - destination
+ *                 properties:
+ *                   destination:
+ *                     type: string
+ *                     pattern: '^acct_'
+ *                     description: Connected account that receives the funds (destination charge)
+ *                   amount:
+ *                     type: integer
+ *                     minimum: 1
+ *                     description: Amount to transfer instead of amount minus application_fee_amount
+ *               on_behalf_of:
+ *                 type: string
+ *                 pattern: '^acct_'
+ *                 description: Connected account the charge is settled for; defaults to transfer_data.destination
  *     responses:
  *       200:
  *         description: Payment intent created successfully
@@ -36,52 +230,76 @@ const simulatedReaderConfig = require('../config/simulated-reader');
  *         description: Invalid request parameters
  *       404:
  *         description: Reader not found
+ *       409:
+ *         description: Reader is offline or busy
  *       500:
  *         description: Server error
  */
 
 // Create a payment intent for a specific reader
-router.post("/create-payment-intent", async (req, res) => {
+router.post("/create-payment-intent", requireRole("cashier"), idempotency(), async (req, res, next) => {
   try {
-    const { amount, currency = simulatedReaderConfig.testMode.defaultCurrency, readerId, simulated = false } = req.body;
+    const { amount, currency = req.app.locals.config.defaultCurrency, readerId, simulated = false } = req.body;
+    addLogContext({ reader_id: readerId });
 
-    if (!amount || amount <= 0) {
+    const amountError = money.validateAmount(amount, currency);
+    if (amountError) {
       return res.status(400).json({
         status: "error",
-        message: "Valid amount is required",
+        message: amountError,
       });
     }
 
-    if (!readerId) {
+    const currencyError = await money.validateCurrency(req.stripe, currency);
+    if (currencyError) {
       return res.status(400).json({
         status: "error",
-        message: "Reader ID is required",
+        message: currencyError,
       });
     }
 
-    // Verify reader exists
-    const reader = await stripe.terminal.readers.retrieve(readerId);
-    if (!reader) {
-      return res.status(404).json({
+    if (req.body.setup_future_usage && !req.body.customer) {
+      return res.status(400).json({
         status: "error",
-        message: "Reader not found",
+        message: "customer is required to save the card with setup_future_usage",
       });
     }
 
+    const connect = connectParams(req, amount);
+    if (connect.error) {
+      return res.status(400).json({
+        status: "error",
+        message: connect.error,
+      });
+    }
+
+    // Verify reader exists
+    const reader = await req.stripe.terminal.readers.retrieve(readerId);
+    assertLocationAccess(req, reader.location);
+
     // For simulated readers, we don't need to check if it's online
     if (!simulated && reader.status !== 'online') {
-      return res.status(400).json({
+      return res.status(409).json({
         status: "error",
         message: "Reader is not online",
+        code: "terminal_reader_offline",
       });
     }
 
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency,
-      payment_method_types: ["card_present"],
+    const paymentIntent = await req.stripe.paymentIntents.create({
+      amount, // Already in the currency's smallest unit
+      currency: money.normalizeCurrency(currency),
+      payment_method_types: paymentMethodTypes(currency),
       capture_method: "manual", // For terminal payments
-      metadata: { readerId }, // Store reader information
+      metadata: { readerId, location: reader.location }, // Store reader information
+      ...incrementalAuthorizationParams(req.body),
+      ...customerParams(req.body),
+      ...connect.params,
+    }, idempotencyOptions(req, "create"));
+    addLogContext({ payment_intent_id: paymentIntent.id });
+    await req.app.locals.ledger.recordPaymentIntent(paymentIntent, "payment_intent.created", {
+      readerId,
+      account: req.stripeAccount,
     });
 
     res.status(200).json({
@@ -89,11 +307,90 @@ router.post("/create-payment-intent", async (req, res) => {
       paymentIntent,
     });
   } catch (error) {
-    console.error("Error creating payment intent:", error);
-    res.status(500).json({
-      status: "error",
-      message: error.message,
+    logger.error("Error creating payment intent", { error });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/pending-capture:
+ *   get:
+ *     summary: List authorized payments that have not been captured yet
+ *     description: |
+ *       Covers payment intents created through this service in the last 7 days that the
+ *       transaction ledger shows as requires_capture; Stripe is not queried. Each entry shows
+ *       when the capture sweeper will capture or cancel it (null when that action is off) and
+ *       Stripe's deadline for capturing it (null until the sweeper has checked the payment).
+ *     tags: [Payments]
+ *     responses:
+ *       200:
+ *         description: Pending captures retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 payments:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       reader_id:
+ *                         type: string
+ *                       amount:
+ *                         type: integer
+ *                       amount_capturable:
+ *                         type: integer
+ *                       currency:
+ *                         type: string
+ *                       created:
+ *                         type: string
+ *                         format: date-time
+ *                       auto_capture_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       cancel_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       capture_before:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *       500:
+ *         description: Server error
+ */
+router.get("/pending-capture", requireRole("manager"), async (req, res, next) => {
+  try {
+    const pending = await captureSweeper.listPendingCaptures(req.app.locals.store, {
+      accountId: req.stripeAccount || null,
+      locationIds: req.apiKey.locations || undefined,
     });
+
+    const payments = pending.map((transaction) => ({
+      id: transaction.id,
+      reader_id: transaction.reader_id,
+      amount: transaction.amount,
+      amount_capturable: transaction.amount_capturable,
+      currency: transaction.currency,
+      created: transaction.created_at,
+      ...captureSweeper.sweepSchedule(transaction, req.app.locals.config.sweeper),
+    }));
+
+    res.status(200).json({
+      status: "success",
+      payments,
+    });
+  } catch (error) {
+    logger.error("Error listing pending captures", { error });
+    next(error);
   }
 });
 
@@ -110,28 +407,190 @@ router.post("/create-payment-intent", async (req, res) => {
  *         schema:
  *           type: string
  *         description: ID of the payment intent to capture
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount_to_capture:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: |
+ *                   Amount to capture in the smallest currency unit; defaults to the full authorized
+ *                   amount. Less than the authorized amount releases the rest; more is only allowed
+ *                   when the card supports over-capture.
  *     responses:
  *       200:
  *         description: Payment captured successfully
+ *       400:
+ *         description: Payment is not awaiting capture, or amount_to_capture is not allowed
  *       500:
  *         description: Server error
  */
-router.post("/capture-payment/:paymentIntentId", async (req, res) => {
+router.post("/capture-payment/:paymentIntentId", requireRole("manager"), idempotency(), async (req, res, next) => {
   try {
     const { paymentIntentId } = req.params;
+    const { amount_to_capture } = req.body;
+
+    if (amount_to_capture === undefined) {
+      await assertPaymentIntentAccess(req, paymentIntentId);
+    } else {
+      const authorized = await req.stripe.paymentIntents.retrieve(paymentIntentId, {
+        expand: ["latest_charge"],
+      });
+      assertLocationAccess(req, authorized.metadata.location);
+
+      if (authorized.status !== "requires_capture") {
+        return res.status(400).json({
+          status: "error",
+          message: "Only authorized payments awaiting capture can be captured",
+        });
+      }
+
+      const amountError = money.validateAmount(amount_to_capture, authorized.currency, { minimum: 1 });
+      if (amountError) {
+        return res.status(400).json({
+          status: "error",
+          message: amountError,
+        });
+      }
+
+      if (
+        amount_to_capture > authorized.amount_capturable &&
+        !cardPresentDetails(authorized).overcapture_supported
+      ) {
+        return res.status(400).json({
+          status: "error",
+          message: `amount_to_capture exceeds the authorized amount of ${money.formatAmount(authorized.amount_capturable, authorized.currency)} and this card does not support over-capture`,
+        });
+      }
+    }
 
-    const paymentIntent = await stripe.paymentIntents.capture(paymentIntentId);
+    const paymentIntent = await req.stripe.paymentIntents.capture(
+      paymentIntentId,
+      { amount_to_capture },
+      idempotencyOptions(req, "capture")
+    );
+    await req.app.locals.ledger.recordPaymentIntent(paymentIntent, "payment_intent.captured", {
+      account: req.stripeAccount,
+    });
 
     res.status(200).json({
       status: "success",
       paymentIntent,
     });
   } catch (error) {
-    console.error("Error capturing payment:", error);
-    res.status(500).json({
-      status: "error",
-      message: error.message,
+    logger.error("Error capturing payment", { error });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/{paymentIntentId}/increment-authorization:
+ *   post:
+ *     summary: Raise the authorized amount of an uncaptured payment (e.g. an open bar tab)
+ *     description: |
+ *       The payment must have been created with request_incremental_authorization_support and
+ *       the card must support incremental authorization. The increase can be declined, in which
+ *       case the previous authorization stays capturable.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: paymentIntentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the payment intent to increment
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: New total amount to authorize, in the smallest currency unit
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *               metadata:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Authorization incremented
+ *       400:
+ *         description: Payment is not awaiting capture, the card does not support it, or amount is not higher
+ *       402:
+ *         description: The card issuer declined the increase
+ *       404:
+ *         description: Payment intent not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/:paymentIntentId/increment-authorization", requireRole("cashier"), idempotency(), async (req, res, next) => {
+  try {
+    const { paymentIntentId } = req.params;
+    const { amount, description, metadata } = req.body;
+
+    const authorized = await req.stripe.paymentIntents.retrieve(paymentIntentId, {
+      expand: ["latest_charge"],
     });
+    assertLocationAccess(req, authorized.metadata.location);
+
+    if (authorized.status !== "requires_capture") {
+      return res.status(400).json({
+        status: "error",
+        message: "Only authorized payments awaiting capture can be incremented",
+      });
+    }
+
+    if (!cardPresentDetails(authorized).incremental_authorization_supported) {
+      return res.status(400).json({
+        status: "error",
+        message: "This payment does not support incremental authorization",
+      });
+    }
+
+    const amountError = money.validateAmount(amount, authorized.currency);
+    if (amountError) {
+      return res.status(400).json({
+        status: "error",
+        message: amountError,
+      });
+    }
+
+    if (amount <= authorized.amount) {
+      return res.status(400).json({
+        status: "error",
+        message: `amount must be more than the authorized amount of ${money.formatAmount(authorized.amount, authorized.currency)}`,
+      });
+    }
+
+    const paymentIntent = await req.stripe.paymentIntents.incrementAuthorization(
+      paymentIntentId,
+      { amount, description, metadata },
+      idempotencyOptions(req, "increment")
+    );
+    await req.app.locals.ledger.recordPaymentIntent(paymentIntent, "payment_intent.authorization_incremented", {
+      account: req.stripeAccount,
+    });
+
+    res.status(200).json({
+      status: "success",
+      paymentIntent,
+    });
+  } catch (error) {
+    logger.error("Error incrementing authorization", { error });
+    next(error);
   }
 });
 
@@ -154,103 +613,359 @@ router.post("/capture-payment/:paymentIntentId", async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post("/cancel-payment/:paymentIntentId", async (req, res) => {
+router.post("/cancel-payment/:paymentIntentId", requireRole("manager"), idempotency(), async (req, res, next) => {
   try {
     const { paymentIntentId } = req.params;
+    await assertPaymentIntentAccess(req, paymentIntentId);
 
-    const paymentIntent = await stripe.paymentIntents.cancel(paymentIntentId);
+    const paymentIntent = await req.stripe.paymentIntents.cancel(
+      paymentIntentId,
+      {},
+      idempotencyOptions(req, "cancel")
+    );
+    await req.app.locals.ledger.recordPaymentIntent(paymentIntent, "payment_intent.canceled", {
+      account: req.stripeAccount,
+    });
 
     res.status(200).json({
       status: "success",
       paymentIntent,
     });
   } catch (error) {
-    console.error("Error canceling payment:", error);
-    res.status(500).json({
-      status: "error",
-      message: error.message,
+    logger.error("Error canceling payment", { error });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/{paymentIntentId}/refunds:
+ *   post:
+ *     summary: Refund a captured payment intent (full or partial)
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: paymentIntentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the captured payment intent to refund
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Amount to refund in the currency's smallest unit. Defaults to the remaining refundable amount
+ *               reason:
+ *                 type: string
+ *                 enum: [duplicate, fraudulent, requested_by_customer]
+ *                 description: Reason for the refund
+ *               metadata:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 description: Key-value pairs to attach to the refund
+ *     responses:
+ *       201:
+ *         description: Refund created successfully
+ *       400:
+ *         description: Invalid request parameters or amount exceeds the refundable amount
+ *       500:
+ *         description: Server error
+ *   get:
+ *     summary: List refunds for a payment intent
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: paymentIntentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the payment intent
+ *     responses:
+ *       200:
+ *         description: Refunds retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 refundable_amount:
+ *                   type: integer
+ *                   example: 500
+ *                 refunds:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       500:
+ *         description: Server error
+ */
+router.post("/:paymentIntentId/refunds", requireRole("manager"), idempotency(), async (req, res, next) => {
+  try {
+    const { paymentIntentId } = req.params;
+    const { amount, reason, metadata } = req.body;
+
+    const paymentIntent = await req.stripe.paymentIntents.retrieve(paymentIntentId, {
+      expand: ["latest_charge"],
+    });
+    assertLocationAccess(req, paymentIntent.metadata.location);
+
+    // Partial refunds have no minimum charge amount
+    const amountError =
+      amount !== undefined &&
+      money.validateAmount(amount, paymentIntent.currency, { minimum: 1 });
+    if (amountError) {
+      return res.status(400).json({
+        status: "error",
+        message: amountError,
+      });
+    }
+
+    if (paymentIntent.status !== "succeeded" || !paymentIntent.latest_charge) {
+      return res.status(400).json({
+        status: "error",
+        message: "Only captured payments can be refunded",
+      });
+    }
+
+    const charge = paymentIntent.latest_charge;
+    const refundableAmount = charge.amount_captured - charge.amount_refunded;
+
+    if (refundableAmount <= 0) {
+      return res.status(400).json({
+        status: "error",
+        message: "Payment has already been fully refunded",
+      });
+    }
+
+    if (amount !== undefined && amount > refundableAmount) {
+      return res.status(400).json({
+        status: "error",
+        message: `Refund amount exceeds the remaining refundable amount of ${money.formatAmount(refundableAmount, paymentIntent.currency)}`,
+      });
+    }
+
+    // The expanded charge carries the refunded total for the ledger
+    const refund = await req.stripe.refunds.create({
+      payment_intent: paymentIntentId,
+      amount,
+      reason,
+      metadata,
+      expand: ["charge"],
+    }, idempotencyOptions(req, "refund"));
+    await req.app.locals.ledger.recordRefund(refund);
+
+    res.status(201).json({
+      status: "success",
+      refund: { ...refund, charge: refund.charge && refund.charge.id },
+    });
+  } catch (error) {
+    logger.error("Error creating refund", { error });
+    next(error);
+  }
+});
+
+router.get("/:paymentIntentId/refunds", requireRole("manager"), async (req, res, next) => {
+  try {
+    const { paymentIntentId } = req.params;
+
+    const paymentIntent = await req.stripe.paymentIntents.retrieve(paymentIntentId, {
+      expand: ["latest_charge"],
+    });
+    assertLocationAccess(req, paymentIntent.metadata.location);
+    const refunds = await req.stripe.refunds.list({
+      payment_intent: paymentIntentId,
+      limit: 100,
+    });
+
+    const charge = paymentIntent.latest_charge;
+
+    res.status(200).json({
+      status: "success",
+      refundable_amount: charge ? charge.amount_captured - charge.amount_refunded : 0,
+      refunds: refunds.data,
+    });
+  } catch (error) {
+    logger.error("Error fetching refunds", { error });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/{paymentIntentId}/receipt:
+ *   get:
+ *     summary: Get the receipt for a completed payment
+ *     description: |
+ *       Built from the charge's card_present details: merchant, location, card brand and last 4,
+ *       entry mode, application name and AID, amounts including tip, and the payment time.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: paymentIntentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the payment intent
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, text, html]
+ *           default: json
+ *         description: json for a structured receipt, text for thermal printers, html for screens and email
+ *       - in: query
+ *         name: width
+ *         schema:
+ *           type: integer
+ *           minimum: 24
+ *           maximum: 64
+ *           default: 42
+ *         description: Line width of the text receipt (32 for 58 mm paper, 42-48 for 80 mm)
+ *     responses:
+ *       200:
+ *         description: Receipt rendered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 receipt:
+ *                   type: object
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Payment has not been completed
+ *       404:
+ *         description: Payment intent not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/:paymentIntentId/receipt", requireRole("cashier"), async (req, res, next) => {
+  try {
+    const { format = "json" } = req.query;
+
+    const receipt = await getReceipt(req, res, req.params.paymentIntentId);
+    if (!receipt) {
+      return;
+    }
+
+    if (format === "text") {
+      const width = req.query.width === undefined ? undefined : Number(req.query.width);
+      return res.type("text/plain").send(receipts.renderReceiptText(receipt, { width }));
+    }
+    if (format === "html") {
+      return res.type("html").send(receipts.renderReceiptHtml(receipt));
+    }
+
+    res.status(200).json({
+      status: "success",
+      receipt,
     });
+  } catch (error) {
+    logger.error("Error building receipt", { error });
+    next(error);
   }
 });
 
 /**
  * @swagger
- * /api/payments/webhook:
+ * /api/payments/{paymentIntentId}/receipt/email:
  *   post:
- *     summary: Handle Stripe webhook events
+ *     summary: Email the receipt for a completed payment
+ *     description: |
+ *       Sends the HTML receipt, with the text receipt as the plain-text part, through the
+ *       configured mail transport (MAIL_TRANSPORT=smtp, or file to write .eml files locally).
  *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: paymentIntentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the payment intent
  *     requestBody:
- *       required: true
+ *       required: false
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 maxLength: 254
+ *                 description: |
+ *                   Recipient, a single address; defaults to the payment's receipt_email. Lists
+ *                   and display names ("Name <address>") are rejected.
  *     responses:
  *       200:
- *         description: Webhook event processed successfully
+ *         description: Receipt sent
  *       400:
- *         description: Invalid webhook signature
+ *         description: Payment has not been completed, or no recipient is known
+ *       404:
+ *         description: Payment intent not found
+ *       502:
+ *         description: The mail server rejected the message
+ *       500:
+ *         description: Server error
  */
-router.post(
-  "/webhook",
-  express.raw({ type: "application/json" }),
-  async (req, res) => {
-    const sig = req.headers["stripe-signature"];
+router.post("/:paymentIntentId/receipt/email", requireRole("cashier"), idempotency(), async (req, res, next) => {
+  try {
+    const receipt = await getReceipt(req, res, req.params.paymentIntentId);
+    if (!receipt) {
+      return;
+    }
 
-    try {
-      const event = stripe.webhooks.constructEvent(
-        req.body,
-        sig,
-        process.env.STRIPE_WEBHOOK_SECRET
-      );
-
-      // Handle specific events
-      let response = { received: true };
-      
-      switch (event.type) {
-        case "payment_intent.succeeded":
-          const paymentIntent = event.data.object;
-          console.log("Payment succeeded:", paymentIntent.id);
-          response = {
-            received: true,
-            status: "success",
-            payment_intent: {
-              id: paymentIntent.id,
-              status: paymentIntent.status,
-              amount: paymentIntent.amount,
-              currency: paymentIntent.currency,
-              payment_method: paymentIntent.payment_method,
-              created: paymentIntent.created,
-              metadata: paymentIntent.metadata
-            }
-          };
-          break;
-        case "payment_intent.payment_failed":
-          const failedPayment = event.data.object;
-          console.log("Payment failed:", failedPayment.id);
-          response = {
-            received: true,
-            status: "failed",
-            payment_intent: {
-              id: failedPayment.id,
-              status: failedPayment.status,
-              amount: failedPayment.amount,
-              currency: failedPayment.currency,
-              error: failedPayment.last_payment_error,
-              created: failedPayment.created,
-              metadata: failedPayment.metadata
-            }
-          };
-          break;
-      }
+    const to = req.body.email || receipt.receipt_email;
+    if (!to) {
+      return res.status(400).json({
+        status: "error",
+        message: "email is required when the payment has no receipt_email",
+      });
+    }
 
-      res.json({ received: true });
+    let sent;
+    try {
+      sent = await req.app.locals.mailer.sendMail({
+        to,
+        subject: `Your receipt from ${receipt.merchant.name || "your purchase"}`,
+        text: receipts.renderReceiptText(receipt),
+        html: receipts.renderReceiptHtml(receipt),
+      });
     } catch (error) {
-      console.error("Webhook error:", error);
-      res.status(400).send(`Webhook Error: ${error.message}`);
+      logger.error("Error sending receipt email", { error });
+      return res.status(502).json({
+        status: "error",
+        message: "The receipt could not be sent",
+      });
     }
+
+    res.status(200).json({
+      status: "success",
+      to,
+      message_id: sent.messageId,
+    });
+  } catch (error) {
+    logger.error("Error emailing receipt", { error });
+    next(error);
   }
-);
+});
 
 /**
  * @swagger
@@ -276,7 +991,22 @@ router.post(
  *             properties:
  *               payment_intent:
  *                 type: string
+ *                 minLength: 1
  *                 description: ID of the payment intent to process
+ *               skip_tipping:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Skip the tip selection screen for this payment
+ *               tipping:
+ *                 type: object
+ *                 description: |
+ *                   Tip options for this payment. The tip presets offered are set per location with
+ *                   PUT /api/locations/{locationId}/tipping.
+ *                 properties:
+ *                   amount_eligible:
+ *                     type: integer
+ *                     minimum: 1
+ *                     description: Part of the amount tips are calculated on (e.g. excluding tax)
  *     responses:
  *       200:
  *         description: Payment processed successfully
@@ -294,55 +1024,64 @@ router.post(
  *         description: Invalid request parameters
  *       404:
  *         description: Reader or payment intent not found
+ *       409:
+ *         description: Reader is offline or busy
+ *       503:
+ *         description: Server is shutting down and not starting reader actions
  *       500:
  *         description: Server error
  */
-router.post("/process-payment/:readerId", async (req, res) => {
+router.post("/process-payment/:readerId", requireRole("cashier"), rejectWhileDraining(), idempotency(), async (req, res, next) => {
   try {
     const { readerId } = req.params;
     const { payment_intent } = req.body;
-
-    if (!payment_intent) {
-      return res.status(400).json({
-        status: "error",
-        message: "Payment intent ID is required",
-      });
-    }
+    addLogContext({ payment_intent_id: payment_intent });
 
     // Verify reader exists and is online
-    const reader = await stripe.terminal.readers.retrieve(readerId);
-    if (!reader) {
-      return res.status(404).json({
-        status: "error",
-        message: "Reader not found",
-      });
-    }
+    const reader = await req.stripe.terminal.readers.retrieve(readerId);
+    assertLocationAccess(req, reader.location);
 
     if (reader.status !== 'online') {
-      return res.status(400).json({
+      return res.status(409).json({
         status: "error",
         message: "Reader is not online",
+        code: "terminal_reader_offline",
       });
     }
 
+    // Location-scoped keys may only process payments created for their
+    // locations, whichever reader they use
+    const paymentIntent = await req.stripe.paymentIntents.retrieve(payment_intent);
+    assertLocationAccess(req, paymentIntent.metadata.location);
+
+    if (req.body.tipping) {
+      const tippingError = tipping.validateTipping(req.body, paymentIntent.amount);
+      if (tippingError) {
+        return res.status(400).json({
+          status: "error",
+          message: tippingError,
+        });
+      }
+    }
+
     // Process the payment intent on the terminal reader
-    const processedReader = await stripe.terminal.readers.processPaymentIntent(
+    const processedReader = await req.stripe.terminal.readers.processPaymentIntent(
       readerId,
       {
         payment_intent,
-      }
+        process_config: tipping.processConfig(req.body),
+      },
+      idempotencyOptions(req, "process")
     );
+    readerEvents.publish(readerId, "reader.action_started", { action: processedReader.action });
 
     res.status(200).json({
       status: "success",
       reader: processedReader,
     });
   } catch (error) {
-    console.error("Error processing payment:", error);
-    res.status(500).json({
-      status: "error",
-      message: error.message,
-    });
+    logger.error("Error processing payment", { error });
+    next(error);
   }
 });
 
@@ -351,6 +1090,15 @@ router.post("/process-payment/:readerId", async (req, res) => {
  * /api/payments/simulate-payment/{readerId}:
  *   post:
  *     summary: Simulate card presentation on a terminal reader (Test Mode Only)
+ *     description: |
+ *       Presents a test card to a simulated reader that is processing a payment or saving a card.
+ *       Pick the card by scenario name (see testScenarios in src/config/simulated-reader.js) or
+ *       by test card number; a Visa that is approved is presented when neither is given. The
+ *       outcome arrives like a real payment, through payment status and webhooks.
+ *
+ *       Independently of the card, payments whose amount ends in 01, 05, 55, 65 or 75 are
+ *       declined with call_issuer, generic_decline, incorrect_pin, withdrawal_count_limit_exceeded
+ *       and pin_try_exceeded respectively.
  *     tags: [Payments]
  *     parameters:
  *       - in: path
@@ -359,6 +1107,29 @@ router.post("/process-payment/:readerId", async (req, res) => {
  *         schema:
  *           type: string
  *         description: ID of the terminal reader to simulate payment
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scenario:
+ *                 type: string
+ *                 description: Named test card to present, one of the test mode scenarios in the API description
+ *               card_number:
+ *                 type: string
+ *                 pattern: '^[0-9]{12,19}$'
+ *                 description: Any card_present test card number, instead of a scenario
+ *               entry_mode:
+ *                 type: string
+ *                 enum: [contactless, chip]
+ *                 description: |
+ *                   How the card is read (default contactless). Only available with
+ *                   STRIPE_BACKEND=emulator; Stripe's simulated readers choose it themselves.
+ *               amount_tip:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Tip the customer adds on the reader, in the smallest currency unit
  *     responses:
  *       200:
  *         description: Payment simulation successful
@@ -369,32 +1140,43 @@ router.post("/process-payment/:readerId", async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post("/simulate-payment/:readerId", async (req, res) => {
+router.post("/simulate-payment/:readerId", requireRole("cashier"), idempotency(), async (req, res, next) => {
   try {
     const { readerId } = req.params;
 
+    if (!req.app.locals.config.testMode) {
+      return res.status(400).json({
+        status: "error",
+        message: "Simulated payments are only available in test mode",
+      });
+    }
+
     // Verify reader exists
-    const reader = await stripe.terminal.readers.retrieve(readerId);
-    if (!reader) {
-      return res.status(404).json({
+    const reader = await req.stripe.terminal.readers.retrieve(readerId);
+    assertLocationAccess(req, reader.location);
+
+    const { error: presentError, params } = presentParams(req);
+    if (presentError) {
+      return res.status(400).json({
         status: "error",
-        message: "Reader not found",
+        message: presentError,
       });
     }
 
     // Simulate card presentation
-    const simulatedReader = await stripe.testHelpers.terminal.readers.presentPaymentMethod(readerId);
+    const simulatedReader = await req.stripe.testHelpers.terminal.readers.presentPaymentMethod(
+      readerId,
+      params,
+      idempotencyOptions(req, "present")
+    );
 
     res.status(200).json({
       status: "success",
       reader: simulatedReader,
     });
   } catch (error) {
-    console.error("Error simulating payment:", error);
-    res.status(500).json({
-      status: "error",
-      message: error.message,
-    });
+    logger.error("Error simulating payment", { error });
+    next(error);
   }
 });
 
@@ -421,16 +1203,65 @@ router.post("/simulate-payment/:readerId", async (req, res) => {
  *               - amount
  *             properties:
  *               amount:
- *                 type: number
- *                 description: Amount in cents
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Amount in the currency's smallest unit (cents for USD, yen for JPY, fils for KWD)
  *               currency:
  *                 type: string
+ *                 pattern: '^[A-Za-z]{3}$'
  *                 default: usd
- *                 description: Currency code
+ *                 description: Three-letter ISO currency code
  *               simulated:
  *                 type: boolean
  *                 default: false
  *                 description: Whether to use simulated mode
+ *               skip_tipping:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Skip the tip selection screen for this payment
+ *               tipping:
+ *                 type: object
+ *                 description: |
+ *                   Tip options for this payment. The tip presets offered are set per location with
+ *                   PUT /api/locations/{locationId}/tipping.
+ *                 properties:
+ *                   amount_eligible:
+ *                     type: integer
+ *                     minimum: 1
+ *                     description: Part of the amount tips are calculated on (e.g. excluding tax)
+ *               customer:
+ *                 type: string
+ *                 pattern: '^cus_'
+ *                 description: Customer the payment belongs to
+ *               setup_future_usage:
+ *                 type: string
+ *                 enum: [off_session, on_session]
+ *                 description: Save the card presented for later payments (requires customer)
+ *               request_incremental_authorization_support:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Allow raising the authorized amount later (e.g. open bar tabs), where the card supports it
+ *               application_fee_amount:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Platform fee in the smallest currency unit, kept by the platform (Connect)
+ *               transfer_data:
+ *                 type: object
+ *                 required:
+ *                   - destination
+ *                 properties:
+ *                   destination:
+ *                     type: string
+ *                     pattern: '^acct_'
+ *                     description: Connected account that receives the funds (destination charge)
+ *                   amount:
+ *                     type: integer
+ *                     minimum: 1
+ *                     description: Amount to transfer instead of amount minus application_fee_amount
+ *               on_behalf_of:
+ *                 type: string
+ *                 pattern: '^acct_'
+ *                 description: Connected account the charge is settled for; defaults to transfer_data.destination
  *     responses:
  *       200:
  *         description: Payment created and processed successfully
@@ -450,54 +1281,97 @@ router.post("/simulate-payment/:readerId", async (req, res) => {
  *         description: Invalid request parameters
  *       404:
  *         description: Reader not found
+ *       409:
+ *         description: Reader is offline or busy
+ *       503:
+ *         description: Server is shutting down and not starting reader actions
  *       500:
  *         description: Server error
  */
-router.post("/create-and-process-payment/:readerId", async (req, res) => {
+router.post("/create-and-process-payment/:readerId", requireRole("cashier"), rejectWhileDraining(), idempotency(), async (req, res, next) => {
   try {
     const { readerId } = req.params;
-    const { amount, currency = simulatedReaderConfig.testMode.defaultCurrency, simulated = false } = req.body;
+    const { amount, currency = req.app.locals.config.defaultCurrency, simulated = false } = req.body;
 
-    if (!amount || amount <= 0) {
+    const amountError = money.validateAmount(amount, currency);
+    if (amountError) {
       return res.status(400).json({
         status: "error",
-        message: "Valid amount is required",
+        message: amountError,
       });
     }
 
-    // Verify reader exists
-    const reader = await stripe.terminal.readers.retrieve(readerId);
-    if (!reader) {
-      return res.status(404).json({
+    const currencyError = await money.validateCurrency(req.stripe, currency);
+    if (currencyError) {
+      return res.status(400).json({
+        status: "error",
+        message: currencyError,
+      });
+    }
+
+    if (req.body.setup_future_usage && !req.body.customer) {
+      return res.status(400).json({
+        status: "error",
+        message: "customer is required to save the card with setup_future_usage",
+      });
+    }
+
+    const connect = connectParams(req, amount);
+    if (connect.error) {
+      return res.status(400).json({
         status: "error",
-        message: "Reader not found",
+        message: connect.error,
       });
     }
 
+    const tippingError = tipping.validateTipping(req.body, amount);
+    if (tippingError) {
+      return res.status(400).json({
+        status: "error",
+        message: tippingError,
+      });
+    }
+
+    // Verify reader exists
+    const reader = await req.stripe.terminal.readers.retrieve(readerId);
+    assertLocationAccess(req, reader.location);
+
     // For simulated readers, we don't need to check if it's online
     if (!simulated && reader.status !== 'online') {
-      return res.status(400).json({
+      return res.status(409).json({
         status: "error",
         message: "Reader is not online",
+        code: "terminal_reader_offline",
       });
     }
 
     // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency,
-      payment_method_types: ["card_present"],
+    const paymentIntent = await req.stripe.paymentIntents.create({
+      amount, // Already in the currency's smallest unit
+      currency: money.normalizeCurrency(currency),
+      payment_method_types: paymentMethodTypes(currency),
       capture_method: "manual", // For terminal payments
-      metadata: { readerId }, // Store reader information
+      metadata: { readerId, location: reader.location }, // Store reader information
+      ...incrementalAuthorizationParams(req.body),
+      ...customerParams(req.body),
+      ...connect.params,
+    }, idempotencyOptions(req, "create"));
+    addLogContext({ payment_intent_id: paymentIntent.id });
+    await req.app.locals.ledger.recordPaymentIntent(paymentIntent, "payment_intent.created", {
+      readerId,
+      account: req.stripeAccount,
     });
 
     // Process the payment intent on the terminal reader
-    const processedReader = await stripe.terminal.readers.processPaymentIntent(
+    const processedReader = await req.stripe.terminal.readers.processPaymentIntent(
       readerId,
       {
         payment_intent: paymentIntent.id,
-      }
+        process_config: tipping.processConfig(req.body),
+      },
+      idempotencyOptions(req, "process")
     );
+    readerEvents.publish(readerId, "reader.action_started", { action: processedReader.action });
 
     res.status(200).json({
       status: "success",
@@ -505,11 +1379,8 @@ router.post("/create-and-process-payment/:readerId", async (req, res) => {
       reader: processedReader,
     });
   } catch (error) {
-    console.error("Error processing payment:", error);
-    res.status(500).json({
-      status: "error",
-      message: error.message,
-    });
+    logger.error("Error processing payment", { error });
+    next(error);
   }
 });
 
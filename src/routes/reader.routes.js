@@ -1,17 +1,88 @@
 const express = require("express");
 const router = express.Router();
-const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 const simulatedReaderConfig = require("../config/simulated-reader");
+const readerEvents = require("../services/reader-events");
+const money = require("../utils/money");
+const { idempotency, idempotencyOptions } = require("../middleware/idempotency");
+const { collectInputs } = require("../services/reader-inputs");
+const { getSimulatedLocationId } = require("../services/locations");
+const { requireRole, assertLocationAccess, defaultLocation } = require("../middleware/auth");
+const { rejectWhileDraining } = require("../middleware/draining");
+const { logger, logParam } = require("../logging");
+
+// Interval between SSE keep-alive comments, so proxies keep the stream open
+const SSE_HEARTBEAT_MS = 15000;
+
+router.param("readerId", logParam("reader_id"));
+
+// Retrieve a reader the caller's API key is allowed to use
+async function getAccessibleReader(req, readerId) {
+  const reader = await req.stripe.terminal.readers.retrieve(readerId);
+  assertLocationAccess(req, reader.location);
+  return reader;
+}
+
+/**
+ * Retrieve a reader and check that it can take an action, the same way
+ * process-payment does. Sends the error response and resolves to null when
+ * the reader is offline; a missing reader rejects with Stripe's
+ * resource_missing error.
+ */
+async function getOnlineReader(req, res, readerId) {
+  const reader = await getAccessibleReader(req, readerId);
+
+  if (reader.status !== "online") {
+    res.status(409).json({
+      status: "error",
+      message: "Reader is not online",
+      code: "terminal_reader_offline",
+    });
+    return null;
+  }
+
+  return reader;
+}
 
 /**
  * @swagger
  * /api/readers:
  *   get:
- *     summary: Get all terminal readers
+ *     summary: Get terminal readers
  *     tags: [Readers]
+ *     parameters:
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Only return readers assigned to this location ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [online, offline]
+ *         description: Only return readers with this network status
+ *       - in: query
+ *         name: device_type
+ *         schema:
+ *           type: string
+ *           example: bbpos_wisepos_e
+ *         description: Only return readers of this device type
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Maximum number of readers to return
+ *       - in: query
+ *         name: starting_after
+ *         schema:
+ *           type: string
+ *         description: Reader ID to start after (the last ID of the previous page)
  *     responses:
  *       200:
- *         description: List of all readers retrieved successfully
+ *         description: List of readers retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -24,22 +95,44 @@ const simulatedReaderConfig = require("../config/simulated-reader");
  *                   type: array
  *                   items:
  *                     type: object
+ *                 has_more:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid query parameters
  *       500:
  *         description: Server error
  */
-router.get("/", async (req, res) => {
+router.get("/", requireRole("cashier"), async (req, res, next) => {
   try {
-    const readers = await stripe.terminal.readers.list();
+    const { status, device_type, starting_after } = req.query;
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+    const location = req.query.location || defaultLocation(req);
+
+    if (req.apiKey.locations && !location) {
+      return res.status(400).json({
+        status: "error",
+        message: "location is required for API keys limited to several locations",
+      });
+    }
+    if (location) {
+      assertLocationAccess(req, location);
+    }
+
+    const readers = await req.stripe.terminal.readers.list({
+      location,
+      status,
+      device_type,
+      limit,
+      starting_after,
+    });
     res.status(200).json({
       status: "success",
       readers: readers.data,
+      has_more: readers.has_more,
     });
   } catch (error) {
-    console.error("Error fetching readers:", error);
-    res.status(500).json({
-      status: "error",
-      message: error.message,
-    });
+    logger.error("Error fetching readers", { error });
+    next(error);
   }
 });
 
@@ -55,18 +148,23 @@ router.get("/", async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - registration_code
  *             properties:
  *               registration_code:
  *                 type: string
- *                 description: Registration code for the reader
+ *                 description: Registration code for the reader (required unless simulated)
  *               label:
  *                 type: string
  *                 description: Label for the reader
  *               location:
  *                 type: string
- *                 description: Location identifier for the reader
+ *                 pattern: '^tml_'
+ *                 description: |
+ *                   Terminal location ID (tml_...). Required for physical readers; simulated
+ *                   readers default to a test location that is created on first use
+ *               simulated:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Register a simulated WisePOS E instead of a physical reader (test mode only)
  *     responses:
  *       200:
  *         description: Reader registered successfully
@@ -75,12 +173,22 @@ router.get("/", async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post("/register", async (req, res) => {
+router.post("/register", requireRole("admin"), idempotency(), async (req, res, next) => {
   try {
-    const { registration_code, label, location, simulated = false } = req.body;
+    const { registration_code, label, simulated = false } = req.body;
+    const location = req.body.location || defaultLocation(req);
+
+    if (simulated && !req.app.locals.config.testMode) {
+      return res.status(400).json({
+        status: "error",
+        message: "Simulated readers are only available in test mode",
+      });
+    }
 
     // Determine the registration code based on whether simulation is enabled
-    const regCode = simulated ? "simulated-wpe" : registration_code;
+    const regCode = simulated
+      ? simulatedReaderConfig.defaultReader.registration_code
+      : registration_code;
 
     // Validate the registration code
     if (!regCode) {
@@ -90,15 +198,39 @@ router.post("/register", async (req, res) => {
       });
     }
 
+    if (location) {
+      // Verify location exists
+      try {
+        await req.stripe.terminal.locations.retrieve(location);
+      } catch (error) {
+        if (error.code !== "resource_missing") {
+          throw error;
+        }
+        return res.status(400).json({
+          status: "error",
+          message: "Location not found",
+        });
+      }
+    } else if (!simulated) {
+      return res.status(400).json({
+        status: "error",
+        message: "Location is required for physical readers",
+      });
+    }
+
     // Set up reader parameters
     const readerParams = {
       registration_code: regCode,
-      label: label || (simulated ? "Simulated Reader" : undefined),
-      location: location || (simulated ? "test_mode" : undefined),
+      label: label || (simulated ? simulatedReaderConfig.defaultReader.label : undefined),
+      location: location || (await getSimulatedLocationId(req.stripe)),
     };
+    assertLocationAccess(req, readerParams.location);
 
     // Create the reader
-    const reader = await stripe.terminal.readers.create(readerParams);
+    const reader = await req.stripe.terminal.readers.create(
+      readerParams,
+      idempotencyOptions(req, "register")
+    );
 
     // Respond with the created reader
     res.status(201).json({
@@ -106,31 +238,637 @@ router.post("/register", async (req, res) => {
       reader,
     });
   } catch (error) {
-    console.error("Error registering reader:", error);
-    res.status(500).json({
-      status: "error",
-      message: error.message,
-    });
+    logger.error("Error registering reader", { error });
+    next(error);
   }
 });
 
 // Get reader status
-router.get("/:readerId", async (req, res) => {
+router.get("/:readerId", requireRole("cashier"), async (req, res, next) => {
   try {
     const { readerId } = req.params;
-    const reader = await stripe.terminal.readers.retrieve(readerId);
+    const reader = await getAccessibleReader(req, readerId);
 
     res.status(200).json({
       status: "success",
       reader,
     });
   } catch (error) {
-    console.error("Error fetching reader:", error);
-    res.status(500).json({
-      status: "error",
-      message: error.message,
+    logger.error("Error fetching reader", { error });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/readers/{readerId}:
+ *   patch:
+ *     summary: Update a reader's label or metadata
+ *     description: |
+ *       Stripe does not allow moving a reader to another location; delete it and register
+ *       it again at the new location instead.
+ *     tags: [Readers]
+ *     parameters:
+ *       - in: path
+ *         name: readerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the terminal reader
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 minLength: 1
+ *                 description: New label for the reader
+ *               metadata:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 description: Key-value pairs to set; an empty string removes a key
+ *     responses:
+ *       200:
+ *         description: Reader updated successfully
+ *       400:
+ *         description: Invalid request parameters
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a terminal reader
+ *     tags: [Readers]
+ *     parameters:
+ *       - in: path
+ *         name: readerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the terminal reader
+ *     responses:
+ *       200:
+ *         description: Reader deleted successfully
+ *       500:
+ *         description: Server error
+ */
+router.patch("/:readerId", requireRole("admin"), async (req, res, next) => {
+  try {
+    const { readerId } = req.params;
+    const { label, metadata, location } = req.body;
+
+    if (location !== undefined) {
+      return res.status(400).json({
+        status: "error",
+        message: "A reader's location cannot be changed; delete the reader and register it at the new location",
+      });
+    }
+
+    if (label === undefined && metadata === undefined) {
+      return res.status(400).json({
+        status: "error",
+        message: "label or metadata is required",
+      });
+    }
+
+    await getAccessibleReader(req, readerId);
+    const reader = await req.stripe.terminal.readers.update(readerId, { label, metadata });
+
+    res.status(200).json({
+      status: "success",
+      reader,
+    });
+  } catch (error) {
+    logger.error("Error updating reader", { error });
+    next(error);
+  }
+});
+
+router.delete("/:readerId", requireRole("admin"), async (req, res, next) => {
+  try {
+    const { readerId } = req.params;
+    await getAccessibleReader(req, readerId);
+    const deleted = await req.stripe.terminal.readers.del(readerId);
+
+    res.status(200).json({
+      status: "success",
+      reader: deleted,
+    });
+  } catch (error) {
+    logger.error("Error deleting reader", { error });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/readers/{readerId}/cancel-action:
+ *   post:
+ *     summary: Cancel the action currently running on a reader
+ *     description: Aborts a stuck or unwanted action such as process_payment_intent and returns the reader to its idle screen.
+ *     tags: [Readers]
+ *     parameters:
+ *       - in: path
+ *         name: readerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the terminal reader
+ *     responses:
+ *       200:
+ *         description: Reader action cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 reader:
+ *                   $ref: '#/components/schemas/Reader'
+ *       404:
+ *         description: Reader not found
+ *       409:
+ *         description: Reader is offline or busy
+ *       500:
+ *         description: Server error
+ */
+router.post("/:readerId/cancel-action", requireRole("cashier"), idempotency(), async (req, res, next) => {
+  try {
+    const { readerId } = req.params;
+
+    const reader = await getOnlineReader(req, res, readerId);
+    if (!reader) {
+      return;
+    }
+
+    const canceledReader = await req.stripe.terminal.readers.cancelAction(
+      readerId,
+      {},
+      idempotencyOptions(req, "cancel-action")
+    );
+    readerEvents.publish(readerId, "reader.action_canceled", { action: reader.action });
+
+    res.status(200).json({
+      status: "success",
+      reader: canceledReader,
     });
+  } catch (error) {
+    logger.error("Error canceling reader action", { error });
+    next(error);
   }
 });
 
+/**
+ * @swagger
+ * /api/readers/{readerId}/display:
+ *   post:
+ *     summary: Show a cart on the reader's screen
+ *     tags: [Readers]
+ *     parameters:
+ *       - in: path
+ *         name: readerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the terminal reader
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - line_items
+ *             properties:
+ *               currency:
+ *                 type: string
+ *                 pattern: '^[A-Za-z]{3}$'
+ *                 default: usd
+ *                 description: Three-letter ISO currency code
+ *               line_items:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - description
+ *                     - amount
+ *                     - quantity
+ *                   properties:
+ *                     description:
+ *                       type: string
+ *                       minLength: 1
+ *                       example: Flat white
+ *                     amount:
+ *                       type: integer
+ *                       minimum: 0
+ *                       description: Unit price in the currency's smallest unit (cents for USD, yen for JPY)
+ *                       example: 450
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                       example: 2
+ *               tax:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Tax in the currency's smallest unit
+ *                 default: 0
+ *               total:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Total in the currency's smallest unit. Defaults to the line items plus tax and must match them when given
+ *     responses:
+ *       200:
+ *         description: Cart displayed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 reader:
+ *                   $ref: '#/components/schemas/Reader'
+ *       400:
+ *         description: Invalid cart
+ *       404:
+ *         description: Reader not found
+ *       409:
+ *         description: Reader is offline or busy
+ *       500:
+ *         description: Server error
+ */
+router.post("/:readerId/display", requireRole("cashier"), idempotency(), async (req, res, next) => {
+  try {
+    const { readerId } = req.params;
+    const {
+      currency = req.app.locals.config.defaultCurrency,
+      line_items,
+      tax = 0,
+      total,
+    } = req.body;
+
+    const currencyError = await money.validateCurrency(req.stripe, currency);
+    if (currencyError) {
+      return res.status(400).json({
+        status: "error",
+        message: currencyError,
+      });
+    }
+
+    const expectedTotal =
+      line_items.reduce((sum, item) => sum + item.amount * item.quantity, 0) + tax;
+    if (total !== undefined && total !== expectedTotal) {
+      return res.status(400).json({
+        status: "error",
+        message: `Total must equal the line items plus tax (${expectedTotal})`,
+      });
+    }
+
+    const reader = await getOnlineReader(req, res, readerId);
+    if (!reader) {
+      return;
+    }
+
+    const displayedReader = await req.stripe.terminal.readers.setReaderDisplay(
+      readerId,
+      {
+        type: "cart",
+        cart: {
+          currency: money.normalizeCurrency(currency),
+          line_items: line_items.map(({ description, amount, quantity }) => ({
+            description,
+            amount,
+            quantity,
+          })),
+          tax,
+          total: expectedTotal,
+        },
+      },
+      idempotencyOptions(req, "display")
+    );
+
+    res.status(200).json({
+      status: "success",
+      reader: displayedReader,
+    });
+  } catch (error) {
+    logger.error("Error setting reader display", { error });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/readers/{readerId}/collect-inputs:
+ *   post:
+ *     summary: Prompt the customer for inputs on the reader (signature, email, tip amount, etc.)
+ *     tags: [Readers]
+ *     parameters:
+ *       - in: path
+ *         name: readerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the terminal reader
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - inputs
+ *             properties:
+ *               inputs:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - type
+ *                     - custom_text
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [email, numeric, phone, selection, signature, text]
+ *                     custom_text:
+ *                       type: object
+ *                       required:
+ *                         - title
+ *                       properties:
+ *                         title:
+ *                           type: string
+ *                           minLength: 1
+ *                           example: Add a tip?
+ *                         description:
+ *                           type: string
+ *                         submit_button:
+ *                           type: string
+ *                         skip_button:
+ *                           type: string
+ *                     required:
+ *                       type: boolean
+ *                     selection:
+ *                       type: object
+ *                       description: Choices for selection inputs
+ *               metadata:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Input collection started; results arrive via the terminal.reader.action_succeeded webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 reader:
+ *                   $ref: '#/components/schemas/Reader'
+ *       400:
+ *         description: Invalid inputs
+ *       404:
+ *         description: Reader not found
+ *       409:
+ *         description: Reader is offline or busy
+ *       503:
+ *         description: Server is shutting down and not starting reader actions
+ *       500:
+ *         description: Server error
+ */
+router.post("/:readerId/collect-inputs", requireRole("cashier"), rejectWhileDraining(), idempotency(), async (req, res, next) => {
+  try {
+    const { readerId } = req.params;
+    const { inputs, metadata } = req.body;
+
+    const reader = await getOnlineReader(req, res, readerId);
+    if (!reader) {
+      return;
+    }
+
+    const collectingReader = await collectInputs(
+      req.stripe,
+      readerId,
+      { inputs, metadata },
+      idempotencyOptions(req, "collect-inputs")
+    );
+    readerEvents.publish(readerId, "reader.action_started", { action: collectingReader.action });
+
+    res.status(200).json({
+      status: "success",
+      reader: collectingReader,
+    });
+  } catch (error) {
+    logger.error("Error collecting inputs", { error });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/readers/{readerId}/process-setup-intent:
+ *   post:
+ *     summary: Save a card presented on the reader for later payments
+ *     description: |
+ *       Collects a card on the reader without charging it. When it succeeds, the customer has a
+ *       reusable card payment method (the setup intent's latest_attempt generated_card) that can
+ *       be charged later without the customer present. Pass an existing setup intent, or a
+ *       customer to create one for.
+ *     tags: [Readers]
+ *     parameters:
+ *       - in: path
+ *         name: readerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the terminal reader to collect the card on
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - customer_consent_collected
+ *             properties:
+ *               customer:
+ *                 type: string
+ *                 pattern: '^cus_'
+ *                 description: Customer to save the card for; required unless setup_intent is given
+ *               setup_intent:
+ *                 type: string
+ *                 pattern: '^seti_'
+ *                 description: Existing setup intent to process instead of creating one
+ *               customer_consent_collected:
+ *                 type: boolean
+ *                 description: Must be true; the customer has agreed to their card being saved
+ *               metadata:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Card collection started; the result arrives via the terminal.reader.action_succeeded webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 setupIntent:
+ *                   type: object
+ *                 reader:
+ *                   $ref: '#/components/schemas/Reader'
+ *       400:
+ *         description: Missing customer or consent
+ *       404:
+ *         description: Reader, customer or setup intent not found
+ *       409:
+ *         description: Reader is offline or busy
+ *       503:
+ *         description: Server is shutting down and not starting reader actions
+ *       500:
+ *         description: Server error
+ */
+router.post("/:readerId/process-setup-intent", requireRole("cashier"), rejectWhileDraining(), idempotency(), async (req, res, next) => {
+  try {
+    const { readerId } = req.params;
+    const { customer, setup_intent, customer_consent_collected, metadata } = req.body;
+
+    if (customer_consent_collected !== true) {
+      return res.status(400).json({
+        status: "error",
+        message: "customer_consent_collected must be true: ask the customer before saving their card",
+      });
+    }
+
+    if (!customer && !setup_intent) {
+      return res.status(400).json({
+        status: "error",
+        message: "customer or setup_intent is required",
+      });
+    }
+
+    const reader = await getOnlineReader(req, res, readerId);
+    if (!reader) {
+      return;
+    }
+
+    const setupIntent = setup_intent
+      ? await req.stripe.setupIntents.retrieve(setup_intent)
+      : await req.stripe.setupIntents.create(
+          {
+            customer,
+            payment_method_types: ["card_present"],
+            usage: "off_session",
+            metadata: { ...metadata, readerId, location: reader.location },
+          },
+          idempotencyOptions(req, "create-setup-intent")
+        );
+
+    const processingReader = await req.stripe.terminal.readers.processSetupIntent(
+      readerId,
+      {
+        setup_intent: setupIntent.id,
+        customer_consent_collected: true,
+      },
+      idempotencyOptions(req, "process-setup-intent")
+    );
+    readerEvents.publish(readerId, "reader.action_started", { action: processingReader.action });
+
+    res.status(200).json({
+      status: "success",
+      setupIntent,
+      reader: processingReader,
+    });
+  } catch (error) {
+    logger.error("Error processing setup intent", { error });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/readers/{readerId}/events:
+ *   get:
+ *     summary: Stream reader action and payment status events (Server-Sent Events)
+ *     description: |
+ *       Keeps the connection open and pushes an event whenever the reader starts, completes
+ *       or fails an action, or a payment intent taken on the reader changes status.
+ *       Event types are reader.action_started, reader.action_succeeded, reader.action_failed
+ *       and payment_intent.status. After a reconnect, send the last received event id in the
+ *       Last-Event-ID header (EventSource does this automatically) to replay missed events.
+ *     tags: [Readers]
+ *     parameters:
+ *       - in: path
+ *         name: readerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the terminal reader to follow
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: ID of the last event received before reconnecting
+ *     responses:
+ *       200:
+ *         description: Event stream opened
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       500:
+ *         description: Server error
+ */
+router.get("/:readerId/events", requireRole("cashier"), async (req, res, next) => {
+  const { readerId } = req.params;
+
+  try {
+    // Verify reader exists before holding the connection open
+    await getAccessibleReader(req, readerId);
+  } catch (error) {
+    logger.error("Error fetching reader", { error });
+    return next(error);
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  res.write("retry: 3000\n\n");
+
+  const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+  if (lastEventId !== undefined) {
+    readerEvents.eventsSince(readerId, lastEventId).forEach(send);
+  }
+
+  const unsubscribe = readerEvents.subscribe(readerId, send);
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), SSE_HEARTBEAT_MS);
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 module.exports = router;
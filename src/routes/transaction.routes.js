@@ -0,0 +1,176 @@
+const express = require("express");
+const router = express.Router();
+const { requireRole, canAccessLocation } = require("../middleware/auth");
+const { logger } = require("../logging");
+
+const DEFAULT_LIMIT = 25;
+
+// Parse an ISO 8601 date or unix timestamp (seconds) into an ISO string
+function parseDate(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const date = /^\d+$/.test(value) ? new Date(Number(value) * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * @swagger
+ * /api/transactions:
+ *   get:
+ *     summary: List locally recorded transactions
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: query
+ *         name: reader
+ *         schema:
+ *           type: string
+ *         description: Only return transactions taken on this reader
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Only return transactions with this payment intent status
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Earliest creation time (ISO 8601 or unix seconds), inclusive
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Latest creation time (ISO 8601 or unix seconds), inclusive
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 25
+ *         description: Maximum number of transactions to return
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor returned as next_cursor by the previous page
+ *     responses:
+ *       200:
+ *         description: Transactions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 transactions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Transaction'
+ *                 has_more:
+ *                   type: boolean
+ *                 next_cursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Server error
+ */
+router.get("/", requireRole("manager"), async (req, res, next) => {
+  try {
+    const { reader, status, cursor } = req.query;
+    const createdFrom = parseDate(req.query.from);
+    const createdTo = parseDate(req.query.to);
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+
+    if (createdFrom === null || createdTo === null) {
+      return res.status(400).json({
+        status: "error",
+        message: "from and to must be ISO 8601 dates or unix timestamps",
+      });
+    }
+
+    const page = await req.app.locals.store.listTransactions({
+      accountId: req.stripeAccount || null,
+      readerId: reader,
+      // Location-scoped keys see only payments taken at their locations
+      locationIds: req.apiKey.locations || undefined,
+      status,
+      createdFrom,
+      createdTo,
+      limit,
+      cursor,
+    });
+
+    res.status(200).json({
+      status: "success",
+      transactions: page.data,
+      has_more: page.has_more,
+      next_cursor: page.next_cursor,
+    });
+  } catch (error) {
+    if (error.code === "invalid_cursor") {
+      return res.status(400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+    logger.error("Error listing transactions", { error });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/transactions/{transactionId}:
+ *   get:
+ *     summary: Get a recorded transaction and its state changes
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment intent ID of the transaction
+ *     responses:
+ *       200:
+ *         description: Transaction retrieved successfully
+ *       404:
+ *         description: Transaction not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/:transactionId", requireRole("manager"), async (req, res, next) => {
+  try {
+    const { transactionId } = req.params;
+    const { store } = req.app.locals;
+
+    const transaction = await store.getTransaction(transactionId);
+    if (
+      !transaction ||
+      (transaction.account_id || null) !== (req.stripeAccount || null) ||
+      !canAccessLocation(req, transaction.location_id)
+    ) {
+      return res.status(404).json({
+        status: "error",
+        message: "Transaction not found",
+      });
+    }
+
+    const events = await store.listTransactionEvents(transactionId);
+
+    res.status(200).json({
+      status: "success",
+      transaction: { ...transaction, events },
+    });
+  } catch (error) {
+    logger.error("Error fetching transaction", { error });
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require("express");
+const router = express.Router();
+const Stripe = require("stripe");
+const webhooks = require("../webhooks");
+const { logger, addLogContext } = require("../logging");
+
+// Connect endpoints (events from connected accounts) are signed with their
+// own secret, so accept either one
+function verifyEvent(payload, signature, { webhookSecret, connectWebhookSecret }) {
+  const secrets = [webhookSecret, connectWebhookSecret].filter(Boolean);
+
+  let lastError;
+  for (const secret of secrets) {
+    try {
+      return Stripe.webhooks.constructEvent(payload, signature, secret);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError || new Error("No webhook signing secret is configured");
+}
+
+/**
+ * @swagger
+ * /api/payments/webhook:
+ *   post:
+ *     summary: Handle Stripe webhook events
+ *     description: |
+ *       Verifies the Stripe signature, then runs the handlers registered for the event type.
+ *       Each event id is processed at most once; redelivered events are acknowledged without
+ *       being processed again. Handled types include payment_intent.succeeded,
+ *       payment_intent.payment_failed, payment_intent.canceled,
+ *       payment_intent.amount_capturable_updated, charge.refunded,
+ *       charge.dispute.created, terminal.reader.action_succeeded and terminal.reader.action_failed.
+ *       Events from connected accounts are accepted when signed with STRIPE_CONNECT_WEBHOOK_SECRET.
+ *     tags: [Payments]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Webhook event received
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 received:
+ *                   type: boolean
+ *                   example: true
+ *                 duplicate:
+ *                   type: boolean
+ *                   example: false
+ *       400:
+ *         description: Invalid webhook signature
+ *       409:
+ *         description: Event is still being handled by an earlier delivery; Stripe will retry
+ *       500:
+ *         description: Event handler failed; Stripe will retry the delivery
+ */
+// Mounted ahead of express.json() in createApp (src/app.js) so the body
+// arrives unparsed, which signature verification requires
+router.post("/", express.raw({ type: "application/json" }), async (req, res) => {
+  const sig = req.headers["stripe-signature"];
+
+  let event;
+  try {
+    event = verifyEvent(req.body, sig, req.app.locals.config.stripe);
+  } catch (error) {
+    logger.warn("Webhook signature verification failed", { error });
+    return res.status(400).send(`Webhook Error: ${error.message}`);
+  }
+
+  addLogContext({ stripe_event_id: event.id, stripe_event_type: event.type, stripe_account: event.account });
+
+  try {
+    const { duplicate, inProgress } = await webhooks.dispatchEvent(event, req.app.locals);
+
+    // Not acknowledged, so Stripe delivers it again should the first attempt fail
+    if (inProgress) {
+      return res.status(409).json({
+        status: "error",
+        message: "Event is already being processed",
+      });
+    }
+
+    res.status(200).json({ received: true, duplicate });
+  } catch (error) {
+    logger.error("Error handling webhook event", { error });
+    res.status(500).json({
+      status: "error",
+      message: "Webhook handler failed",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const { logger } = require("../logging");
+const { forEachLimited } = require("../utils/concurrency");
+
+// No card authorization stays capturable longer than this
+const LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 100;
+// Stripe retrieves a sweep keeps in flight at once
+const SYNC_CONCURRENCY = 5;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+function parseDuration(value, unitMs, name) {
+  if (value === undefined || value === "") {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative number`);
+  }
+  return number * unitMs;
+}
+
+/**
+ * Sweeper settings from the environment:
+ *
+ *   AUTO_CAPTURE_AFTER_MINUTES      capture authorizations this old (off when unset)
+ *   CANCEL_UNCAPTURED_AFTER_HOURS   cancel authorizations this old (off when unset)
+ *   CAPTURE_SWEEP_INTERVAL_SECONDS  how often to check (default 300)
+ */
+function sweeperConfigFromEnv(env = process.env) {
+  return {
+    autoCaptureAfterMs: parseDuration(env.AUTO_CAPTURE_AFTER_MINUTES, MINUTE_MS, "AUTO_CAPTURE_AFTER_MINUTES"),
+    cancelAfterMs: parseDuration(env.CANCEL_UNCAPTURED_AFTER_HOURS, HOUR_MS, "CANCEL_UNCAPTURED_AFTER_HOURS"),
+    intervalMs:
+      parseDuration(env.CAPTURE_SWEEP_INTERVAL_SECONDS, 1000, "CAPTURE_SWEEP_INTERVAL_SECONDS") ||
+      5 * MINUTE_MS,
+  };
+}
+
+/**
+ * Authorized but uncaptured payments in the transaction ledger (store),
+ * newest first. Reads only the ledger, so the result is as current as the last
+ * webhook or sweep. accountId limits the search to one Stripe account (null
+ * for the platform; undefined searches every account) and locationIds to
+ * those locations.
+ */
+async function listPendingCaptures(store, { accountId, locationIds, now = new Date() } = {}) {
+  const pending = [];
+  let cursor;
+
+  do {
+    const page = await store.listTransactions({
+      accountId,
+      locationIds,
+      status: "requires_capture",
+      createdFrom: new Date(now.getTime() - LOOKBACK_MS).toISOString(),
+      limit: PAGE_SIZE,
+      cursor,
+    });
+    pending.push(...page.data);
+    cursor = page.next_cursor;
+  } while (cursor);
+
+  return pending;
+}
+
+/**
+ * When the sweeper will act on a ledger transaction: auto_capture_at and
+ * cancel_at as ISO timestamps (null when that action is off), and
+ * capture_before, Stripe's own deadline for capturing the authorization
+ * (null until a sweep has retrieved the charge).
+ */
+function sweepSchedule(transaction, { autoCaptureAfterMs, cancelAfterMs }) {
+  const createdMs = Date.parse(transaction.created_at);
+
+  return {
+    auto_capture_at:
+      autoCaptureAfterMs === null ? null : new Date(createdMs + autoCaptureAfterMs).toISOString(),
+    cancel_at: cancelAfterMs === null ? null : new Date(createdMs + cancelAfterMs).toISOString(),
+    capture_before: transaction.capture_before || null,
+  };
+}
+
+/**
+ * Background job that captures or cancels aged authorizations, working on
+ * an app's store, ledger and stripeClients (see app.locals). Cancelling
+ * takes precedence when both thresholds have passed. Does nothing unless at
+ * least one of autoCaptureAfterMs and cancelAfterMs is set.
+ */
+function createCaptureSweeper({
+  autoCaptureAfterMs = null,
+  cancelAfterMs = null,
+  intervalMs,
+  store,
+  ledger,
+  stripeClients,
+}) {
+  let timer = null;
+  let running = null;
+
+  async function settle(paymentIntent, accountId, now) {
+    const ageMs = now.getTime() - paymentIntent.created * 1000;
+    const stripe = stripeClients.get(accountId || undefined);
+    const options = { account: accountId, source: "sweeper" };
+
+    if (cancelAfterMs !== null && ageMs >= cancelAfterMs) {
+      const canceled = await stripe.paymentIntents.cancel(
+        paymentIntent.id,
+        { cancellation_reason: "abandoned" },
+        { idempotencyKey: `sweeper:${paymentIntent.id}:cancel` }
+      );
+      await ledger.recordPaymentIntent(canceled, "payment_intent.canceled", options);
+      logger.info("Capture sweeper canceled payment", { payment_intent_id: paymentIntent.id, stripe_account: accountId });
+    } else if (autoCaptureAfterMs !== null && ageMs >= autoCaptureAfterMs) {
+      const captured = await stripe.paymentIntents.capture(
+        paymentIntent.id,
+        {},
+        { idempotencyKey: `sweeper:${paymentIntent.id}:capture` }
+      );
+      await ledger.recordPaymentIntent(captured, "payment_intent.captured", options);
+      logger.info("Capture sweeper captured payment", { payment_intent_id: paymentIntent.id, stripe_account: accountId });
+    }
+  }
+
+  // Confirm the ledger's status with Stripe before acting on it; the
+  // payment may have been captured or canceled since the last webhook
+  async function sweepTransaction(transaction, now) {
+    const stripe = stripeClients.get(transaction.account_id || undefined);
+    const paymentIntent = await stripe.paymentIntents.retrieve(transaction.id, {
+      expand: ["latest_charge"],
+    });
+    await ledger.syncPaymentIntent(paymentIntent, { account: transaction.account_id });
+
+    if (paymentIntent.status === "requires_capture") {
+      await settle(paymentIntent, transaction.account_id, now);
+    }
+  }
+
+  async function sweep(now = new Date()) {
+    const pending = await listPendingCaptures(store, { now });
+    await forEachLimited(pending, SYNC_CONCURRENCY, async (transaction) => {
+      try {
+        await sweepTransaction(transaction, now);
+      } catch (error) {
+        logger.error("Capture sweeper failed on payment", { payment_intent_id: transaction.id, error });
+      }
+    });
+  }
+
+  // Never overlap sweeps; a slow sweep just delays the next one
+  function tick() {
+    if (running) {
+      return;
+    }
+    running = sweep()
+      .catch((error) => logger.error("Capture sweep failed", { error }))
+      .finally(() => {
+        running = null;
+      });
+  }
+
+  return {
+    sweep,
+
+    start() {
+      if (timer || (autoCaptureAfterMs === null && cancelAfterMs === null)) {
+        return;
+      }
+      timer = setInterval(tick, intervalMs);
+      // Don't keep the process alive just for the sweeper
+      timer.unref();
+    },
+
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      await running;
+    },
+  };
+}
+
+module.exports = {
+  SYNC_CONCURRENCY,
+  sweeperConfigFromEnv,
+  listPendingCaptures,
+  sweepSchedule,
+  createCaptureSweeper,
+};
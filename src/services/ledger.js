@@ -0,0 +1,223 @@
+const { logger } = require("../logging");
+
+// Local record of every payment intent this service touches, so the back
+// office can reconcile without querying Stripe. Ledger failures are logged
+// and never fail the payment request that triggered them. Webhook handlers
+// pass throwErrors instead, so a failed write fails the event and Stripe
+// delivers it again.
+
+function toIsoTimestamp(unixSeconds) {
+  return new Date(unixSeconds * 1000).toISOString();
+}
+
+function handleFailure(message, error, throwErrors) {
+  if (throwErrors) {
+    throw error;
+  }
+  logger.error(message, { error });
+}
+
+// Stripe's capture deadline, known only when latest_charge is expanded
+function captureBefore(paymentIntent) {
+  const charge = paymentIntent.latest_charge;
+  const cardPresent =
+    charge && charge.payment_method_details && charge.payment_method_details.card_present;
+  return cardPresent && cardPresent.capture_before ? toIsoTimestamp(cardPresent.capture_before) : undefined;
+}
+
+// Transaction columns taken from the payment intent itself
+function paymentIntentFields(paymentIntent) {
+  const fields = {
+    amount: paymentIntent.amount,
+    amount_capturable: paymentIntent.amount_capturable,
+    amount_received: paymentIntent.amount_received,
+    currency: paymentIntent.currency,
+    status: paymentIntent.status,
+  };
+  const deadline = captureBefore(paymentIntent);
+  if (deadline) {
+    fields.capture_before = deadline;
+  }
+  return fields;
+}
+
+// Payment intents never leave these statuses
+const FINAL_STATUSES = ["succeeded", "canceled"];
+
+// Stripe does not deliver webhooks in order, so a payment intent copy is
+// stale if it would move a finished payment to another status, or if its
+// event is older than the last event applied to the transaction
+function isStale(transaction, paymentIntent, eventCreatedAt) {
+  if (!transaction) {
+    return false;
+  }
+  if (FINAL_STATUSES.includes(transaction.status) && paymentIntent.status !== transaction.status) {
+    return true;
+  }
+  return Boolean(eventCreatedAt && transaction.last_event_at && eventCreatedAt < transaction.last_event_at);
+}
+
+/**
+ * Ledger functions writing to store (from createStore), one set per app.
+ */
+function createLedger(store) {
+  /**
+   * Record a payment intent as returned by the API or carried by a webhook
+   * event (pass the event's created time as eventCreated). Stale copies are
+   * added to the history but leave the transaction as it is.
+   */
+  async function recordPaymentIntent(
+    paymentIntent,
+    type,
+    { readerId, account, eventCreated, source = "api", throwErrors = false } = {}
+  ) {
+    try {
+      const now = new Date().toISOString();
+      const eventCreatedAt = eventCreated ? toIsoTimestamp(eventCreated) : undefined;
+      const transaction = await store.getTransaction(paymentIntent.id);
+
+      if (isStale(transaction, paymentIntent, eventCreatedAt)) {
+        logger.info("Ignoring stale payment intent update", {
+          payment_intent_id: paymentIntent.id,
+          type,
+          status: paymentIntent.status,
+          recorded_status: transaction.status,
+        });
+      } else {
+        await store.saveTransaction({
+          id: paymentIntent.id,
+          account_id: account || null,
+          reader_id: readerId || (paymentIntent.metadata && paymentIntent.metadata.readerId) || null,
+          location_id: (paymentIntent.metadata && paymentIntent.metadata.location) || null,
+          ...paymentIntentFields(paymentIntent),
+          ...(eventCreatedAt && { last_event_at: eventCreatedAt }),
+          created_at: toIsoTimestamp(paymentIntent.created),
+          updated_at: now,
+        });
+      }
+
+      await store.addTransactionEvent({
+        transaction_id: paymentIntent.id,
+        type,
+        status: paymentIntent.status,
+        amount: paymentIntent.amount,
+        source,
+        created_at: now,
+      });
+    } catch (error) {
+      handleFailure("Error recording transaction", error, throwErrors);
+    }
+  }
+
+  /**
+   * Bring a transaction up to date with Stripe's copy of its payment intent
+   * (e.g. one the capture sweeper retrieved). A payment_intent.status_synced
+   * event is added only when the status changed.
+   */
+  async function syncPaymentIntent(paymentIntent, { account, source = "sweeper", throwErrors = false } = {}) {
+    try {
+      const transaction = await store.getTransaction(paymentIntent.id);
+
+      if (!transaction || transaction.status !== paymentIntent.status) {
+        return recordPaymentIntent(paymentIntent, "payment_intent.status_synced", { account, source, throwErrors });
+      }
+
+      await store.saveTransaction({
+        id: paymentIntent.id,
+        ...paymentIntentFields(paymentIntent),
+        updated_at: new Date().toISOString(),
+      });
+    } catch (error) {
+      handleFailure("Error syncing transaction", error, throwErrors);
+    }
+  }
+
+  /**
+   * Record a refund the API created. The refunded total is taken from the
+   * refund's charge when it was expanded, never added to the stored total,
+   * so a charge.refunded webhook handled first is not counted twice.
+   */
+  async function recordRefund(refund, { source = "api", throwErrors = false } = {}) {
+    try {
+      const now = new Date().toISOString();
+      const transaction = await store.getTransaction(refund.payment_intent);
+      const charge = refund.charge && typeof refund.charge === "object" ? refund.charge : null;
+
+      if (transaction && charge) {
+        await store.saveTransaction({
+          id: transaction.id,
+          amount_refunded: charge.amount_refunded,
+          updated_at: now,
+        });
+      }
+
+      await store.addTransactionEvent({
+        transaction_id: refund.payment_intent,
+        type: "refund.created",
+        status: refund.status,
+        amount: refund.amount,
+        source,
+        created_at: now,
+      });
+    } catch (error) {
+      handleFailure("Error recording refund", error, throwErrors);
+    }
+  }
+
+  // Sync the refunded total from a charge (e.g. a charge.refunded webhook)
+  async function recordChargeRefunded(charge, { source = "webhook", throwErrors = false } = {}) {
+    try {
+      const now = new Date().toISOString();
+      const transaction = await store.getTransaction(charge.payment_intent);
+
+      if (transaction) {
+        await store.saveTransaction({
+          id: transaction.id,
+          amount_refunded: charge.amount_refunded,
+          updated_at: now,
+        });
+      }
+
+      await store.addTransactionEvent({
+        transaction_id: charge.payment_intent,
+        type: "charge.refunded",
+        status: charge.refunded ? "refunded" : "partially_refunded",
+        amount: charge.amount_refunded,
+        source,
+        created_at: now,
+      });
+    } catch (error) {
+      handleFailure("Error recording charge refund", error, throwErrors);
+    }
+  }
+
+  // Append an event to a transaction's history without changing the transaction
+  async function recordTransactionEvent(
+    transactionId,
+    type,
+    { status, amount, source = "api", throwErrors = false } = {}
+  ) {
+    try {
+      await store.addTransactionEvent({
+        transaction_id: transactionId,
+        type,
+        status,
+        amount,
+        source,
+        created_at: new Date().toISOString(),
+      });
+    } catch (error) {
+      handleFailure("Error recording transaction event", error, throwErrors);
+    }
+  }
+
+  return {
+    recordPaymentIntent,
+    syncPaymentIntent,
+    recordRefund,
+    recordChargeRefunded,
+    recordTransactionEvent,
+  };
+}
+
+module.exports = { createLedger };
@@ -0,0 +1,37 @@
+const simulatedReaderConfig = require("../config/simulated-reader");
+
+// Each Stripe account has its own simulated location, so cache per client
+const simulatedLocations = new WeakMap();
+
+async function findOrCreateSimulatedLocation(stripe) {
+  const { testLocation } = simulatedReaderConfig;
+
+  for await (const location of stripe.terminal.locations.list({ limit: 100 })) {
+    if (location.metadata && location.metadata.simulated === testLocation.metadata.simulated) {
+      return location.id;
+    }
+  }
+
+  const location = await stripe.terminal.locations.create(testLocation);
+  return location.id;
+}
+
+/**
+ * ID of the location simulated readers are registered at. Reuses a location
+ * previously created for simulation (tagged with metadata.simulated) and
+ * only creates one when none exists.
+ */
+function getSimulatedLocationId(stripe) {
+  if (!simulatedLocations.has(stripe)) {
+    simulatedLocations.set(
+      stripe,
+      findOrCreateSimulatedLocation(stripe).catch((error) => {
+        simulatedLocations.delete(stripe);
+        throw error;
+      })
+    );
+  }
+  return simulatedLocations.get(stripe);
+}
+
+module.exports = { getSimulatedLocationId };
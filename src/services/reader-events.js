@@ -0,0 +1,86 @@
+const { EventEmitter } = require("events");
+
+// Number of recent events kept per reader for Last-Event-ID replay
+const BUFFER_SIZE = 100;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const buffers = new Map();
+let lastId = 0;
+
+// Readers running an action this service started, so shutdown can wait for
+// them. The action ends with a succeeded, failed or canceled event.
+const FINISHED_TYPES = ["reader.action_succeeded", "reader.action_failed", "reader.action_canceled"];
+const activeReaders = new Set();
+const idle = new EventEmitter();
+
+/**
+ * Publish an event to everyone subscribed to a reader's stream.
+ * Events get a process-wide increasing numeric id used for resuming.
+ */
+function publish(readerId, type, data) {
+  if (!readerId) {
+    return null;
+  }
+
+  const event = {
+    id: String(++lastId),
+    type,
+    data,
+    created_at: new Date().toISOString(),
+  };
+
+  if (!buffers.has(readerId)) {
+    buffers.set(readerId, []);
+  }
+  const buffer = buffers.get(readerId);
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) {
+    buffer.shift();
+  }
+
+  if (type === "reader.action_started") {
+    activeReaders.add(readerId);
+  } else if (FINISHED_TYPES.includes(type) && activeReaders.delete(readerId) && !activeReaders.size) {
+    idle.emit("idle");
+  }
+
+  emitter.emit(readerId, event);
+  return event;
+}
+
+// Subscribe to a reader's events; returns a function that unsubscribes
+function subscribe(readerId, listener) {
+  emitter.on(readerId, listener);
+  return () => emitter.off(readerId, listener);
+}
+
+/**
+ * Buffered events published after lastEventId. An id from before a restart
+ * (greater than anything issued by this process) replays the whole buffer.
+ */
+function eventsSince(readerId, lastEventId) {
+  const buffer = buffers.get(readerId) || [];
+  const since = Number(lastEventId);
+
+  if (!Number.isInteger(since) || since > lastId) {
+    return buffer.slice();
+  }
+  return buffer.filter((event) => Number(event.id) > since);
+}
+
+// IDs of readers with an action in progress
+function activeReaderIds() {
+  return [...activeReaders];
+}
+
+// Resolves once no reader has an action in progress
+function waitForIdle() {
+  if (!activeReaders.size) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => idle.once("idle", resolve));
+}
+
+module.exports = { publish, subscribe, eventsSince, activeReaderIds, waitForIdle };
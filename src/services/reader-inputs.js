@@ -0,0 +1,21 @@
+const Stripe = require("stripe");
+
+// stripe-node 14 has no binding for the collect_inputs reader action, so
+// declare it the same way the library declares its own reader actions
+const ReaderInputs = Stripe.StripeResource.extend({
+  collect: Stripe.StripeResource.method({
+    method: "POST",
+    fullPath: "/v1/terminal/readers/{reader}/collect_inputs",
+  }),
+});
+
+// Prompt the customer on the reader's screen for the given inputs
+function collectInputs(stripe, readerId, params, options) {
+  // Clients with their own binding (such as the emulator's) are used as is
+  if (stripe.terminal.readers.collectInputs) {
+    return stripe.terminal.readers.collectInputs(readerId, params, options);
+  }
+  return new ReaderInputs(stripe).collect(readerId, params, options);
+}
+
+module.exports = { collectInputs };
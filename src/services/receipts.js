@@ -0,0 +1,276 @@
+const money = require("../utils/money");
+const { tipAmount } = require("./tipping");
+const { logger } = require("../logging");
+
+const ENTRY_MODES = {
+  contact_emv: "Chip",
+  contactless_emv: "Contactless",
+  contactless_magstripe_mode: "Contactless (magstripe)",
+  magnetic_stripe_fallback: "Swipe (chip fallback)",
+  magnetic_stripe_track2: "Swipe",
+};
+
+const DEFAULT_TEXT_WIDTH = 42;
+
+// Merchant details per Stripe client, so each receipt costs no extra call
+const merchants = new WeakMap();
+
+function getMerchant(stripe) {
+  if (!merchants.has(stripe)) {
+    merchants.set(
+      stripe,
+      stripe.accounts.retrieve().then(
+        (account) => {
+          const profile = account.business_profile || {};
+          const dashboard = (account.settings && account.settings.dashboard) || {};
+          return {
+            name: profile.name || dashboard.display_name || null,
+            phone: profile.support_phone || null,
+            url: profile.url || null,
+          };
+        },
+        (error) => {
+          merchants.delete(stripe);
+          logger.error("Error fetching merchant details for receipt", { error });
+          return { name: null, phone: null, url: null };
+        }
+      )
+    );
+  }
+  return merchants.get(stripe);
+}
+
+async function getLocation(stripe, locationId) {
+  if (!locationId) {
+    return null;
+  }
+  try {
+    const location = await stripe.terminal.locations.retrieve(locationId);
+    return { id: location.id, display_name: location.display_name, address: location.address };
+  } catch (error) {
+    logger.error("Error fetching location for receipt", { error });
+    return null;
+  }
+}
+
+function paymentMethodDetails(charge) {
+  const details = charge.payment_method_details || {};
+  const presented = details.card_present || details.interac_present || {};
+  const receipt = presented.receipt || {};
+
+  return {
+    type: details.type || null,
+    brand: presented.brand || null,
+    last4: presented.last4 || null,
+    entry_mode: ENTRY_MODES[presented.read_method] || null,
+    read_method: presented.read_method || null,
+    application_name: receipt.application_preferred_name || null,
+    aid: receipt.dedicated_file_name || null,
+    account_type: receipt.account_type || null,
+    authorization_code: receipt.authorization_code || null,
+    cardholder_verification_method: receipt.cardholder_verification_method || null,
+  };
+}
+
+/**
+ * Structured receipt for a completed payment. The payment intent must have
+ * been retrieved with latest_charge expanded. merchantName
+ * (config.receipts) replaces the Stripe account's business name.
+ */
+async function buildReceipt(stripe, paymentIntent, { merchantName = null } = {}) {
+  const charge = paymentIntent.latest_charge;
+  const [merchant, location] = await Promise.all([
+    getMerchant(stripe),
+    getLocation(stripe, paymentIntent.metadata && paymentIntent.metadata.location),
+  ]);
+
+  const amount = paymentIntent.amount_received;
+  const tip = tipAmount(paymentIntent);
+
+  let status = "paid";
+  if (charge.refunded) {
+    status = "refunded";
+  } else if (charge.amount_refunded > 0) {
+    status = "partially_refunded";
+  }
+
+  return {
+    receipt_number: charge.receipt_number || charge.id,
+    payment_intent: paymentIntent.id,
+    charge: charge.id,
+    merchant: {
+      ...merchant,
+      name: merchantName || merchant.name,
+    },
+    location,
+    payment_method: paymentMethodDetails(charge),
+    amount,
+    subtotal_amount: amount - tip,
+    tip_amount: tip,
+    amount_refunded: charge.amount_refunded,
+    currency: paymentIntent.currency,
+    status,
+    receipt_email: paymentIntent.receipt_email || charge.receipt_email || null,
+    created_at: new Date(charge.created * 1000).toISOString(),
+  };
+}
+
+function formatAddress(address) {
+  if (!address) {
+    return [];
+  }
+  const cityLine = [address.city, address.state, address.postal_code].filter(Boolean).join(" ");
+  return [address.line1, address.line2, cityLine].filter(Boolean);
+}
+
+function center(text, width) {
+  const padding = Math.max(0, Math.floor((width - text.length) / 2));
+  return " ".repeat(padding) + text;
+}
+
+function columns(left, right, width) {
+  const gap = Math.max(1, width - left.length - right.length);
+  return left + " ".repeat(gap) + right;
+}
+
+// Label/value rows shared by the text and HTML renderers
+function amountRows(receipt) {
+  const format = (amount) => money.formatAmount(amount, receipt.currency);
+  const rows = [];
+  if (receipt.tip_amount > 0) {
+    rows.push(["Subtotal", format(receipt.subtotal_amount)]);
+    rows.push(["Tip", format(receipt.tip_amount)]);
+  }
+  rows.push(["Total", format(receipt.amount)]);
+  if (receipt.amount_refunded > 0) {
+    rows.push(["Refunded", format(receipt.amount_refunded)]);
+  }
+  return rows;
+}
+
+function cardRows(receipt) {
+  const method = receipt.payment_method;
+  const verification =
+    method.cardholder_verification_method &&
+    method.cardholder_verification_method.replace(/_/g, " ");
+  const card = [method.brand && method.brand.toUpperCase(), method.last4 && `**** ${method.last4}`]
+    .filter(Boolean)
+    .join(" ");
+  return [
+    ["Card", card],
+    ["Entry", method.entry_mode],
+    ["Application", method.application_name],
+    ["AID", method.aid],
+    ["Account", method.account_type],
+    ["Auth code", method.authorization_code],
+    ["Verification", verification],
+  ].filter(([, value]) => value);
+}
+
+function formatTimestamp(iso) {
+  return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
+}
+
+/**
+ * Plain-text receipt for thermal printers, width characters wide (32 for
+ * 58 mm paper, 42-48 for 80 mm).
+ */
+function renderReceiptText(receipt, { width = DEFAULT_TEXT_WIDTH } = {}) {
+  const rule = "-".repeat(width);
+  const lines = [];
+
+  if (receipt.merchant.name) {
+    lines.push(center(receipt.merchant.name.toUpperCase(), width));
+  }
+  if (receipt.location) {
+    lines.push(center(receipt.location.display_name, width));
+    formatAddress(receipt.location.address).forEach((line) => lines.push(center(line, width)));
+  }
+  if (receipt.merchant.phone) {
+    lines.push(center(receipt.merchant.phone, width));
+  }
+
+  lines.push(rule);
+  lines.push(formatTimestamp(receipt.created_at));
+  lines.push(`Receipt #${receipt.receipt_number}`);
+  lines.push("");
+  amountRows(receipt).forEach(([label, value]) => lines.push(columns(label.toUpperCase(), value, width)));
+  lines.push("");
+  cardRows(receipt).forEach(([label, value]) => lines.push(columns(`${label}:`, value, width)));
+  lines.push(rule);
+  lines.push(center("Thank you!", width));
+
+  return `${lines.join("\n")}\n`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Self-contained HTML receipt, suitable for email bodies and browser printing
+function renderReceiptHtml(receipt) {
+  const title = receipt.merchant.name || "Receipt";
+  const header = [
+    receipt.location && receipt.location.display_name,
+    ...(receipt.location ? formatAddress(receipt.location.address) : []),
+    receipt.merchant.phone,
+  ]
+    .filter(Boolean)
+    .map((line) => `<div>${escapeHtml(line)}</div>`)
+    .join("\n      ");
+  const rows = (entries, className) =>
+    entries
+      .map(
+        ([label, value]) =>
+          `<tr class="${className}"><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`
+      )
+      .join("\n        ");
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)} receipt</title>
+    <style>
+      body { font-family: -apple-system, Helvetica, Arial, sans-serif; max-width: 360px; margin: 24px auto; color: #222; }
+      h1 { font-size: 20px; text-align: center; margin-bottom: 4px; }
+      .header { text-align: center; color: #555; font-size: 14px; }
+      table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+      td { padding: 4px 0; }
+      td:last-child { text-align: right; }
+      .amount td { font-size: 16px; }
+      .card td { font-size: 13px; color: #555; }
+      .meta { font-size: 13px; color: #555; margin-top: 16px; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(title)}</h1>
+    <div class="header">
+      ${header}
+    </div>
+    <div class="meta">
+      <div>${escapeHtml(formatTimestamp(receipt.created_at))}</div>
+      <div>Receipt #${escapeHtml(receipt.receipt_number)}</div>
+    </div>
+    <table>
+      <tbody>
+        ${rows(amountRows(receipt), "amount")}
+      </tbody>
+    </table>
+    <table>
+      <tbody>
+        ${rows(cardRows(receipt), "card")}
+      </tbody>
+    </table>
+    <p class="header">Thank you!</p>
+  </body>
+</html>
+`;
+}
+
+module.exports = { buildReceipt, renderReceiptText, renderReceiptHtml };
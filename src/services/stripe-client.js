@@ -0,0 +1,88 @@
+const Stripe = require("stripe");
+const { createEmulator } = require("../emulator");
+const { logger } = require("../logging");
+
+// Any caller not bound to an account can name one in a header, so only the
+// clients of the most recently used MAX_CACHED_CLIENTS accounts are kept
+const MAX_CACHED_CLIENTS = 100;
+
+// IDs of the reader and payment intent a Stripe API path acts on
+function idsFromPath(path) {
+  const ids = {};
+  const readerId = path.match(/\/(tmr_[A-Za-z0-9]+)/);
+  const paymentIntentId = path.match(/\/(pi_[A-Za-z0-9]+)/);
+  if (readerId) {
+    ids.reader_id = readerId[1];
+  }
+  if (paymentIntentId) {
+    ids.payment_intent_id = paymentIntentId[1];
+  }
+  return ids;
+}
+
+// Log every call a client makes with Stripe's request ID, so a log line can
+// be matched to the request in the Stripe Dashboard. Runs in the context of
+// the API request that made the call.
+function logResponses(client) {
+  client.on("response", (response) => {
+    logger.info("Stripe request", {
+      ...idsFromPath(response.path),
+      stripe_request_id: response.request_id,
+      stripe_account: response.account,
+      method: response.method,
+      path: response.path,
+      status: response.status,
+      duration_ms: response.elapsed,
+      idempotency_key: response.idempotency_key,
+    });
+  });
+  return client;
+}
+
+/**
+ * Stripe clients for one app, built from settings (loadConfig().stripe):
+ * one per connected account (the platform's own client under ""), created
+ * on first use and reused for later requests. factory(stripeAccount)
+ * replaces how clients are made (e.g. with a mock in tests). With the
+ * emulator backend, clients act on an emulator of their own, which passes
+ * its events to dispatchEvent unless it posts them to a webhook URL.
+ */
+function createStripeClients(settings, { factory = null, dispatchEvent = null } = {}) {
+  // Map order doubles as recency
+  const clients = new Map();
+  let emulator = null;
+
+  function createClient(stripeAccount) {
+    if (factory) {
+      return factory(stripeAccount);
+    }
+    if (settings.backend === "emulator") {
+      if (!emulator) {
+        emulator = createEmulator({ ...settings.emulator, dispatchEvent });
+        logger.warn("STRIPE_BACKEND=emulator: payments are emulated in memory and never reach Stripe");
+      }
+      return emulator.client(stripeAccount);
+    }
+    return logResponses(Stripe(settings.secretKey, stripeAccount ? { stripeAccount } : undefined));
+  }
+
+  return {
+    /**
+     * Stripe client acting on behalf of the given connected account, or
+     * the platform account when stripeAccount is empty.
+     */
+    get(stripeAccount) {
+      const cacheKey = stripeAccount || "";
+      const client = clients.get(cacheKey) || createClient(stripeAccount);
+
+      clients.delete(cacheKey);
+      clients.set(cacheKey, client);
+      if (clients.size > MAX_CACHED_CLIENTS) {
+        clients.delete(clients.keys().next().value);
+      }
+      return client;
+    },
+  };
+}
+
+module.exports = { MAX_CACHED_CLIENTS, createStripeClients };
@@ -0,0 +1,108 @@
+const { normalizeCurrency } = require("../utils/money");
+
+// Currencies Terminal configurations accept tip presets for
+const TIPPING_CURRENCIES = [
+  "aud", "cad", "chf", "czk", "dkk", "eur", "gbp",
+  "hkd", "myr", "nok", "nzd", "sek", "sgd", "usd",
+];
+
+const PRESET_FIELDS = ["percentages", "fixed_amounts", "smart_tip_threshold"];
+
+function tipPresets(tipping) {
+  const presets = {};
+  PRESET_FIELDS.forEach((field) => {
+    if (tipping && tipping[field] !== undefined) {
+      presets[field] = tipping[field];
+    }
+  });
+  return Object.keys(presets).length ? presets : null;
+}
+
+/**
+ * Check a payment request's skip_tipping and tipping fields against the
+ * payment. Returns an error message, or null when they are usable.
+ */
+function validateTipping({ skip_tipping, tipping }, amount) {
+  if (!tipping) {
+    return null;
+  }
+  if (skip_tipping) {
+    return "Use either skip_tipping or tipping, not both";
+  }
+  if (tipPresets(tipping)) {
+    return "Tip presets are set per location with PUT /api/locations/{locationId}/tipping";
+  }
+  if (tipping.amount_eligible !== undefined && tipping.amount_eligible > amount) {
+    return "tipping.amount_eligible cannot exceed the payment amount";
+  }
+  return null;
+}
+
+/**
+ * Check a location tipping request. Returns an error message, or null when
+ * it is usable.
+ */
+function validateTipPresets({ currency, ...presets }) {
+  if (!TIPPING_CURRENCIES.includes(normalizeCurrency(currency))) {
+    return `Tip presets are not supported for ${normalizeCurrency(currency).toUpperCase()}`;
+  }
+  if (!tipPresets(presets)) {
+    return `At least one of ${PRESET_FIELDS.join(", ")} is required`;
+  }
+  return null;
+}
+
+/**
+ * Set the tip presets readers at a location offer for a currency. Stripe
+ * reads percentages, fixed amounts and the smart tip threshold from the
+ * Terminal configuration of the reader's location, not from the payment, so
+ * they are written to the location's configuration override (created on
+ * first use) and apply to every later payment there. Resolves to the
+ * configuration.
+ */
+async function setLocationTipPresets(stripe, locationId, { currency, ...presets }) {
+  const tipping = { [normalizeCurrency(currency)]: tipPresets(presets) };
+
+  const location = await stripe.terminal.locations.retrieve(locationId);
+  if (location.configuration_overrides) {
+    return stripe.terminal.configurations.update(location.configuration_overrides, { tipping });
+  }
+
+  const configuration = await stripe.terminal.configurations.create({ tipping });
+  await stripe.terminal.locations.update(locationId, {
+    configuration_overrides: configuration.id,
+  });
+  return configuration;
+}
+
+/**
+ * process_config for processPaymentIntent, or undefined when the request
+ * leaves tipping to the reader's defaults.
+ */
+function processConfig({ skip_tipping, tipping }) {
+  if (skip_tipping) {
+    return { skip_tipping: true };
+  }
+  if (tipping && tipping.amount_eligible !== undefined) {
+    return { tipping: { amount_eligible: tipping.amount_eligible } };
+  }
+  return undefined;
+}
+
+/**
+ * Tip collected on the reader, in the smallest currency unit. The payment
+ * intent's amount already includes it.
+ */
+function tipAmount(paymentIntent) {
+  const details = paymentIntent.amount_details;
+  return (details && details.tip && details.tip.amount) || 0;
+}
+
+module.exports = {
+  TIPPING_CURRENCIES,
+  validateTipping,
+  validateTipPresets,
+  setLocationTipPresets,
+  processConfig,
+  tipAmount,
+};
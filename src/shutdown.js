@@ -0,0 +1,68 @@
+const readerEvents = require("./services/reader-events");
+const { logger } = require("./logging");
+
+// Time open requests (long polls, event streams) get once the server stops
+// accepting connections, before they are cut off
+const REQUEST_GRACE_MS = 5000;
+
+// Resolves to true when promise settles within ms, false otherwise
+function within(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, ms, false);
+  });
+  return Promise.race([promise.then(() => true), timeout]).finally(() => clearTimeout(timer));
+}
+
+function closeServer(server) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => server.closeAllConnections(), REQUEST_GRACE_MS);
+    server.close(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+    server.closeIdleConnections();
+  });
+}
+
+/**
+ * Stop the service without cutting a customer off mid-payment:
+ *
+ *   1. refuse new reader actions with 503; webhooks, status checks and
+ *      cancel-action keep working
+ *   2. wait up to timeoutMs for actions already on readers to finish, as
+ *      reported by terminal.reader.action_* webhooks
+ *   3. stop the capture sweeper and the HTTP server
+ *   4. close the store
+ *
+ * Returns a function that runs the shutdown; calling it again returns the
+ * same promise.
+ */
+function createShutdown({ app, server, sweeper, timeoutMs }) {
+  let shuttingDown = null;
+
+  async function shutdown() {
+    app.locals.draining = true;
+
+    const busy = readerEvents.activeReaderIds();
+    if (busy.length) {
+      logger.info("Waiting for reader actions to finish", { reader_ids: busy });
+      if (!(await within(readerEvents.waitForIdle(), timeoutMs))) {
+        logger.warn("Shutting down with reader actions in progress", { reader_ids: readerEvents.activeReaderIds() });
+      }
+    }
+
+    await sweeper.stop();
+    await closeServer(server);
+    await app.locals.store.close();
+  }
+
+  return () => {
+    if (!shuttingDown) {
+      shuttingDown = shutdown();
+    }
+    return shuttingDown;
+  };
+}
+
+module.exports = { createShutdown };
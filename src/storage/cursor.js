@@ -0,0 +1,22 @@
+// Opaque pagination cursors over (created_at, id), newest first.
+function encodeCursor(transaction) {
+  return Buffer.from(
+    JSON.stringify({ created_at: transaction.created_at, id: transaction.id })
+  ).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (typeof decoded.created_at === "string" && typeof decoded.id === "string") {
+      return decoded;
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  const error = new Error("Invalid pagination cursor");
+  error.code = "invalid_cursor";
+  throw error;
+}
+
+module.exports = { encodeCursor, decodeCursor };
@@ -0,0 +1,20 @@
+const path = require("path");
+const createMemoryStore = require("./memory-store");
+const createSqliteStore = require("./sqlite-store");
+
+const DEFAULT_SQLITE_PATH = path.join(__dirname, "..", "..", "data", "ledger.db");
+
+// Build a store for the given driver ("sqlite" or "memory"), e.g. from
+// loadConfig().storage.
+function createStore({ driver = "sqlite", filename = DEFAULT_SQLITE_PATH } = {}) {
+  switch (driver) {
+    case "sqlite":
+      return createSqliteStore({ filename });
+    case "memory":
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = { DEFAULT_SQLITE_PATH, createStore };
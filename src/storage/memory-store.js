@@ -0,0 +1,120 @@
+const { encodeCursor, decodeCursor } = require("./cursor");
+
+// In-memory transaction store, used for tests and local experiments.
+// Data is lost when the process exits.
+function createMemoryStore() {
+  const transactions = new Map();
+  const events = [];
+  const webhookEvents = new Map();
+  const idempotencyKeys = new Map();
+  let nextEventId = 1;
+
+  return {
+    async saveTransaction(transaction) {
+      const existing = transactions.get(transaction.id);
+      // amount_refunded starts at 0, as in the SQLite store
+      const saved = { amount_refunded: 0, ...existing, ...transaction };
+      transactions.set(transaction.id, saved);
+      return { ...saved };
+    },
+
+    async getTransaction(id) {
+      const transaction = transactions.get(id);
+      return transaction ? { ...transaction } : null;
+    },
+
+    async listTransactions({
+      accountId,
+      readerId,
+      locationIds,
+      status,
+      createdFrom,
+      createdTo,
+      limit = 25,
+      cursor,
+    } = {}) {
+      const after = cursor ? decodeCursor(cursor) : null;
+
+      const matches = [...transactions.values()]
+        .filter((tx) => accountId === undefined || (tx.account_id || null) === accountId)
+        .filter((tx) => !readerId || tx.reader_id === readerId)
+        .filter((tx) => !locationIds || locationIds.includes(tx.location_id))
+        .filter((tx) => !status || [].concat(status).includes(tx.status))
+        .filter((tx) => !createdFrom || tx.created_at >= createdFrom)
+        .filter((tx) => !createdTo || tx.created_at <= createdTo)
+        .filter(
+          (tx) =>
+            !after ||
+            tx.created_at < after.created_at ||
+            (tx.created_at === after.created_at && tx.id < after.id)
+        )
+        .sort((a, b) => {
+          if (a.created_at !== b.created_at) {
+            return a.created_at < b.created_at ? 1 : -1;
+          }
+          return a.id < b.id ? 1 : -1;
+        });
+
+      const data = matches.slice(0, limit).map((tx) => ({ ...tx }));
+      const hasMore = matches.length > limit;
+
+      return {
+        data,
+        has_more: hasMore,
+        next_cursor: hasMore ? encodeCursor(data[data.length - 1]) : null,
+      };
+    },
+
+    async addTransactionEvent(event) {
+      const saved = { id: nextEventId++, ...event };
+      events.push(saved);
+      return { ...saved };
+    },
+
+    async listTransactionEvents(transactionId) {
+      return events
+        .filter((event) => event.transaction_id === transactionId)
+        .map((event) => ({ ...event }));
+    },
+
+    async getWebhookEvent(id) {
+      const event = webhookEvents.get(id);
+      return event ? { ...event } : null;
+    },
+
+    async saveWebhookEvent(event) {
+      const saved = { ...webhookEvents.get(event.id), ...event };
+      webhookEvents.set(event.id, saved);
+      return { ...saved };
+    },
+
+    async getIdempotencyKey(key, now) {
+      const record = idempotencyKeys.get(key);
+      if (!record || record.expires_at <= now) {
+        return null;
+      }
+      return { ...record };
+    },
+
+    async createIdempotencyKey(record) {
+      const existing = idempotencyKeys.get(record.key);
+      if (existing && existing.expires_at > record.created_at) {
+        return false;
+      }
+      idempotencyKeys.set(record.key, { ...record });
+      return true;
+    },
+
+    async saveIdempotencyKey(record) {
+      idempotencyKeys.set(record.key, { ...idempotencyKeys.get(record.key), ...record });
+    },
+
+    async deleteIdempotencyKey(key) {
+      idempotencyKeys.delete(key);
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = createMemoryStore;
@@ -0,0 +1,310 @@
+const fs = require("fs");
+const path = require("path");
+const { encodeCursor, decodeCursor } = require("./cursor");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS transactions (
+    id TEXT PRIMARY KEY,
+    account_id TEXT,
+    reader_id TEXT,
+    location_id TEXT,
+    amount INTEGER,
+    amount_capturable INTEGER,
+    amount_received INTEGER,
+    amount_refunded INTEGER NOT NULL DEFAULT 0,
+    currency TEXT,
+    status TEXT,
+    capture_before TEXT,
+    last_event_at TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS transactions_created_idx ON transactions (created_at DESC, id DESC);
+  CREATE INDEX IF NOT EXISTS transactions_reader_idx ON transactions (reader_id);
+  CREATE INDEX IF NOT EXISTS transactions_status_idx ON transactions (status);
+
+  CREATE TABLE IF NOT EXISTS transaction_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    transaction_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    status TEXT,
+    amount INTEGER,
+    source TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS transaction_events_tx_idx ON transaction_events (transaction_id);
+
+  CREATE TABLE IF NOT EXISTS webhook_events (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    error TEXT,
+    received_at TEXT NOT NULL,
+    processed_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS idempotency_keys (
+    key TEXT PRIMARY KEY,
+    fingerprint TEXT NOT NULL,
+    status TEXT NOT NULL,
+    response_status INTEGER,
+    response_body TEXT,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idempotency_keys_expires_idx ON idempotency_keys (expires_at);
+`;
+
+const WEBHOOK_EVENT_COLUMNS = ["id", "type", "status", "error", "received_at", "processed_at"];
+
+const TRANSACTION_COLUMNS = [
+  "id",
+  "account_id",
+  "reader_id",
+  "location_id",
+  "amount",
+  "amount_capturable",
+  "amount_received",
+  "amount_refunded",
+  "currency",
+  "status",
+  "capture_before",
+  "last_event_at",
+  "created_at",
+  "updated_at",
+];
+
+// SQLite-backed transaction store. The driver is loaded lazily so the
+// in-memory store can be used without the native module installed.
+function createSqliteStore({ filename }) {
+  const Database = require("better-sqlite3");
+
+  if (filename !== ":memory:") {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  // Add columns missing from ledgers created by earlier versions
+  const transactionColumns = db.pragma("table_info(transactions)").map((column) => column.name);
+  [
+    ["account_id", "TEXT"],
+    ["location_id", "TEXT"],
+    ["amount_capturable", "INTEGER"],
+    ["capture_before", "TEXT"],
+    ["last_event_at", "TEXT"],
+  ].forEach(([column, type]) => {
+    if (!transactionColumns.includes(column)) {
+      db.exec(`ALTER TABLE transactions ADD COLUMN ${column} ${type}`);
+    }
+  });
+  db.exec("CREATE INDEX IF NOT EXISTS transactions_location_idx ON transactions (location_id)");
+
+  const selectTransaction = db.prepare("SELECT * FROM transactions WHERE id = ?");
+  const upsertTransaction = db.prepare(`
+    INSERT INTO transactions (${TRANSACTION_COLUMNS.join(", ")})
+    VALUES (${TRANSACTION_COLUMNS.map((column) => `@${column}`).join(", ")})
+    ON CONFLICT(id) DO UPDATE SET
+      ${TRANSACTION_COLUMNS.filter((column) => column !== "id")
+        .map((column) => `${column} = excluded.${column}`)
+        .join(", ")}
+  `);
+  const selectWebhookEvent = db.prepare("SELECT * FROM webhook_events WHERE id = ?");
+  const upsertWebhookEvent = db.prepare(`
+    INSERT INTO webhook_events (${WEBHOOK_EVENT_COLUMNS.join(", ")})
+    VALUES (${WEBHOOK_EVENT_COLUMNS.map((column) => `@${column}`).join(", ")})
+    ON CONFLICT(id) DO UPDATE SET
+      ${WEBHOOK_EVENT_COLUMNS.filter((column) => column !== "id")
+        .map((column) => `${column} = excluded.${column}`)
+        .join(", ")}
+  `);
+  const selectIdempotencyKey = db.prepare(
+    "SELECT * FROM idempotency_keys WHERE key = ? AND expires_at > ?"
+  );
+  const deleteExpiredIdempotencyKeys = db.prepare(
+    "DELETE FROM idempotency_keys WHERE expires_at <= ?"
+  );
+  const insertIdempotencyKey = db.prepare(`
+    INSERT OR IGNORE INTO idempotency_keys (key, fingerprint, status, created_at, expires_at)
+    VALUES (@key, @fingerprint, @status, @created_at, @expires_at)
+  `);
+  const updateIdempotencyKey = db.prepare(`
+    UPDATE idempotency_keys
+    SET status = @status, response_status = @response_status, response_body = @response_body,
+      expires_at = @expires_at
+    WHERE key = @key
+  `);
+  const deleteIdempotencyKey = db.prepare("DELETE FROM idempotency_keys WHERE key = ?");
+  const insertEvent = db.prepare(`
+    INSERT INTO transaction_events (transaction_id, type, status, amount, source, created_at)
+    VALUES (@transaction_id, @type, @status, @amount, @source, @created_at)
+  `);
+  const selectEvents = db.prepare(
+    "SELECT * FROM transaction_events WHERE transaction_id = ? ORDER BY id"
+  );
+
+  return {
+    async saveTransaction(transaction) {
+      const existing = selectTransaction.get(transaction.id);
+      const saved = { ...existing, ...transaction };
+      const row = {};
+      TRANSACTION_COLUMNS.forEach((column) => {
+        row[column] = saved[column] === undefined ? null : saved[column];
+      });
+      if (row.amount_refunded === null) {
+        row.amount_refunded = 0;
+      }
+
+      upsertTransaction.run(row);
+
+      return selectTransaction.get(transaction.id);
+    },
+
+    async getTransaction(id) {
+      return selectTransaction.get(id) || null;
+    },
+
+    async listTransactions({
+      accountId,
+      readerId,
+      locationIds,
+      status,
+      createdFrom,
+      createdTo,
+      limit = 25,
+      cursor,
+    } = {}) {
+      const clauses = [];
+      const params = {};
+
+      // null selects the platform account's own transactions
+      if (accountId !== undefined) {
+        clauses.push("account_id IS @accountId");
+        params.accountId = accountId;
+      }
+
+      if (readerId) {
+        clauses.push("reader_id = @readerId");
+        params.readerId = readerId;
+      }
+      if (locationIds) {
+        const names = locationIds.map((value, index) => {
+          params[`location${index}`] = value;
+          return `@location${index}`;
+        });
+        clauses.push(names.length ? `location_id IN (${names.join(", ")})` : "0");
+      }
+      if (Array.isArray(status)) {
+        const names = status.map((value, index) => {
+          params[`status${index}`] = value;
+          return `@status${index}`;
+        });
+        clauses.push(`status IN (${names.join(", ")})`);
+      } else if (status) {
+        clauses.push("status = @status");
+        params.status = status;
+      }
+      if (createdFrom) {
+        clauses.push("created_at >= @createdFrom");
+        params.createdFrom = createdFrom;
+      }
+      if (createdTo) {
+        clauses.push("created_at <= @createdTo");
+        params.createdTo = createdTo;
+      }
+      if (cursor) {
+        const after = decodeCursor(cursor);
+        clauses.push(
+          "(created_at < @cursorCreatedAt OR (created_at = @cursorCreatedAt AND id < @cursorId))"
+        );
+        params.cursorCreatedAt = after.created_at;
+        params.cursorId = after.id;
+      }
+
+      const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+      const rows = db
+        .prepare(
+          `SELECT * FROM transactions ${where} ORDER BY created_at DESC, id DESC LIMIT @limit`
+        )
+        .all({ ...params, limit: limit + 1 });
+
+      const data = rows.slice(0, limit);
+      const hasMore = rows.length > limit;
+
+      return {
+        data,
+        has_more: hasMore,
+        next_cursor: hasMore ? encodeCursor(data[data.length - 1]) : null,
+      };
+    },
+
+    async addTransactionEvent(event) {
+      const row = {
+        transaction_id: event.transaction_id,
+        type: event.type,
+        status: event.status === undefined ? null : event.status,
+        amount: event.amount === undefined ? null : event.amount,
+        source: event.source === undefined ? null : event.source,
+        created_at: event.created_at,
+      };
+      const result = insertEvent.run(row);
+      return { id: Number(result.lastInsertRowid), ...row };
+    },
+
+    async listTransactionEvents(transactionId) {
+      return selectEvents.all(transactionId);
+    },
+
+    async getWebhookEvent(id) {
+      return selectWebhookEvent.get(id) || null;
+    },
+
+    async saveWebhookEvent(event) {
+      const saved = { ...selectWebhookEvent.get(event.id), ...event };
+      const row = {};
+      WEBHOOK_EVENT_COLUMNS.forEach((column) => {
+        row[column] = saved[column] === undefined ? null : saved[column];
+      });
+      upsertWebhookEvent.run(row);
+      return selectWebhookEvent.get(event.id);
+    },
+
+    async getIdempotencyKey(key, now) {
+      const row = selectIdempotencyKey.get(key, now);
+      if (!row) {
+        return null;
+      }
+      return {
+        ...row,
+        response_body: row.response_body === null ? null : JSON.parse(row.response_body),
+      };
+    },
+
+    async createIdempotencyKey(record) {
+      deleteExpiredIdempotencyKeys.run(record.created_at);
+      return insertIdempotencyKey.run(record).changes === 1;
+    },
+
+    async saveIdempotencyKey(record) {
+      updateIdempotencyKey.run({
+        key: record.key,
+        status: record.status,
+        response_status: record.response_status,
+        response_body: JSON.stringify(record.response_body),
+        expires_at: record.expires_at,
+      });
+    },
+
+    async deleteIdempotencyKey(key) {
+      deleteIdempotencyKey.run(key);
+    },
+
+    async close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = createSqliteStore;
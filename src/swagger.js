@@ -1,4 +1,6 @@
+const path = require('path');
 const swaggerJsdoc = require('swagger-jsdoc');
+const simulatedReaderConfig = require('./config/simulated-reader');
 
 const options = {
   definition: {
@@ -6,7 +8,7 @@ const options = {
     info: {
       title: 'Stripe Payment POS API',
       version: '1.0.0',
-      description: 'API documentation for Stripe Payment POS Backend with BBPOS WisePOS E device integration. Supports both physical and simulated readers for testing.',
+      description: 'API documentation for Stripe Payment POS Backend with BBPOS WisePOS E device integration. Supports both physical and simulated readers for testing.\n\nAll POST endpoints accept an `Idempotency-Key` header; retries with the same key replay the first response for 24 hours.\n\nRequests need an API key with a sufficient role: cashier (take payments), manager (capture, cancel, refund, reports) or admin (manage readers and locations).\n\nOn a Connect platform, a `Stripe-Account` header (or `X-Tenant-Id` mapped through STRIPE_TENANTS) runs the request on that connected account.',
     },
     servers: [
       {
@@ -78,14 +80,132 @@ const options = {
               example: 'requires_capture'
             }
           }
+        },
+        Address: {
+          type: 'object',
+          required: ['country'],
+          properties: {
+            line1: {
+              type: 'string',
+              example: '510 Townsend St'
+            },
+            line2: {
+              type: 'string'
+            },
+            city: {
+              type: 'string',
+              example: 'San Francisco'
+            },
+            state: {
+              type: 'string',
+              example: 'CA'
+            },
+            postal_code: {
+              type: 'string',
+              example: '94103'
+            },
+            country: {
+              type: 'string',
+              example: 'US'
+            }
+          }
+        },
+        Location: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: 'tml_xxxxx'
+            },
+            display_name: {
+              type: 'string',
+              example: 'Downtown Store'
+            },
+            address: {
+              $ref: '#/components/schemas/Address'
+            },
+            metadata: {
+              type: 'object'
+            }
+          }
+        },
+        Transaction: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: 'pi_xxxxx'
+            },
+            account_id: {
+              type: 'string',
+              nullable: true,
+              description: 'Connected account the payment was taken on; null for the platform account',
+              example: 'acct_xxxxx'
+            },
+            reader_id: {
+              type: 'string',
+              example: 'tmr_xxxxx'
+            },
+            location_id: {
+              type: 'string',
+              nullable: true,
+              description: 'Terminal location of the reader that took the payment',
+              example: 'tml_xxxxx'
+            },
+            amount: {
+              type: 'integer',
+              example: 1000
+            },
+            amount_capturable: {
+              type: 'integer',
+              nullable: true,
+              example: 0
+            },
+            amount_received: {
+              type: 'integer',
+              example: 1000
+            },
+            amount_refunded: {
+              type: 'integer',
+              example: 0
+            },
+            currency: {
+              type: 'string',
+              example: 'usd'
+            },
+            status: {
+              type: 'string',
+              example: 'succeeded'
+            },
+            capture_before: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Stripe\'s deadline for capturing the authorization, once known'
+            },
+            last_event_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Creation time of the latest webhook event applied; older events do not change the transaction'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
         }
       },
       securitySchemes: {
-        stripeSecretKey: {
+        apiKey: {
           type: 'apiKey',
           in: 'header',
-          name: 'stripe-secret-key',
-          description: 'Your Stripe Secret Key'
+          name: 'X-API-Key',
+          description: 'API key issued to the store device (also accepted as "Authorization: Bearer <key>")'
         }
       }
     },
@@ -94,29 +214,49 @@ const options = {
         name: 'Readers',
         description: 'Terminal reader management endpoints'
       },
+      {
+        name: 'Locations',
+        description: 'Terminal location management endpoints'
+      },
       {
         name: 'Payments',
         description: 'Payment processing endpoints'
+      },
+      {
+        name: 'Transactions',
+        description: 'Locally recorded transaction ledger'
+      },
+      {
+        name: 'Customers',
+        description: 'Customers and the cards saved for them'
       }
     ],
     security: [
       {
-        stripeSecretKey: []
+        apiKey: []
       }
     ]
   },
-  apis: ['./src/routes/*.js']
+  apis: [path.join(__dirname, 'routes', '*.js')]
 };
 
-// Test card numbers for simulated payments
-const testCards = {
-  visa: '4242424242424242',
-  mastercard: '5555555555554444',
-  amex: '378282246310005',
-  discover: '6011111111111117'
-};
+// Test cards and amounts for simulated payments
+const scenarios = Object.entries(simulatedReaderConfig.testScenarios)
+  .map(([name, card]) => `- ${name}: ${card.number}${card.type === 'interac_present' ? ' (Interac)' : ''}`)
+  .join('\n');
+const amounts = Object.entries(simulatedReaderConfig.testAmountDeclines)
+  .map(([ending, code]) => `- ending in ${ending}: ${code}`)
+  .join('\n');
 
 // Add test cards to the API documentation
-options.definition.info.description += `\n\nTest Mode Card Numbers:\n${Object.entries(testCards).map(([brand, number]) => `- ${brand.charAt(0).toUpperCase() + brand.slice(1)}: ${number}`).join('\n')}`
+options.definition.info.description += `\n\nTest Mode Scenarios (simulate-payment \`scenario\`):\n${scenarios}\n\nTest Mode Amounts Declined:\n${amounts}`;
+
+const spec = swaggerJsdoc(options);
+
+// The simulate-payment scenarios are whatever the config defines, so the
+// enum is filled in here rather than copied into the route's JSDoc
+spec.paths['/api/payments/simulate-payment/{readerId}'].post
+  .requestBody.content['application/json'].schema.properties.scenario.enum =
+  Object.keys(simulatedReaderConfig.testScenarios);
 
-module.exports = swaggerJsdoc(options);
\ No newline at end of file
+module.exports = spec;
\ No newline at end of file
@@ -0,0 +1,13 @@
+// Run worker over items with at most `limit` calls pending at once
+async function forEachLimited(items, limit, worker) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+module.exports = { forEachLimited };
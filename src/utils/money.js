@@ -0,0 +1,121 @@
+const { logger } = require("../logging");
+
+// Amounts are always integers in the currency's minor unit, as Stripe
+// expects them: cents for USD, whole yen for JPY, fils for KWD.
+// See https://stripe.com/docs/currencies
+
+const ZERO_DECIMAL_CURRENCIES = [
+  "bif", "clp", "djf", "gnf", "jpy", "kmf", "krw", "mga",
+  "pyg", "rwf", "ugx", "vnd", "vuv", "xaf", "xof", "xpf",
+];
+
+// Stripe only accepts three-decimal amounts rounded to the nearest ten
+const THREE_DECIMAL_CURRENCIES = ["bhd", "jod", "kwd", "omr", "tnd"];
+
+// Minimum charge amounts in minor units; other currencies fall back to 1
+const MINIMUM_AMOUNTS = {
+  usd: 50, aed: 200, aud: 50, bgn: 100, brl: 50, cad: 50, chf: 50, czk: 1500,
+  dkk: 250, eur: 50, gbp: 30, hkd: 400, huf: 17500, inr: 50, jpy: 50, mxn: 1000,
+  myr: 200, nok: 300, nzd: 50, pln: 200, ron: 200, sek: 300, sgd: 50, thb: 1000,
+};
+
+// Stripe caps amounts at eight digits in every currency
+const MAXIMUM_AMOUNT = 99999999;
+
+const supportedCurrencies = new WeakMap();
+
+function normalizeCurrency(currency) {
+  return typeof currency === "string" ? currency.toLowerCase() : currency;
+}
+
+function decimalsFor(currency) {
+  const code = normalizeCurrency(currency);
+  if (ZERO_DECIMAL_CURRENCIES.includes(code)) {
+    return 0;
+  }
+  if (THREE_DECIMAL_CURRENCIES.includes(code)) {
+    return 3;
+  }
+  return 2;
+}
+
+// Human readable amount, e.g. formatAmount(1050, "usd") === "10.50 USD"
+function formatAmount(amount, currency) {
+  const decimals = decimalsFor(currency);
+  return `${(amount / 10 ** decimals).toFixed(decimals)} ${normalizeCurrency(currency).toUpperCase()}`;
+}
+
+/**
+ * Check a minor-unit amount for the given currency.
+ * Returns an error message, or null when the amount is acceptable.
+ */
+function validateAmount(amount, currency, { minimum } = {}) {
+  const code = normalizeCurrency(currency);
+
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return "Amount must be a positive integer in the currency's smallest unit";
+  }
+
+  if (THREE_DECIMAL_CURRENCIES.includes(code) && amount % 10 !== 0) {
+    return `Amounts in ${code.toUpperCase()} must be a multiple of 10`;
+  }
+
+  const minimumAmount = minimum === undefined ? MINIMUM_AMOUNTS[code] || 1 : minimum;
+  if (amount < minimumAmount) {
+    return `Amount must be at least ${formatAmount(minimumAmount, code)}`;
+  }
+
+  if (amount > MAXIMUM_AMOUNT) {
+    return `Amount must be at most ${formatAmount(MAXIMUM_AMOUNT, code)}`;
+  }
+
+  return null;
+}
+
+// Currencies the account can charge in, cached per Stripe client
+function getSupportedCurrencies(stripe) {
+  if (!supportedCurrencies.has(stripe)) {
+    const lookup = stripe.accounts
+      .retrieve()
+      .then((account) => stripe.countrySpecs.retrieve(account.country))
+      .then((spec) => spec.supported_payment_currencies)
+      .catch((error) => {
+        supportedCurrencies.delete(stripe);
+        throw error;
+      });
+    supportedCurrencies.set(stripe, lookup);
+  }
+  return supportedCurrencies.get(stripe);
+}
+
+/**
+ * Check an ISO 4217 currency code against the account's supported list.
+ * Returns an error message, or null when the currency is acceptable. If the
+ * list cannot be fetched the check is skipped and Stripe has the final say.
+ */
+async function validateCurrency(stripe, currency) {
+  const code = normalizeCurrency(currency);
+
+  if (typeof code !== "string" || !/^[a-z]{3}$/.test(code)) {
+    return "Currency must be a three-letter ISO 4217 code";
+  }
+
+  try {
+    const supported = await getSupportedCurrencies(stripe);
+    if (!supported.includes(code)) {
+      return `Currency ${code.toUpperCase()} is not supported by this account`;
+    }
+  } catch (error) {
+    logger.error("Error fetching supported currencies", { error });
+  }
+
+  return null;
+}
+
+module.exports = {
+  normalizeCurrency,
+  decimalsFor,
+  formatAmount,
+  validateAmount,
+  validateCurrency,
+};
@@ -0,0 +1,58 @@
+// HTTP statuses for Stripe error codes that need something more specific
+// than their error type's default
+const CODE_STATUSES = {
+  resource_missing: 404,
+  terminal_reader_offline: 409,
+  terminal_reader_busy: 409,
+  terminal_reader_timeout: 504,
+  payment_intent_unexpected_state: 409,
+  intent_invalid_state: 409,
+  charge_already_captured: 409,
+  charge_already_refunded: 409,
+};
+
+// Default HTTP status per stripe-node error type
+const TYPE_STATUSES = {
+  StripeCardError: 402,
+  StripeInvalidRequestError: 400,
+  StripeIdempotencyError: 409,
+  StripeRateLimitError: 429,
+  StripePermissionError: 403,
+  StripeAuthenticationError: 500,
+  StripeAPIError: 502,
+  StripeConnectionError: 503,
+};
+
+// Problems with our own credentials are not the client's business
+const HIDDEN_MESSAGES = {
+  StripeAuthenticationError: "Payment provider authentication failed",
+  StripePermissionError: "Payment provider denied access to this resource",
+};
+
+function isStripeError(error) {
+  return Boolean(error && typeof error.type === "string" && error.type in TYPE_STATUSES);
+}
+
+/**
+ * Translate a stripe-node error into an HTTP status and a structured body
+ * carrying Stripe's code, decline_code, param and request_id so clients can
+ * react to declines and offline readers without parsing messages.
+ */
+function translateStripeError(error) {
+  const statusCode = CODE_STATUSES[error.code] || TYPE_STATUSES[error.type];
+
+  return {
+    statusCode,
+    body: {
+      status: "error",
+      message: HIDDEN_MESSAGES[error.type] || error.message,
+      type: error.rawType || error.type,
+      code: error.code,
+      decline_code: error.decline_code,
+      param: error.param,
+      request_id: error.requestId,
+    },
+  };
+}
+
+module.exports = { isStripeError, translateStripeError };
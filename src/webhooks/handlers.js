@@ -0,0 +1,87 @@
+const { registerHandler } = require("./registry");
+const readerEvents = require("../services/reader-events");
+const { logger } = require("../logging");
+
+// Ledger failures fail the event so that Stripe delivers it again
+const WEBHOOK_SOURCE = { source: "webhook", throwErrors: true };
+
+// Payment intent state changes update the ledger entry directly, unless a
+// later event has already been applied
+[
+  "payment_intent.succeeded",
+  "payment_intent.payment_failed",
+  "payment_intent.canceled",
+  "payment_intent.amount_capturable_updated",
+].forEach((type) => {
+  registerHandler(type, async (event, { ledger }) => {
+    const paymentIntent = event.data.object;
+    const readerId = paymentIntent.metadata && paymentIntent.metadata.readerId;
+    logger.info("Payment intent updated", {
+      payment_intent_id: paymentIntent.id,
+      reader_id: readerId,
+      status: paymentIntent.status,
+    });
+    // event.account is set for events from connected accounts
+    await ledger.recordPaymentIntent(paymentIntent, type, {
+      ...WEBHOOK_SOURCE,
+      account: event.account,
+      eventCreated: event.created,
+    });
+
+    readerEvents.publish(readerId, "payment_intent.status", {
+      event: type,
+      payment_intent: {
+        id: paymentIntent.id,
+        status: paymentIntent.status,
+        amount: paymentIntent.amount,
+        currency: paymentIntent.currency,
+        last_payment_error: paymentIntent.last_payment_error,
+      },
+    });
+  });
+});
+
+registerHandler("charge.refunded", async (event, { ledger }) => {
+  const charge = event.data.object;
+  logger.info("Charge refunded", { charge_id: charge.id, payment_intent_id: charge.payment_intent });
+  if (charge.payment_intent) {
+    await ledger.recordChargeRefunded(charge, WEBHOOK_SOURCE);
+  }
+});
+
+registerHandler("charge.dispute.created", async (event, { ledger }) => {
+  const dispute = event.data.object;
+  logger.info("Dispute created", { dispute_id: dispute.id, payment_intent_id: dispute.payment_intent });
+  if (dispute.payment_intent) {
+    await ledger.recordTransactionEvent(dispute.payment_intent, event.type, {
+      ...WEBHOOK_SOURCE,
+      status: dispute.status,
+      amount: dispute.amount,
+    });
+  }
+});
+
+// Reader action outcomes are attached to the payment intent being processed
+["terminal.reader.action_succeeded", "terminal.reader.action_failed"].forEach((type) => {
+  registerHandler(type, async (event, { ledger }) => {
+    const reader = event.data.object;
+    const action = reader.action || {};
+    const processed = action.process_payment_intent;
+    logger.info("Reader action finished", {
+      reader_id: reader.id,
+      payment_intent_id: processed && processed.payment_intent,
+      action_type: action.type,
+      action_status: action.status,
+      failure_code: action.failure_code,
+    });
+
+    readerEvents.publish(reader.id, type.replace("terminal.", ""), { action });
+
+    if (processed && processed.payment_intent) {
+      await ledger.recordTransactionEvent(processed.payment_intent, type, {
+        ...WEBHOOK_SOURCE,
+        status: action.failure_code || action.status,
+      });
+    }
+  });
+});
@@ -0,0 +1,6 @@
+const registry = require("./registry");
+
+// Register the built-in handlers
+require("./handlers");
+
+module.exports = registry;
@@ -0,0 +1,79 @@
+// Handlers keyed by Stripe event type; several handlers may share a type
+const handlers = new Map();
+
+// An event still "processing" after this long was abandoned (e.g. the
+// process crashed mid-handler) and is handled again on the next delivery
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+function registerHandler(type, handler) {
+  if (!handlers.has(type)) {
+    handlers.set(type, []);
+  }
+  handlers.get(type).push(handler);
+}
+
+function isRetryable(existing, now) {
+  if (existing.status === "failed") {
+    return true;
+  }
+  return existing.status === "processing" && now - Date.parse(existing.received_at) > PROCESSING_TIMEOUT_MS;
+}
+
+/**
+ * Run the handlers registered for an event, at most once per event id,
+ * recording progress in store. Handlers are called with (event, services),
+ * where services holds the app's store and ledger (its app.locals).
+ * Stripe retries deliveries until it gets a 2xx, so a previously processed
+ * event is acknowledged without running the handlers again. A handler error
+ * marks the event as failed and is rethrown so the delivery is retried, as
+ * is an event left processing for longer than PROCESSING_TIMEOUT_MS.
+ *
+ * Resolves to { duplicate, handled, inProgress }; inProgress is set for a
+ * duplicate whose first delivery is still being handled, which should not be
+ * acknowledged in case that attempt fails.
+ */
+async function dispatchEvent(event, services) {
+  const { store } = services;
+  const existing = await store.getWebhookEvent(event.id);
+
+  if (existing && !isRetryable(existing, Date.now())) {
+    return {
+      duplicate: true,
+      handled: existing.status === "processed",
+      inProgress: existing.status === "processing",
+    };
+  }
+
+  const eventHandlers = handlers.get(event.type) || [];
+
+  await store.saveWebhookEvent({
+    id: event.id,
+    type: event.type,
+    status: "processing",
+    error: null,
+    received_at: new Date().toISOString(),
+  });
+
+  try {
+    for (const handler of eventHandlers) {
+      await handler(event, services);
+    }
+  } catch (error) {
+    await store.saveWebhookEvent({
+      id: event.id,
+      status: "failed",
+      error: error.message,
+    });
+    throw error;
+  }
+
+  await store.saveWebhookEvent({
+    id: event.id,
+    status: eventHandlers.length ? "processed" : "ignored",
+    processed_at: new Date().toISOString(),
+  });
+
+  return { duplicate: false, handled: eventHandlers.length > 0, inProgress: false };
+}
+
+module.exports = { PROCESSING_TIMEOUT_MS, registerHandler, dispatchEvent };
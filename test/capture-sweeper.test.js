@@ -0,0 +1,145 @@
+const { useApp } = require("./helpers/app");
+const fixtures = require("./helpers/fixtures");
+const { apiError } = require("./helpers/mock-stripe");
+const { SYNC_CONCURRENCY, createCaptureSweeper } = require("../src/services/capture-sweeper");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+describe("capture sweeper", () => {
+  const harness = useApp();
+  let sweeper;
+
+  beforeEach(() => {
+    const { store, ledger, stripeClients } = harness.app.locals;
+    sweeper = createCaptureSweeper({
+      autoCaptureAfterMs: 60 * MINUTE_MS,
+      cancelAfterMs: 24 * HOUR_MS,
+      store,
+      ledger,
+      stripeClients,
+    });
+  });
+
+  // An authorization the ledger learned about from a webhook, ageMs old
+  async function authorize(id, ageMs, options = {}) {
+    const paymentIntent = fixtures.authorizedPaymentIntent({
+      id,
+      created: Math.floor((Date.now() - ageMs) / 1000),
+    });
+    await harness.app.locals.ledger.recordPaymentIntent(paymentIntent, "payment_intent.amount_capturable_updated", options);
+    return paymentIntent;
+  }
+
+  // Have Stripe return these payment intents, by ID
+  function stripeHas(...paymentIntents) {
+    harness.stripe.paymentIntents.retrieve.mockImplementation(async (id) =>
+      paymentIntents.find((paymentIntent) => paymentIntent.id === id)
+    );
+  }
+
+  it("captures authorizations older than the capture threshold", async () => {
+    stripeHas(await authorize("pi_old", 2 * HOUR_MS));
+
+    await sweeper.sweep();
+
+    expect(harness.stripe.paymentIntents.retrieve).toHaveBeenCalledWith("pi_old", { expand: ["latest_charge"] });
+    expect(harness.stripe.paymentIntents.capture).toHaveBeenCalledWith("pi_old", {}, { idempotencyKey: "sweeper:pi_old:capture" });
+    expect(harness.stripe.paymentIntents.cancel).not.toHaveBeenCalled();
+    expect((await harness.store.getTransaction("pi_old")).status).toBe("succeeded");
+  });
+
+  it("cancels instead of capturing once the cancel threshold has passed", async () => {
+    stripeHas(await authorize("pi_stale", 25 * HOUR_MS));
+
+    await sweeper.sweep();
+
+    expect(harness.stripe.paymentIntents.cancel).toHaveBeenCalledWith(
+      "pi_stale",
+      { cancellation_reason: "abandoned" },
+      { idempotencyKey: "sweeper:pi_stale:cancel" }
+    );
+    expect(harness.stripe.paymentIntents.capture).not.toHaveBeenCalled();
+    expect((await harness.store.getTransaction("pi_stale")).status).toBe("canceled");
+  });
+
+  it("leaves recent authorizations alone but records their capture deadline", async () => {
+    stripeHas(await authorize("pi_new", 5 * MINUTE_MS));
+
+    await sweeper.sweep();
+
+    expect(harness.stripe.paymentIntents.capture).not.toHaveBeenCalled();
+    expect(harness.stripe.paymentIntents.cancel).not.toHaveBeenCalled();
+    expect(await harness.store.getTransaction("pi_new")).toMatchObject({
+      status: "requires_capture",
+      capture_before: new Date(1700172800 * 1000).toISOString(),
+    });
+    expect((await harness.store.listTransactionEvents("pi_new")).map((event) => event.type)).toEqual([
+      "payment_intent.amount_capturable_updated",
+    ]);
+  });
+
+  it("syncs payments settled elsewhere without acting on them", async () => {
+    const authorized = await authorize("pi_done", 2 * HOUR_MS);
+    stripeHas({ ...authorized, status: "succeeded", amount_capturable: 0, amount_received: 1000 });
+
+    await sweeper.sweep();
+
+    expect(harness.stripe.paymentIntents.capture).not.toHaveBeenCalled();
+    expect((await harness.store.getTransaction("pi_done")).status).toBe("succeeded");
+    expect((await harness.store.listTransactionEvents("pi_done")).map((event) => event.type)).toContain(
+      "payment_intent.status_synced"
+    );
+  });
+
+  it("only checks payments the ledger shows as requires_capture", async () => {
+    await harness.app.locals.ledger.recordPaymentIntent(
+      fixtures.paymentIntent({ id: "pi_waiting", created: Math.floor((Date.now() - 2 * HOUR_MS) / 1000) }),
+      "payment_intent.created"
+    );
+
+    await sweeper.sweep();
+
+    expect(harness.stripe.paymentIntents.retrieve).not.toHaveBeenCalled();
+  });
+
+  it("carries on past a payment that fails", async () => {
+    stripeHas(await authorize("pi_a", 2 * HOUR_MS), await authorize("pi_b", 2 * HOUR_MS));
+    harness.stripe.paymentIntents.capture.mockRejectedValueOnce(apiError());
+
+    await sweeper.sweep();
+
+    expect(harness.stripe.paymentIntents.capture).toHaveBeenCalledTimes(2);
+  });
+
+  it("limits how many payments it checks at once", async () => {
+    const paymentIntents = [];
+    for (let i = 0; i < SYNC_CONCURRENCY * 3; i++) {
+      paymentIntents.push(await authorize(`pi_${i}`, 5 * MINUTE_MS));
+    }
+    let inFlight = 0;
+    let maxInFlight = 0;
+    harness.stripe.paymentIntents.retrieve.mockImplementation(async (id) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((resolve) => setImmediate(resolve));
+      inFlight--;
+      return paymentIntents.find((paymentIntent) => paymentIntent.id === id);
+    });
+
+    await sweeper.sweep();
+
+    expect(harness.stripe.paymentIntents.retrieve).toHaveBeenCalledTimes(SYNC_CONCURRENCY * 3);
+    expect(maxInFlight).toBe(SYNC_CONCURRENCY);
+  });
+
+  it("settles connected-account payments with that account's client", async () => {
+    stripeHas(await authorize("pi_connect", 2 * HOUR_MS, { account: "acct_harbour" }));
+
+    await sweeper.sweep();
+
+    expect(harness.stripeFactory).toHaveBeenCalledWith("acct_harbour");
+    expect(harness.stripe.paymentIntents.capture).toHaveBeenCalledWith("pi_connect", {}, expect.anything());
+    expect((await harness.store.getTransaction("pi_connect")).account_id).toBe("acct_harbour");
+  });
+});
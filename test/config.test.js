@@ -0,0 +1,161 @@
+const { loadConfig } = require("../src/config");
+
+const baseEnv = {
+  STRIPE_SECRET_KEY: "sk_test_123",
+  STRIPE_WEBHOOK_SECRET: "whsec_123",
+};
+
+function problemsFor(env) {
+  try {
+    loadConfig(env);
+  } catch (error) {
+    return error.problems;
+  }
+  throw new Error("Expected the configuration to be rejected");
+}
+
+describe("loadConfig", () => {
+  it("fills in defaults", () => {
+    const config = loadConfig(baseEnv);
+
+    expect(config).toMatchObject({
+      env: "development",
+      port: 3000,
+      host: "0.0.0.0",
+      corsOrigins: true,
+      authDisabled: false,
+      apiKeys: [],
+      tenants: new Map(),
+      stripe: { backend: "stripe", secretKey: "sk_test_123", webhookSecret: "whsec_123" },
+      testMode: true,
+      defaultCurrency: "usd",
+      shutdownTimeoutMs: 30000,
+      logLevel: "info",
+    });
+  });
+
+  it("reads the listener, CORS and currency settings", () => {
+    const config = loadConfig({
+      ...baseEnv,
+      PORT: "8080",
+      CORS_ORIGINS: "https://pos.example.com, http://localhost:5173",
+      DEFAULT_CURRENCY: "CAD",
+      SHUTDOWN_TIMEOUT_SECONDS: "0",
+    });
+
+    expect(config.port).toBe(8080);
+    expect(config.corsOrigins).toEqual(["https://pos.example.com", "http://localhost:5173"]);
+    expect(config.defaultCurrency).toBe("cad");
+    expect(config.shutdownTimeoutMs).toBe(0);
+  });
+
+  it("requires the Stripe secrets", () => {
+    expect(problemsFor({})).toEqual([
+      "STRIPE_SECRET_KEY is required (or set STRIPE_BACKEND=emulator to work offline)",
+      "STRIPE_WEBHOOK_SECRET is required to verify webhook events",
+    ]);
+  });
+
+  it("runs the emulator without Stripe secrets", () => {
+    const config = loadConfig({ STRIPE_BACKEND: "emulator", SIMULATE_PAYMENT_DELAY_MS: "0" });
+
+    expect(config.stripe).toMatchObject({ backend: "emulator", secretKey: null });
+    expect(config.stripe.emulator.delayMs).toBe(0);
+    expect(config.testMode).toBe(true);
+  });
+
+  it("needs a secret to sign emulated webhooks", () => {
+    expect(problemsFor({ STRIPE_BACKEND: "emulator", EMULATOR_WEBHOOK_URL: "http://localhost:3000/api/payments/webhook" }))
+      .toEqual(["STRIPE_WEBHOOK_SECRET is required to sign events posted to EMULATOR_WEBHOOK_URL"]);
+  });
+
+  it("reports every problem at once", () => {
+    const problems = problemsFor({
+      STRIPE_SECRET_KEY: "pk_test_123",
+      STRIPE_WEBHOOK_SECRET: "whsec_123",
+      STRIPE_BACKEND: "sandbox",
+      PORT: "http",
+      CORS_ORIGINS: "pos.example.com",
+      DEFAULT_CURRENCY: "dollars",
+      API_KEYS: "not json",
+    });
+
+    expect(problems).toHaveLength(6);
+    expect(problems).toEqual(
+      expect.arrayContaining([
+        "STRIPE_BACKEND must be one of stripe, emulator",
+        "STRIPE_SECRET_KEY must be a Stripe secret or restricted key (sk_... or rk_...)",
+        "PORT must be a whole number from 1 to 65535",
+        'CORS_ORIGINS entry "pos.example.com" must be an origin such as https://pos.example.com',
+        "DEFAULT_CURRENCY must be a three-letter ISO currency code",
+        expect.stringMatching(/^API keys are not valid JSON/),
+      ])
+    );
+  });
+
+  it("lists the problems in the error message", () => {
+    expect(() => loadConfig({ STRIPE_WEBHOOK_SECRET: "whsec_123" })).toThrow(
+      "Invalid configuration:\n  - STRIPE_SECRET_KEY is required"
+    );
+  });
+
+  it("turns test mode off for live keys", () => {
+    expect(loadConfig({ ...baseEnv, STRIPE_SECRET_KEY: "sk_live_123" }).testMode).toBe(false);
+    expect(problemsFor({ ...baseEnv, STRIPE_SECRET_KEY: "sk_live_123", TEST_MODE: "true" })).toEqual([
+      "TEST_MODE needs a test mode secret key, not a live one",
+    ]);
+  });
+
+  it("rejects unclear flags", () => {
+    expect(problemsFor({ ...baseEnv, TEST_MODE: "yes" })).toEqual(["TEST_MODE must be true or false"]);
+  });
+
+  it("checks the log level", () => {
+    expect(problemsFor({ ...baseEnv, LOG_LEVEL: "verbose" })).toEqual([
+      "LOG_LEVEL must be one of debug, info, warn, error, silent",
+    ]);
+  });
+
+  it("refuses to disable authentication in production", () => {
+    expect(problemsFor({ ...baseEnv, NODE_ENV: "production", AUTH_DISABLED: "true" })).toEqual([
+      "AUTH_DISABLED cannot be used with NODE_ENV=production",
+    ]);
+  });
+
+  it("reads the storage, mail and receipt settings", () => {
+    const config = loadConfig({
+      ...baseEnv,
+      STORAGE_DRIVER: "memory",
+      MAIL_TRANSPORT: "smtp",
+      MAIL_FROM: "receipts@harbour.example",
+      SMTP_HOST: "smtp.example.com",
+      SMTP_PORT: "465",
+      SMTP_SECURE: "true",
+      RECEIPT_MERCHANT_NAME: "Harbour Bar",
+    });
+
+    expect(config.storage.driver).toBe("memory");
+    expect(config.mail).toMatchObject({
+      transport: "smtp",
+      from: "receipts@harbour.example",
+      smtp: { host: "smtp.example.com", port: 465, secure: true },
+    });
+    expect(config.receipts.merchantName).toBe("Harbour Bar");
+  });
+
+  it("checks the storage and mail settings at startup", () => {
+    expect(problemsFor({ ...baseEnv, MAIL_TRANSPORT: "smtp" })).toEqual(["SMTP_HOST is required for MAIL_TRANSPORT=smtp"]);
+    expect(problemsFor({ ...baseEnv, STORAGE_DRIVER: "postgres", MAIL_TRANSPORT: "sendmail", MAIL_FROM: "receipts" })).toEqual([
+      "STORAGE_DRIVER must be one of sqlite, memory",
+      "MAIL_TRANSPORT must be one of file, smtp",
+      "MAIL_FROM must be an email address",
+    ]);
+  });
+
+  it("includes the capture sweeper settings", () => {
+    expect(loadConfig({ ...baseEnv, AUTO_CAPTURE_AFTER_MINUTES: "60" }).sweeper.autoCaptureAfterMs).toBe(3600000);
+    expect(problemsFor({ ...baseEnv, CANCEL_UNCAPTURED_AFTER_HOURS: "-1" })).toEqual([
+      "CANCEL_UNCAPTURED_AFTER_HOURS must be a non-negative number",
+    ]);
+  });
+});
@@ -0,0 +1,34 @@
+const { useApp } = require("./helpers/app");
+const { apiError } = require("./helpers/mock-stripe");
+
+describe("POST /api/connection-token", () => {
+  const harness = useApp();
+
+  it("creates a connection token", async () => {
+    const res = await harness.request("cashier").post("/api/connection-token").send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ status: "success", secret: "pst_test_secret" });
+    expect(harness.stripe.terminal.connectionTokens.create).toHaveBeenCalledWith({ location: undefined });
+  });
+
+  it("scopes the token to the key's only location", async () => {
+    await harness.request("store").post("/api/connection-token").send({});
+
+    expect(harness.stripe.terminal.connectionTokens.create).toHaveBeenCalledWith({ location: "tml_store" });
+  });
+
+  it("refuses locations outside the key's scope", async () => {
+    const res = await harness.request("store").post("/api/connection-token").send({ location: "tml_other" });
+
+    expect(res.status).toBe(403);
+  });
+
+  it("reports Stripe outages as a bad gateway", async () => {
+    harness.stripe.terminal.connectionTokens.create.mockRejectedValueOnce(apiError());
+
+    const res = await harness.request("cashier").post("/api/connection-token").send({});
+
+    expect(res.status).toBe(502);
+  });
+});
@@ -0,0 +1,58 @@
+const { useApp } = require("./helpers/app");
+const { listResult, resourceMissingError } = require("./helpers/mock-stripe");
+
+describe("customers", () => {
+  const harness = useApp();
+
+  it("creates a customer", async () => {
+    const res = await harness
+      .request("cashier")
+      .post("/api/customers")
+      .send({ email: "jenny@example.com", name: "Jenny Rosen" });
+
+    expect(res.status).toBe(201);
+    expect(res.body.customer.email).toBe("jenny@example.com");
+  });
+
+  it("validates the metadata", async () => {
+    const res = await harness.request("cashier").post("/api/customers").send({ metadata: { points: 12 } });
+
+    expect(res.status).toBe(400);
+    expect(harness.stripe.customers.create).not.toHaveBeenCalled();
+  });
+
+  it("returns a customer", async () => {
+    const res = await harness.request("cashier").get("/api/customers/cus_123");
+
+    expect(res.status).toBe(200);
+    expect(res.body.customer.id).toBe("cus_123");
+  });
+
+  it("treats deleted customers as missing", async () => {
+    harness.stripe.customers.retrieve.mockResolvedValueOnce({ id: "cus_123", object: "customer", deleted: true });
+
+    const res = await harness.request("cashier").get("/api/customers/cus_123");
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe("Customer not found");
+  });
+
+  it("returns 404 for unknown customers", async () => {
+    harness.stripe.customers.retrieve.mockRejectedValueOnce(resourceMissingError("cus_missing"));
+
+    const res = await harness.request("cashier").get("/api/customers/cus_missing");
+
+    expect(res.status).toBe(404);
+  });
+
+  it("lists saved cards", async () => {
+    const card = { id: "pm_123", object: "payment_method", type: "card" };
+    harness.stripe.customers.listPaymentMethods.mockReturnValueOnce(listResult([card]));
+
+    const res = await harness.request("cashier").get("/api/customers/cus_123/payment-methods");
+
+    expect(res.status).toBe(200);
+    expect(res.body.payment_methods).toEqual([card]);
+    expect(harness.stripe.customers.listPaymentMethods).toHaveBeenCalledWith("cus_123", { type: "card" });
+  });
+});
@@ -0,0 +1,290 @@
+const supertest = require("supertest");
+const { API_KEYS } = require("./helpers/app");
+const { createApp } = require("../src/app");
+const { loadConfig } = require("../src/config");
+const { configureLogger } = require("../src/logging");
+const { createEmulator } = require("../src/emulator");
+const { IDEMPOTENCY_TTL_MS, MAX_IDEMPOTENCY_KEYS } = require("../src/emulator/fake-stripe");
+const { createStore } = require("../src/storage");
+const { createLedger } = require("../src/services/ledger");
+const webhooks = require("../src/webhooks");
+const readerEvents = require("../src/services/reader-events");
+const simulatedReaderConfig = require("../src/config/simulated-reader");
+
+// Poll until check stops throwing; emulated readers finish on a timer and
+// their events are handled asynchronously
+async function until(check, timeoutMs = 1000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return await check();
+    } catch (error) {
+      if (Date.now() > deadline) {
+        throw error;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  }
+}
+
+// A registered simulated reader at a new location
+async function registerReader(stripe) {
+  const location = await stripe.terminal.locations.create(simulatedReaderConfig.testLocation);
+  return stripe.terminal.readers.create({
+    registration_code: simulatedReaderConfig.defaultReader.registration_code,
+    location: location.id,
+  });
+}
+
+describe("emulator", () => {
+  let emulator;
+  let stripe;
+  let events;
+  let store;
+
+  beforeEach(() => {
+    store = createStore({ driver: "memory" });
+    const services = { store, ledger: createLedger(store) };
+    emulator = createEmulator({ delayMs: 0, dispatchEvent: (event) => webhooks.dispatchEvent(event, services) });
+    stripe = emulator.client();
+    events = [];
+    emulator.on("event", (event) => events.push(event));
+  });
+
+  afterEach(() => {
+    emulator.reset();
+  });
+
+  // Start a payment on a new reader and present card (a presentPaymentMethod
+  // params object), resolving once the reader has finished
+  async function pay(amount, card = {}) {
+    const reader = await registerReader(stripe);
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount,
+      currency: "usd",
+      capture_method: "manual",
+      payment_method_types: ["card_present", "interac_present"],
+    });
+    await stripe.terminal.readers.processPaymentIntent(reader.id, { payment_intent: paymentIntent.id });
+    await stripe.testHelpers.terminal.readers.presentPaymentMethod(reader.id, card);
+    await until(async () => {
+      expect((await stripe.terminal.readers.retrieve(reader.id)).action.status).not.toBe("in_progress");
+    });
+    return {
+      reader: await stripe.terminal.readers.retrieve(reader.id),
+      paymentIntent: await stripe.paymentIntents.retrieve(paymentIntent.id, { expand: ["latest_charge"] }),
+    };
+  }
+
+  describe("reader actions", () => {
+    it("only registers simulated readers", async () => {
+      await expect(stripe.terminal.readers.create({ registration_code: "puppies-plug-could" })).rejects.toMatchObject({
+        type: "StripeInvalidRequestError",
+      });
+    });
+
+    it("keeps the reader busy until the card is presented", async () => {
+      const reader = await registerReader(stripe);
+      const first = await stripe.paymentIntents.create({ amount: 1000, currency: "usd" });
+      const second = await stripe.paymentIntents.create({ amount: 1000, currency: "usd" });
+
+      const processing = await stripe.terminal.readers.processPaymentIntent(reader.id, { payment_intent: first.id });
+
+      expect(processing.action).toMatchObject({ type: "process_payment_intent", status: "in_progress" });
+      await expect(
+        stripe.terminal.readers.processPaymentIntent(reader.id, { payment_intent: second.id })
+      ).rejects.toMatchObject({ code: "terminal_reader_busy" });
+    });
+
+    it("cancels the action and returns the payment to requires_payment_method", async () => {
+      const reader = await registerReader(stripe);
+      const paymentIntent = await stripe.paymentIntents.create({ amount: 1000, currency: "usd" });
+      await stripe.terminal.readers.processPaymentIntent(reader.id, { payment_intent: paymentIntent.id });
+      await stripe.testHelpers.terminal.readers.presentPaymentMethod(reader.id, {});
+
+      const canceled = await stripe.terminal.readers.cancelAction(reader.id);
+
+      expect(canceled.action).toBeNull();
+      expect((await stripe.paymentIntents.retrieve(paymentIntent.id)).status).toBe("requires_payment_method");
+    });
+
+    it("refuses a card when no payment is in progress", async () => {
+      const reader = await registerReader(stripe);
+
+      await expect(stripe.testHelpers.terminal.readers.presentPaymentMethod(reader.id, {})).rejects.toMatchObject({
+        code: "terminal_reader_action_not_in_progress",
+      });
+    });
+
+    it("fills in collected inputs", async () => {
+      const reader = await registerReader(stripe);
+
+      await stripe.terminal.readers.collectInputs(reader.id, {
+        inputs: [{ type: "email", custom_text: { title: "Email" } }],
+      });
+
+      const collected = await until(async () => {
+        const current = await stripe.terminal.readers.retrieve(reader.id);
+        expect(current.action.status).toBe("succeeded");
+        return current;
+      });
+      expect(collected.action.collect_inputs.inputs[0].email).toEqual({ value: "customer@example.com" });
+    });
+  });
+
+  describe("test cards", () => {
+    it("authorizes the default card for manual capture", async () => {
+      const { reader, paymentIntent } = await pay(1000);
+
+      expect(reader.action.status).toBe("succeeded");
+      expect(paymentIntent).toMatchObject({ status: "requires_capture", amount_capturable: 1000 });
+      expect(paymentIntent.latest_charge.payment_method_details.card_present).toMatchObject({
+        brand: "visa",
+        last4: "4242",
+      });
+    });
+
+    it("declines Stripe's declining test numbers", async () => {
+      const { reader, paymentIntent } = await pay(1000, {
+        type: "card_present",
+        card_present: { number: simulatedReaderConfig.testScenarios.insufficient_funds.number },
+      });
+
+      expect(reader.action).toMatchObject({ status: "failed", failure_code: "card_declined" });
+      expect(paymentIntent.status).toBe("requires_payment_method");
+      expect(paymentIntent.last_payment_error).toMatchObject({ decline_code: "insufficient_funds" });
+    });
+
+    it("declines test amounts whatever the card", async () => {
+      const { paymentIntent } = await pay(1005);
+
+      expect(paymentIntent.last_payment_error).toMatchObject({ decline_code: "generic_decline" });
+    });
+
+    it("captures Interac payments straight away", async () => {
+      const { paymentIntent } = await pay(1000, { type: "interac_present" });
+
+      expect(paymentIntent).toMatchObject({ status: "succeeded", amount_received: 1000 });
+    });
+  });
+
+  describe("events", () => {
+    it("emits the events Stripe sends for an authorized payment", async () => {
+      const { reader, paymentIntent } = await pay(1000);
+
+      expect(events.map((event) => event.type)).toEqual([
+        "payment_intent.created",
+        "payment_intent.amount_capturable_updated",
+        "terminal.reader.action_succeeded",
+      ]);
+      expect(events[1].data.object).toMatchObject({ id: paymentIntent.id, status: "requires_capture" });
+      expect(events[2].data.object).toMatchObject({ id: reader.id, action: { status: "succeeded" } });
+    });
+
+    it("emits payment_failed and action_failed for a decline", async () => {
+      await pay(1000, { card_present: { number: "4000000000000002" } });
+
+      expect(events.map((event) => event.type)).toEqual([
+        "payment_intent.created",
+        "payment_intent.payment_failed",
+        "terminal.reader.action_failed",
+      ]);
+    });
+
+    it("marks events from connected accounts with the account", async () => {
+      await emulator.client("acct_harbour").paymentIntents.create({ amount: 1000, currency: "usd" });
+
+      expect(events[0].account).toBe("acct_harbour");
+    });
+
+    it("hands events to the webhook handlers when no webhook URL is set", async () => {
+      const { paymentIntent } = await pay(1000);
+
+      await until(async () => {
+        expect(await store.getTransaction(paymentIntent.id)).toMatchObject({ status: "requires_capture" });
+      });
+      await until(async () => {
+        const types = (await store.listTransactionEvents(paymentIntent.id)).map((event) => event.type);
+        expect(types).toContain("terminal.reader.action_succeeded");
+      });
+    });
+  });
+
+  describe("idempotency", () => {
+    it("replays the result of a repeated key", async () => {
+      const first = await stripe.customers.create({ name: "Jenny" }, { idempotencyKey: "key-1" });
+      const second = await stripe.customers.create({ name: "Jenny" }, { idempotencyKey: "key-1" });
+
+      expect(second.id).toBe(first.id);
+      await expect(
+        stripe.paymentIntents.create({ amount: 1000, currency: "usd" }, { idempotencyKey: "key-1" })
+      ).rejects.toMatchObject({ type: "StripeIdempotencyError" });
+    });
+
+    it("forgets keys after a day", async () => {
+      const first = await stripe.customers.create({}, { idempotencyKey: "key-1" });
+      jest.spyOn(Date, "now").mockReturnValue(Date.now() + IDEMPOTENCY_TTL_MS + 1);
+
+      const second = await stripe.customers.create({}, { idempotencyKey: "key-1" });
+
+      expect(second.id).not.toBe(first.id);
+    });
+
+    it("forgets the oldest keys beyond the limit", async () => {
+      const first = await stripe.customers.create({}, { idempotencyKey: "key-0" });
+      for (let i = 1; i <= MAX_IDEMPOTENCY_KEYS; i++) {
+        await stripe.customers.create({}, { idempotencyKey: `key-${i}` });
+      }
+
+      const replayed = await stripe.customers.create({}, { idempotencyKey: "key-0" });
+
+      expect(replayed.id).not.toBe(first.id);
+    });
+  });
+});
+
+describe("app on the emulator", () => {
+  let app;
+
+  beforeEach(() => {
+    app = createApp(loadConfig({ ...process.env, STRIPE_BACKEND: "emulator", SIMULATE_PAYMENT_DELAY_MS: "0" }));
+  });
+
+  it("records the outcome and frees the reader for shutdown without a webhook URL", async () => {
+    const reader = await registerReader(app.locals.stripeClients.get());
+    const request = (path, body) => supertest(app).post(path).set("X-API-Key", API_KEYS.cashier).send(body);
+
+    const created = await request(`/api/payments/create-and-process-payment/${reader.id}`, { amount: 1000 });
+    expect(created.status).toBe(200);
+    expect(readerEvents.activeReaderIds()).toContain(reader.id);
+
+    await request(`/api/payments/simulate-payment/${reader.id}`, { scenario: "approved" });
+
+    await until(async () => {
+      expect(await app.locals.store.getTransaction(created.body.paymentIntent.id)).toMatchObject({
+        status: "requires_capture",
+      });
+      expect(readerEvents.activeReaderIds()).not.toContain(reader.id);
+    });
+  });
+
+  it("logs handled events under the event rather than the request that caused them", async () => {
+    const lines = [];
+    configureLogger({ level: "info", output: (line) => lines.push(JSON.parse(line)) });
+    const reader = await registerReader(app.locals.stripeClients.get());
+    const request = (path, body) =>
+      supertest(app).post(path).set("X-API-Key", API_KEYS.cashier).set("X-Request-Id", "pos-44").send(body);
+
+    await request(`/api/payments/create-and-process-payment/${reader.id}`, { amount: 1000 });
+    await request(`/api/payments/simulate-payment/${reader.id}`, { scenario: "approved" });
+
+    const handled = await until(async () => {
+      const line = lines.find((entry) => entry.msg === "Payment intent updated");
+      expect(line).toBeDefined();
+      return line;
+    });
+    expect(handled.request_id).toBeUndefined();
+    expect(handled).toMatchObject({ stripe_event_type: "payment_intent.amount_capturable_updated" });
+    expect(handled.stripe_event_id).toMatch(/^evt_/);
+  });
+});
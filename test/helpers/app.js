@@ -0,0 +1,53 @@
+const crypto = require("crypto");
+const supertest = require("supertest");
+const { createApp } = require("../../src/app");
+const { loadConfig } = require("../../src/config");
+const { createStore } = require("../../src/storage");
+const { createMockStripe } = require("./mock-stripe");
+
+const API_KEYS = {
+  cashier: "cashier-key-0000000000",
+  manager: "manager-key-0000000000",
+  admin: "admin-key-000000000000",
+  store: "store-key-000000000000",
+  stores: "stores-key-00000000000",
+  tenant: "tenant-key-00000000000",
+};
+
+// ID the auth middleware derives for a role's key, e.g. in idempotency keys
+function apiKeyId(role) {
+  return crypto.createHash("sha256").update(API_KEYS[role]).digest("hex").slice(0, 16);
+}
+
+/**
+ * Per-test harness: a fresh app with an in-memory store and a mock Stripe
+ * client, and request helpers authenticated as the given role (admin by
+ * default). The app is built from config, by default loaded from the test
+ * environment.
+ *
+ *   const harness = useApp();
+ *   await harness.request("cashier").post("/api/...").send({...});
+ *   harness.stripe.paymentIntents.create.mockRejectedValueOnce(...);
+ */
+function useApp(config = loadConfig()) {
+  const harness = {};
+
+  beforeEach(() => {
+    harness.store = createStore({ driver: "memory" });
+    harness.stripe = createMockStripe();
+    harness.stripeFactory = jest.fn(() => harness.stripe);
+    harness.app = createApp(config, { store: harness.store, stripeClientFactory: harness.stripeFactory });
+  });
+
+  harness.request = (role = "admin") => {
+    const agent = supertest.agent(harness.app);
+    if (role) {
+      agent.set("X-API-Key", API_KEYS[role]);
+    }
+    return agent;
+  };
+
+  return harness;
+}
+
+module.exports = { API_KEYS, apiKeyId, useApp };
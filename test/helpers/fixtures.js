@@ -0,0 +1,141 @@
+// Stripe objects as the API returns them, trimmed to the fields the app reads
+
+function reader(overrides = {}) {
+  return {
+    id: "tmr_123",
+    object: "terminal.reader",
+    action: null,
+    device_type: "simulated_wisepos_e",
+    label: "Front counter",
+    location: "tml_store",
+    metadata: {},
+    serial_number: "SIM-123",
+    status: "online",
+    ...overrides,
+  };
+}
+
+function location(overrides = {}) {
+  return {
+    id: "tml_store",
+    object: "terminal.location",
+    address: { line1: "510 Townsend St", city: "San Francisco", state: "CA", postal_code: "94103", country: "US" },
+    configuration_overrides: null,
+    display_name: "Main Store",
+    metadata: {},
+    ...overrides,
+  };
+}
+
+function charge(overrides = {}) {
+  const { card_present: cardPresent, ...rest } = overrides;
+  return {
+    id: "ch_123",
+    object: "charge",
+    amount: 1000,
+    amount_captured: 1000,
+    amount_refunded: 0,
+    captured: true,
+    refunded: false,
+    created: 1700000000,
+    currency: "usd",
+    payment_intent: "pi_123",
+    receipt_email: null,
+    receipt_number: "1234-5678",
+    payment_method_details: {
+      type: "card_present",
+      card_present: {
+        brand: "visa",
+        last4: "4242",
+        read_method: "contactless_emv",
+        capture_before: 1700172800,
+        incremental_authorization_supported: false,
+        overcapture_supported: false,
+        receipt: {
+          account_type: "credit",
+          application_preferred_name: "Visa Credit",
+          dedicated_file_name: "A0000000031010",
+          authorization_code: "123456",
+          cardholder_verification_method: "none",
+        },
+        ...cardPresent,
+      },
+    },
+    ...rest,
+  };
+}
+
+function paymentIntent(overrides = {}) {
+  return {
+    id: "pi_123",
+    object: "payment_intent",
+    amount: 1000,
+    amount_capturable: 0,
+    amount_details: { tip: {} },
+    amount_received: 0,
+    capture_method: "manual",
+    created: Math.floor(Date.now() / 1000),
+    currency: "usd",
+    last_payment_error: null,
+    latest_charge: null,
+    metadata: { readerId: "tmr_123", location: "tml_store" },
+    payment_method: null,
+    receipt_email: null,
+    status: "requires_payment_method",
+    ...overrides,
+  };
+}
+
+// A payment intent authorized on the reader and waiting to be captured
+function authorizedPaymentIntent(overrides = {}, chargeOverrides = {}) {
+  return paymentIntent({
+    status: "requires_capture",
+    amount_capturable: 1000,
+    latest_charge: charge({ amount_captured: 0, captured: false, ...chargeOverrides }),
+    ...overrides,
+  });
+}
+
+// A captured payment intent, with latest_charge expanded
+function succeededPaymentIntent(overrides = {}, chargeOverrides = {}) {
+  return paymentIntent({
+    status: "succeeded",
+    amount_received: 1000,
+    payment_method: "pm_123",
+    latest_charge: charge(chargeOverrides),
+    ...overrides,
+  });
+}
+
+function customer(overrides = {}) {
+  return {
+    id: "cus_123",
+    object: "customer",
+    email: "jenny@example.com",
+    name: "Jenny Rosen",
+    metadata: {},
+    ...overrides,
+  };
+}
+
+function setupIntent(overrides = {}) {
+  return {
+    id: "seti_123",
+    object: "setup_intent",
+    customer: "cus_123",
+    status: "requires_payment_method",
+    usage: "off_session",
+    ...overrides,
+  };
+}
+
+module.exports = {
+  reader,
+  location,
+  charge,
+  paymentIntent,
+  authorizedPaymentIntent,
+  succeededPaymentIntent,
+  customer,
+  setupIntent,
+};
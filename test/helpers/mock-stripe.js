@@ -0,0 +1,159 @@
+const Stripe = require("stripe");
+const fixtures = require("./fixtures");
+
+// A list page that, like stripe-node's, can also be walked with for await
+function listResult(data, { has_more = false } = {}) {
+  const page = Promise.resolve({ object: "list", data, has_more });
+  page[Symbol.asyncIterator] = async function* iterate() {
+    yield* data;
+  };
+  return page;
+}
+
+/**
+ * A stand-in for a stripe-node client whose methods are jest mocks with
+ * plausible default results. Tests override them per call, e.g.
+ * stripe.terminal.readers.retrieve.mockResolvedValueOnce(...).
+ */
+function createMockStripe() {
+  return {
+    accounts: {
+      retrieve: jest.fn().mockResolvedValue({
+        id: "acct_platform",
+        country: "US",
+        business_profile: { name: "Test Cafe", support_phone: "+1 555 0100", url: null },
+        settings: { dashboard: { display_name: "Test Cafe" } },
+      }),
+    },
+    countrySpecs: {
+      retrieve: jest.fn().mockResolvedValue({
+        id: "US",
+        supported_payment_currencies: ["usd", "cad", "eur", "jpy", "kwd"],
+      }),
+    },
+    customers: {
+      create: jest.fn(async (params) => fixtures.customer(params)),
+      retrieve: jest.fn(async (id) => fixtures.customer({ id })),
+      listPaymentMethods: jest.fn(() => listResult([])),
+    },
+    paymentIntents: {
+      create: jest.fn(async (params) => fixtures.paymentIntent(params)),
+      retrieve: jest.fn(async (id) => fixtures.paymentIntent({ id })),
+      capture: jest.fn(async (id) => fixtures.paymentIntent({ id, status: "succeeded", amount_received: 1000 })),
+      cancel: jest.fn(async (id) => fixtures.paymentIntent({ id, status: "canceled" })),
+      incrementAuthorization: jest.fn(async (id, { amount }) =>
+        fixtures.paymentIntent({ id, amount, amount_capturable: amount, status: "requires_capture" })
+      ),
+    },
+    refunds: {
+      create: jest.fn(async (params) => ({
+        id: "re_123",
+        object: "refund",
+        amount: params.amount === undefined ? 1000 : params.amount,
+        charge: (params.expand || []).includes("charge")
+          ? fixtures.charge({ amount_refunded: params.amount === undefined ? 1000 : params.amount })
+          : "ch_123",
+        payment_intent: params.payment_intent,
+        reason: params.reason || null,
+        status: "succeeded",
+      })),
+      list: jest.fn(() => listResult([])),
+    },
+    setupIntents: {
+      create: jest.fn(async (params) => fixtures.setupIntent(params)),
+      retrieve: jest.fn(async (id) => fixtures.setupIntent({ id })),
+    },
+    terminal: {
+      configurations: {
+        create: jest.fn(async (params) => ({ id: "tmc_123", object: "terminal.configuration", ...params })),
+        update: jest.fn(async (id, params) => ({ id, object: "terminal.configuration", ...params })),
+      },
+      connectionTokens: {
+        create: jest.fn(async () => ({ object: "terminal.connection_token", secret: "pst_test_secret" })),
+      },
+      locations: {
+        create: jest.fn(async (params) => fixtures.location({ id: "tml_new", ...params })),
+        retrieve: jest.fn(async (id) => fixtures.location({ id })),
+        update: jest.fn(async (id, params) => fixtures.location({ id, ...params })),
+        del: jest.fn(async (id) => ({ id, object: "terminal.location", deleted: true })),
+        list: jest.fn(() => listResult([fixtures.location()])),
+      },
+      readers: {
+        create: jest.fn(async (params) => fixtures.reader({ id: "tmr_new", ...params })),
+        retrieve: jest.fn(async (id) => fixtures.reader({ id })),
+        update: jest.fn(async (id, params) => fixtures.reader({ id, ...params })),
+        del: jest.fn(async (id) => ({ id, object: "terminal.reader", deleted: true })),
+        list: jest.fn(() => listResult([fixtures.reader()])),
+        cancelAction: jest.fn(async (id) => fixtures.reader({ id })),
+        collectInputs: jest.fn(async (id, params) =>
+          fixtures.reader({ id, action: { type: "collect_inputs", status: "in_progress", collect_inputs: params } })
+        ),
+        processPaymentIntent: jest.fn(async (id, params) =>
+          fixtures.reader({
+            id,
+            action: { type: "process_payment_intent", status: "in_progress", process_payment_intent: params },
+          })
+        ),
+        processSetupIntent: jest.fn(async (id, params) =>
+          fixtures.reader({
+            id,
+            action: { type: "process_setup_intent", status: "in_progress", process_setup_intent: params },
+          })
+        ),
+        setReaderDisplay: jest.fn(async (id, params) =>
+          fixtures.reader({ id, action: { type: "set_reader_display", status: "succeeded", set_reader_display: params } })
+        ),
+      },
+    },
+    testHelpers: {
+      terminal: {
+        readers: {
+          presentPaymentMethod: jest.fn(async (id) =>
+            fixtures.reader({ id, action: { type: "process_payment_intent", status: "in_progress" } })
+          ),
+        },
+      },
+    },
+  };
+}
+
+// Errors shaped like the ones stripe-node throws for API error responses
+
+function invalidRequestError(message, { code, param, statusCode = 400 } = {}) {
+  return new Stripe.errors.StripeInvalidRequestError({ message, code, param, statusCode });
+}
+
+function resourceMissingError(id) {
+  return invalidRequestError(`No such object: '${id}'`, { code: "resource_missing", statusCode: 404 });
+}
+
+function cardError(declineCode = "generic_decline") {
+  return new Stripe.errors.StripeCardError({
+    message: "Your card was declined.",
+    code: "card_declined",
+    decline_code: declineCode,
+    statusCode: 402,
+  });
+}
+
+function apiError() {
+  return new Stripe.errors.StripeAPIError({ message: "Something went wrong on Stripe's end", statusCode: 500 });
+}
+
+function rateLimitError() {
+  return new Stripe.errors.StripeRateLimitError({
+    message: "Too many requests hit the API too quickly.",
+    code: "rate_limit",
+    statusCode: 429,
+  });
+}
+
+module.exports = {
+  listResult,
+  createMockStripe,
+  invalidRequestError,
+  resourceMissingError,
+  cardError,
+  apiError,
+  rateLimitError,
+};
@@ -0,0 +1,151 @@
+const { useApp } = require("./helpers/app");
+const fixtures = require("./helpers/fixtures");
+const { resourceMissingError } = require("./helpers/mock-stripe");
+
+describe("locations", () => {
+  const harness = useApp();
+  const address = { line1: "1 Harbour St", city: "Toronto", state: "ON", postal_code: "M5J 2N8", country: "CA" };
+
+  it("lists locations", async () => {
+    const res = await harness.request("manager").get("/api/locations?limit=5");
+
+    expect(res.status).toBe(200);
+    expect(res.body.locations).toEqual([fixtures.location()]);
+    expect(harness.stripe.terminal.locations.list).toHaveBeenCalledWith({ limit: 5, starting_after: undefined });
+  });
+
+  it("only lists the locations a scoped key can use", async () => {
+    const res = await harness.request("store").get("/api/locations");
+
+    expect(res.body).toMatchObject({ locations: [fixtures.location()], has_more: false });
+    expect(harness.stripe.terminal.locations.list).not.toHaveBeenCalled();
+  });
+
+  describe("for keys scoped to several locations", () => {
+    const ids = (res) => res.body.locations.map((location) => location.id);
+
+    beforeEach(() => {
+      harness.stripe.terminal.locations.retrieve.mockImplementation(async (id) =>
+        id === "tml_closed" ? { id, object: "terminal.location", deleted: true } : fixtures.location({ id })
+      );
+    });
+
+    it("fills each page and skips deleted locations", async () => {
+      const first = await harness.request("stores").get("/api/locations?limit=2");
+      const second = await harness.request("stores").get("/api/locations?limit=2&starting_after=tml_harbour");
+
+      expect(first.body).toMatchObject({ has_more: true });
+      expect(ids(first)).toEqual(["tml_store", "tml_harbour"]);
+      expect(second.body).toMatchObject({ has_more: false });
+      expect(ids(second)).toEqual(["tml_mall"]);
+    });
+
+    it("refuses to page from another location", async () => {
+      const res = await harness.request("stores").get("/api/locations?starting_after=tml_other");
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  it("creates a location", async () => {
+    const res = await harness.request("admin").post("/api/locations").send({ display_name: "Harbour Bar", address });
+
+    expect(res.status).toBe(201);
+    expect(harness.stripe.terminal.locations.create).toHaveBeenCalledWith(
+      { display_name: "Harbour Bar", address, metadata: undefined },
+      {}
+    );
+  });
+
+  it("requires an address", async () => {
+    const res = await harness.request("admin").post("/api/locations").send({ display_name: "Harbour Bar" });
+
+    expect(res.status).toBe(400);
+    expect(harness.stripe.terminal.locations.create).not.toHaveBeenCalled();
+  });
+
+  it("returns 404 for unknown locations", async () => {
+    harness.stripe.terminal.locations.retrieve.mockRejectedValueOnce(resourceMissingError("tml_missing"));
+
+    const res = await harness.request("manager").get("/api/locations/tml_missing");
+
+    expect(res.status).toBe(404);
+  });
+
+  it("updates a location", async () => {
+    const res = await harness.request("admin").patch("/api/locations/tml_store").send({ display_name: "Downtown" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.location.display_name).toBe("Downtown");
+  });
+
+  it("requires something to update", async () => {
+    const res = await harness.request("admin").patch("/api/locations/tml_store").send({});
+
+    expect(res.status).toBe(400);
+  });
+
+  it("keeps scoped keys to their own locations", async () => {
+    const res = await harness.request("store").delete("/api/locations/tml_other");
+
+    expect(res.status).toBe(403);
+    expect(harness.stripe.terminal.locations.del).not.toHaveBeenCalled();
+  });
+
+  it("deletes a location", async () => {
+    const res = await harness.request("admin").delete("/api/locations/tml_store");
+
+    expect(res.status).toBe(200);
+    expect(res.body.location.deleted).toBe(true);
+  });
+});
+
+describe("location tip presets", () => {
+  const harness = useApp();
+
+  const setTipping = (role, body, locationId = "tml_store") =>
+    harness.request(role).put(`/api/locations/${locationId}/tipping`).send(body);
+
+  it("creates a configuration for the location on first use", async () => {
+    const res = await setTipping("manager", { currency: "usd", percentages: [15, 18, 20] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.configuration.id).toBe("tmc_123");
+    expect(harness.stripe.terminal.configurations.create).toHaveBeenCalledWith({
+      tipping: { usd: { percentages: [15, 18, 20] } },
+    });
+    expect(harness.stripe.terminal.locations.update).toHaveBeenCalledWith("tml_store", {
+      configuration_overrides: "tmc_123",
+    });
+  });
+
+  it("updates the location's existing configuration", async () => {
+    harness.stripe.terminal.locations.retrieve.mockResolvedValueOnce(
+      fixtures.location({ configuration_overrides: "tmc_existing" })
+    );
+
+    await setTipping("manager", { currency: "EUR", fixed_amounts: [100, 200], smart_tip_threshold: 1000 });
+
+    expect(harness.stripe.terminal.configurations.update).toHaveBeenCalledWith("tmc_existing", {
+      tipping: { eur: { fixed_amounts: [100, 200], smart_tip_threshold: 1000 } },
+    });
+    expect(harness.stripe.terminal.configurations.create).not.toHaveBeenCalled();
+  });
+
+  it("needs presets in a currency that supports them", async () => {
+    const noPresets = await setTipping("manager", { currency: "usd" });
+    const unsupported = await setTipping("manager", { currency: "jpy", percentages: [10] });
+
+    expect(noPresets.status).toBe(400);
+    expect(unsupported.body.message).toBe("Tip presets are not supported for JPY");
+  });
+
+  it("is limited to managers of the location", async () => {
+    const cashier = await setTipping("cashier", { currency: "usd", percentages: [10] });
+    const otherStore = await setTipping("store", { currency: "usd", percentages: [10] }, "tml_other");
+
+    expect(cashier.status).toBe(403);
+    expect(otherStore.status).toBe(403);
+    expect(harness.stripe.terminal.configurations.create).not.toHaveBeenCalled();
+  });
+});
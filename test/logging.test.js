@@ -0,0 +1,101 @@
+const Stripe = require("stripe");
+const { useApp } = require("./helpers/app");
+const { configureLogger, logger, redact } = require("../src/logging");
+
+describe("redact", () => {
+  it("replaces values under sensitive keys", () => {
+    expect(redact({
+      client_secret: "pi_123_secret_abc",
+      headers: { authorization: "Bearer abc", "x-api-key": "cashier-key" },
+      card: { number: "4242424242424242", cvc: "123", last4: "4242" },
+    })).toEqual({
+      client_secret: "[REDACTED]",
+      headers: { authorization: "[REDACTED]", "x-api-key": "[REDACTED]" },
+      card: { number: "[REDACTED]", cvc: "[REDACTED]", last4: "4242" },
+    });
+  });
+
+  it("cuts Stripe secrets in text down to their prefix", () => {
+    expect(redact("Invalid API Key provided: sk_test_51abcDEF")).toBe("Invalid API Key provided: sk_test_[REDACTED]");
+    expect(redact("signed with whsec_abc123")).toBe("signed with whsec_[REDACTED]");
+    expect(redact("pi_123_secret_abc")).toBe("pi_123_secret_[REDACTED]");
+  });
+
+  it("masks card numbers but leaves other long numbers alone", () => {
+    expect(redact("card 4242 4242 4242 4242 declined")).toBe("card ****4242 declined");
+    expect(redact("order 1234567890123")).toBe("order 1234567890123");
+  });
+
+  it("copes with circular references", () => {
+    const value = { id: "pi_123" };
+    value.self = value;
+
+    expect(redact(value)).toEqual({ id: "pi_123", self: "[Circular]" });
+  });
+});
+
+describe("request logging", () => {
+  const harness = useApp();
+  let lines;
+
+  beforeEach(() => {
+    lines = [];
+    configureLogger({ level: "info", output: (line) => lines.push(JSON.parse(line)) });
+  });
+
+  it("echoes the caller's X-Request-Id", async () => {
+    const res = await harness.request("cashier").get("/api/payment-status/pi_123").set("X-Request-Id", "pos-42");
+
+    expect(res.headers["x-request-id"]).toBe("pos-42");
+    expect(lines).toContainEqual(expect.objectContaining({
+      msg: "Request completed",
+      request_id: "pos-42",
+      payment_intent_id: "pi_123",
+      status: 200,
+    }));
+  });
+
+  it("generates an ID when the header is missing or unusable", async () => {
+    const res = await harness.request("cashier").get("/api/payment-status/pi_123").set("X-Request-Id", "not a valid id");
+
+    expect(res.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+    expect(lines[0].request_id).toBe(res.headers["x-request-id"]);
+  });
+
+  it("tags errors with the request, reader, payment intent and Stripe request IDs", async () => {
+    harness.stripe.terminal.readers.processPaymentIntent.mockRejectedValueOnce(
+      new Stripe.errors.StripeInvalidRequestError({
+        message: "Reader is busy",
+        code: "terminal_reader_busy",
+        statusCode: 409,
+        requestId: "req_abc",
+      })
+    );
+
+    await harness
+      .request("cashier")
+      .post("/api/payments/process-payment/tmr_123")
+      .set("X-Request-Id", "pos-43")
+      .send({ payment_intent: "pi_123" });
+
+    const errorLine = lines.find((line) => line.msg === "Error processing payment");
+    expect(errorLine).toMatchObject({
+      level: "error",
+      request_id: "pos-43",
+      reader_id: "tmr_123",
+      payment_intent_id: "pi_123",
+      error: { code: "terminal_reader_busy", status: 409, stripe_request_id: "req_abc" },
+    });
+    expect(errorLine.error.stack).toBeUndefined();
+    expect(lines).toContainEqual(expect.objectContaining({ msg: "Request completed", level: "warn", status: 409 }));
+  });
+
+  it("drops lines below the configured level", () => {
+    configureLogger({ level: "warn" });
+
+    logger.info("Not written");
+    logger.warn("Written");
+
+    expect(lines.map((line) => line.msg)).toEqual(["Written"]);
+  });
+});
@@ -0,0 +1,151 @@
+const { useApp } = require("./helpers/app");
+const fixtures = require("./helpers/fixtures");
+const { resourceMissingError, rateLimitError } = require("./helpers/mock-stripe");
+const readerEvents = require("../src/services/reader-events");
+
+describe("GET /api/payment-status/:paymentIntentId", () => {
+  const harness = useApp();
+
+  it("returns the payment's status and tip", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(
+      fixtures.succeededPaymentIntent({ amount: 1200, amount_details: { tip: { amount: 200 } } })
+    );
+
+    const res = await harness.request("cashier").get("/api/payment-status/pi_123");
+
+    expect(res.status).toBe(200);
+    expect(res.body.payment_intent).toMatchObject({
+      id: "pi_123",
+      status: "succeeded",
+      amount: 1200,
+      tip_amount: 200,
+      amount_before_tip: 1000,
+    });
+  });
+
+  it("refuses payments taken at locations outside the key's scope", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(
+      fixtures.paymentIntent({ metadata: { readerId: "tmr_999", location: "tml_other" } })
+    );
+
+    const res = await harness.request("store").get("/api/payment-status/pi_123");
+
+    expect(res.status).toBe(403);
+  });
+
+  it("returns 404 for unknown payments", async () => {
+    harness.stripe.paymentIntents.retrieve.mockRejectedValueOnce(resourceMissingError("pi_missing"));
+
+    const res = await harness.request("cashier").get("/api/payment-status/pi_missing");
+
+    expect(res.status).toBe(404);
+  });
+
+  it("wakes a long poll when the reader reports progress", async () => {
+    harness.stripe.paymentIntents.retrieve
+      .mockResolvedValueOnce(fixtures.paymentIntent({ status: "processing" }))
+      .mockResolvedValueOnce(fixtures.authorizedPaymentIntent());
+    const publish = setTimeout(() => readerEvents.publish("tmr_123", "reader.action_succeeded", {}), 100);
+
+    const startedAt = Date.now();
+    const res = await harness.request("cashier").get("/api/payment-status/pi_123?wait=10");
+    clearTimeout(publish);
+
+    expect(res.body.payment_intent.status).toBe("requires_capture");
+    expect(Date.now() - startedAt).toBeLessThan(1500);
+  });
+
+  it("answers immediately once the payment is no longer pending", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(fixtures.authorizedPaymentIntent());
+
+    const res = await harness.request("cashier").get("/api/payment-status/pi_123?wait=10");
+
+    expect(res.status).toBe(200);
+    expect(harness.stripe.paymentIntents.retrieve).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejects waits longer than a minute", async () => {
+    const res = await harness.request("cashier").get("/api/payment-status/pi_123?wait=120");
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("GET /api/payment-status", () => {
+  const harness = useApp();
+
+  it("returns every requested payment, with errors for missing ones", async () => {
+    harness.stripe.paymentIntents.retrieve.mockImplementation(async (id) => {
+      if (id === "pi_missing") {
+        throw resourceMissingError(id);
+      }
+      return fixtures.paymentIntent({ id });
+    });
+
+    const res = await harness.request("cashier").get("/api/payment-status?ids=pi_1,pi_missing,pi_2");
+
+    expect(res.status).toBe(200);
+    expect(res.body.payment_intents.map((entry) => entry.id)).toEqual(["pi_1", "pi_missing", "pi_2"]);
+    expect(res.body.payment_intents[1].error.code).toBe("resource_missing");
+  });
+
+  it("withholds payments taken at locations outside the key's scope", async () => {
+    harness.stripe.paymentIntents.retrieve.mockImplementation(async (id) =>
+      fixtures.paymentIntent({ id, metadata: { location: id === "pi_other" ? "tml_other" : "tml_store" } })
+    );
+
+    const res = await harness.request("store").get("/api/payment-status?ids=pi_1,pi_other");
+
+    expect(res.body.payment_intents[0]).toMatchObject({ id: "pi_1", status: "requires_payment_method" });
+    expect(res.body.payment_intents[1]).toEqual({
+      id: "pi_other",
+      error: { code: "location_forbidden", message: "This API key is not allowed to use this location" },
+    });
+  });
+
+  it("requires at least one id", async () => {
+    const res = await harness.request("cashier").get("/api/payment-status?ids=,");
+
+    expect(res.status).toBe(400);
+  });
+
+  it("caps the batch size", async () => {
+    const ids = Array.from({ length: 51 }, (_, i) => `pi_${i}`).join(",");
+
+    const res = await harness.request("cashier").get(`/api/payment-status?ids=${ids}`);
+
+    expect(res.status).toBe(400);
+    expect(harness.stripe.paymentIntents.retrieve).not.toHaveBeenCalled();
+  });
+
+  it("reports other Stripe errors for the failing ID alone", async () => {
+    harness.stripe.paymentIntents.retrieve.mockRejectedValueOnce(rateLimitError());
+
+    const res = await harness.request("cashier").get("/api/payment-status?ids=pi_1,pi_2");
+
+    expect(res.status).toBe(200);
+    expect(res.body.payment_intents[0]).toMatchObject({
+      id: "pi_1",
+      error: { type: "StripeRateLimitError", code: "rate_limit" },
+    });
+    expect(res.body.payment_intents[1]).toMatchObject({ id: "pi_2", status: "requires_payment_method" });
+  });
+
+  it("limits how many payments it retrieves at once", async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    harness.stripe.paymentIntents.retrieve.mockImplementation(async (id) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((resolve) => setImmediate(resolve));
+      inFlight--;
+      return fixtures.paymentIntent({ id });
+    });
+    const ids = Array.from({ length: 20 }, (_, i) => `pi_${i}`);
+
+    const res = await harness.request("cashier").get(`/api/payment-status?ids=${ids.join(",")}`);
+
+    expect(res.body.payment_intents.map((entry) => entry.id)).toEqual(ids);
+    expect(maxInFlight).toBe(5);
+  });
+});
@@ -0,0 +1,714 @@
+const { apiKeyId, useApp } = require("./helpers/app");
+const fixtures = require("./helpers/fixtures");
+const { invalidRequestError, resourceMissingError, cardError, apiError } = require("./helpers/mock-stripe");
+const { createMailer } = require("../src/mail");
+const { loadConfig } = require("../src/config");
+const simulatedReaderConfig = require("../src/config/simulated-reader");
+const swaggerSpec = require("../src/swagger");
+
+describe("POST /api/payments/create-payment-intent", () => {
+  const harness = useApp();
+  const create = (body) =>
+    harness.request("cashier").post("/api/payments/create-payment-intent").send({ readerId: "tmr_123", ...body });
+
+  it("creates a manual-capture card-present payment for the reader", async () => {
+    const res = await create({ amount: 1000 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("success");
+    expect(harness.stripe.paymentIntents.create).toHaveBeenCalledWith(
+      {
+        amount: 1000,
+        currency: "usd",
+        payment_method_types: ["card_present"],
+        capture_method: "manual",
+        metadata: { readerId: "tmr_123", location: "tml_store" },
+      },
+      {}
+    );
+  });
+
+  it("records the payment in the ledger", async () => {
+    const res = await create({ amount: 1000 });
+
+    const transaction = await harness.store.getTransaction(res.body.paymentIntent.id);
+    expect(transaction).toMatchObject({ reader_id: "tmr_123", amount: 1000, status: "requires_payment_method" });
+  });
+
+  it("accepts Interac as well for CAD payments", async () => {
+    await create({ amount: 1000, currency: "CAD" });
+
+    expect(harness.stripe.paymentIntents.create.mock.calls[0][0]).toMatchObject({
+      currency: "cad",
+      payment_method_types: ["card_present", "interac_present"],
+    });
+  });
+
+  it("passes incremental authorization, customer and Connect options", async () => {
+    await create({
+      amount: 1000,
+      request_incremental_authorization_support: true,
+      customer: "cus_123",
+      setup_future_usage: "off_session",
+      application_fee_amount: 100,
+    });
+
+    expect(harness.stripe.paymentIntents.create.mock.calls[0][0]).toMatchObject({
+      payment_method_options: { card_present: { request_incremental_authorization_support: true } },
+      customer: "cus_123",
+      setup_future_usage: "off_session",
+      application_fee_amount: 100,
+    });
+  });
+
+  it("rejects amounts below the currency minimum", async () => {
+    const res = await create({ amount: 10 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Amount must be at least/);
+  });
+
+  it("rejects currencies the account does not support", async () => {
+    const res = await create({ amount: 1000, currency: "gbp" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Currency GBP is not supported by this account");
+  });
+
+  it("requires a customer to save the card", async () => {
+    const res = await create({ amount: 1000, setup_future_usage: "off_session" });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("rejects application fees of the whole amount", async () => {
+    const res = await create({ amount: 1000, application_fee_amount: 1000 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("application_fee_amount must be less than amount");
+  });
+
+  it("rejects destination charges on a connected account", async () => {
+    const res = await create({ amount: 1000, transfer_data: { destination: "acct_other" } }).set(
+      "Stripe-Account",
+      "acct_downtown"
+    );
+
+    expect(res.status).toBe(400);
+  });
+
+  it("refuses offline readers unless simulated", async () => {
+    harness.stripe.terminal.readers.retrieve.mockResolvedValue(fixtures.reader({ status: "offline" }));
+
+    const offline = await create({ amount: 1000 });
+    const simulated = await create({ amount: 1000, simulated: true });
+
+    expect(offline.status).toBe(409);
+    expect(offline.body.code).toBe("terminal_reader_offline");
+    expect(simulated.status).toBe(200);
+  });
+
+  it("returns 404 for unknown readers", async () => {
+    harness.stripe.terminal.readers.retrieve.mockRejectedValueOnce(resourceMissingError("tmr_missing"));
+
+    const res = await create({ amount: 1000 });
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe("resource_missing");
+  });
+
+  it("reports Stripe outages as a bad gateway", async () => {
+    harness.stripe.paymentIntents.create.mockRejectedValueOnce(apiError());
+
+    const res = await create({ amount: 1000 });
+
+    expect(res.status).toBe(502);
+  });
+});
+
+describe("POST /api/payments/capture-payment/:paymentIntentId", () => {
+  const harness = useApp();
+  const capture = (body = {}) =>
+    harness.request("manager").post("/api/payments/capture-payment/pi_123").send(body);
+
+  it("captures the full authorization", async () => {
+    const res = await capture();
+
+    expect(res.status).toBe(200);
+    expect(res.body.paymentIntent.status).toBe("succeeded");
+    expect(harness.stripe.paymentIntents.capture).toHaveBeenCalledWith("pi_123", { amount_to_capture: undefined }, {});
+  });
+
+  it("captures part of the authorization", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(fixtures.authorizedPaymentIntent());
+
+    const res = await capture({ amount_to_capture: 600 });
+
+    expect(res.status).toBe(200);
+    expect(harness.stripe.paymentIntents.capture).toHaveBeenCalledWith("pi_123", { amount_to_capture: 600 }, {});
+  });
+
+  it("rejects capturing more than authorized without over-capture support", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(fixtures.authorizedPaymentIntent());
+
+    const res = await capture({ amount_to_capture: 1500 });
+
+    expect(res.status).toBe(400);
+    expect(harness.stripe.paymentIntents.capture).not.toHaveBeenCalled();
+  });
+
+  it("allows over-capture when the card supports it", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(
+      fixtures.authorizedPaymentIntent({}, { card_present: { overcapture_supported: true } })
+    );
+
+    const res = await capture({ amount_to_capture: 1200 });
+
+    expect(res.status).toBe(200);
+  });
+
+  it("rejects partial captures of payments that are not authorized", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(fixtures.paymentIntent());
+
+    const res = await capture({ amount_to_capture: 500 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Only authorized payments awaiting capture can be captured");
+  });
+
+  it("maps Stripe's unexpected state error to 409", async () => {
+    harness.stripe.paymentIntents.capture.mockRejectedValueOnce(
+      invalidRequestError("This PaymentIntent could not be captured", { code: "payment_intent_unexpected_state" })
+    );
+
+    const res = await capture();
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe("payment_intent_unexpected_state");
+  });
+});
+
+describe("POST /api/payments/:paymentIntentId/increment-authorization", () => {
+  const harness = useApp();
+  const increment = (body) =>
+    harness.request("cashier").post("/api/payments/pi_123/increment-authorization").send(body);
+  const incrementable = () =>
+    fixtures.authorizedPaymentIntent({}, { card_present: { incremental_authorization_supported: true } });
+
+  it("raises the authorized amount", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(incrementable());
+
+    const res = await increment({ amount: 1500 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.paymentIntent.amount).toBe(1500);
+  });
+
+  it("rejects payments without incremental authorization support", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(fixtures.authorizedPaymentIntent());
+
+    const res = await increment({ amount: 1500 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("This payment does not support incremental authorization");
+  });
+
+  it("rejects amounts that do not exceed the current authorization", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(incrementable());
+
+    const res = await increment({ amount: 1000 });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("passes card declines through as 402", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(incrementable());
+    harness.stripe.paymentIntents.incrementAuthorization.mockRejectedValueOnce(cardError("insufficient_funds"));
+
+    const res = await increment({ amount: 1500 });
+
+    expect(res.status).toBe(402);
+    expect(res.body.decline_code).toBe("insufficient_funds");
+  });
+});
+
+describe("POST /api/payments/cancel-payment/:paymentIntentId", () => {
+  const harness = useApp();
+
+  it("cancels the payment", async () => {
+    const res = await harness.request("manager").post("/api/payments/cancel-payment/pi_123");
+
+    expect(res.status).toBe(200);
+    expect(res.body.paymentIntent.status).toBe("canceled");
+  });
+
+  it("checks the location of location-scoped keys first", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(
+      fixtures.paymentIntent({ metadata: { location: "tml_other" } })
+    );
+
+    const res = await harness.request("store").post("/api/payments/cancel-payment/pi_123");
+
+    expect(res.status).toBe(403);
+    expect(harness.stripe.paymentIntents.cancel).not.toHaveBeenCalled();
+  });
+
+  it("returns 404 for unknown payments", async () => {
+    harness.stripe.paymentIntents.cancel.mockRejectedValueOnce(resourceMissingError("pi_missing"));
+
+    const res = await harness.request("manager").post("/api/payments/cancel-payment/pi_missing");
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe("refunds", () => {
+  const harness = useApp();
+  const refund = (body = {}) => harness.request("manager").post("/api/payments/pi_123/refunds").send(body);
+
+  it("refunds a captured payment in full", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(fixtures.succeededPaymentIntent());
+
+    const res = await refund();
+
+    expect(res.status).toBe(201);
+    expect(res.body.refund.amount).toBe(1000);
+  });
+
+  it("refunds part of a payment", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(fixtures.succeededPaymentIntent());
+
+    const res = await refund({ amount: 400, reason: "requested_by_customer" });
+
+    expect(res.status).toBe(201);
+    expect(harness.stripe.refunds.create).toHaveBeenCalledWith(
+      {
+        payment_intent: "pi_123",
+        amount: 400,
+        reason: "requested_by_customer",
+        metadata: undefined,
+        expand: ["charge"],
+      },
+      {}
+    );
+    expect(res.body.refund.charge).toBe("ch_123");
+  });
+
+  it("takes the ledger's refunded total from Stripe, not the stored total", async () => {
+    const paymentIntent = fixtures.succeededPaymentIntent();
+    await harness.app.locals.ledger.recordPaymentIntent(paymentIntent, "payment_intent.succeeded");
+    // The charge.refunded webhook was handled before the API response
+    await harness.app.locals.ledger.recordChargeRefunded({ ...paymentIntent.latest_charge, amount_refunded: 400 });
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(paymentIntent);
+
+    await refund({ amount: 400 });
+
+    expect((await harness.store.getTransaction("pi_123")).amount_refunded).toBe(400);
+  });
+
+  it("rejects refunds of uncaptured payments", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(fixtures.authorizedPaymentIntent());
+
+    const res = await refund();
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Only captured payments can be refunded");
+  });
+
+  it("rejects refunds beyond the remaining amount", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(
+      fixtures.succeededPaymentIntent({}, { amount_refunded: 700 })
+    );
+
+    const res = await refund({ amount: 400 });
+
+    expect(res.status).toBe(400);
+    expect(harness.stripe.refunds.create).not.toHaveBeenCalled();
+  });
+
+  it("rejects refunds of fully refunded payments", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(
+      fixtures.succeededPaymentIntent({}, { amount_refunded: 1000, refunded: true })
+    );
+
+    const res = await refund();
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Payment has already been fully refunded");
+  });
+
+  it("lists refunds with the remaining refundable amount", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(
+      fixtures.succeededPaymentIntent({}, { amount_refunded: 300 })
+    );
+
+    const res = await harness.request("manager").get("/api/payments/pi_123/refunds");
+
+    expect(res.status).toBe(200);
+    expect(res.body.refundable_amount).toBe(700);
+    expect(res.body.refunds).toEqual([]);
+  });
+});
+
+describe("POST /api/payments/process-payment/:readerId", () => {
+  const harness = useApp();
+  const processPayment = (body) =>
+    harness.request("cashier").post("/api/payments/process-payment/tmr_123").send({ payment_intent: "pi_123", ...body });
+
+  it("starts the payment on the reader", async () => {
+    const res = await processPayment();
+
+    expect(res.status).toBe(200);
+    expect(res.body.reader.action.type).toBe("process_payment_intent");
+    expect(harness.stripe.terminal.readers.processPaymentIntent).toHaveBeenCalledWith(
+      "tmr_123",
+      { payment_intent: "pi_123", process_config: undefined },
+      {}
+    );
+  });
+
+  it("skips the tip screen on request", async () => {
+    await processPayment({ skip_tipping: true });
+
+    expect(harness.stripe.terminal.readers.processPaymentIntent.mock.calls[0][1].process_config).toEqual({
+      skip_tipping: true,
+    });
+  });
+
+  it("passes the tip-eligible amount to the reader", async () => {
+    const res = await processPayment({ tipping: { amount_eligible: 800 } });
+
+    expect(res.status).toBe(200);
+    expect(harness.stripe.terminal.readers.processPaymentIntent.mock.calls[0][1].process_config).toEqual({
+      tipping: { amount_eligible: 800 },
+    });
+  });
+
+  it("leaves the location's tip presets alone", async () => {
+    const res = await processPayment({ tipping: { percentages: [15, 18, 20] } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Tip presets are set per location with PUT /api/locations/{locationId}/tipping");
+    expect(harness.stripe.terminal.configurations.create).not.toHaveBeenCalled();
+    expect(harness.stripe.terminal.configurations.update).not.toHaveBeenCalled();
+    expect(harness.stripe.terminal.readers.processPaymentIntent).not.toHaveBeenCalled();
+  });
+
+  it("rejects a tip-eligible amount above the payment amount", async () => {
+    const res = await processPayment({ tipping: { amount_eligible: 5000 } });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("refuses offline readers", async () => {
+    harness.stripe.terminal.readers.retrieve.mockResolvedValueOnce(fixtures.reader({ status: "offline" }));
+
+    const res = await processPayment();
+
+    expect(res.status).toBe(409);
+  });
+
+  it("refuses payments created for another location on a reader the key can use", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(
+      fixtures.paymentIntent({ metadata: { readerId: "tmr_other", location: "tml_other" } })
+    );
+
+    const res = await harness
+      .request("store")
+      .post("/api/payments/process-payment/tmr_123")
+      .send({ payment_intent: "pi_123" });
+
+    expect(res.status).toBe(403);
+    expect(harness.stripe.terminal.readers.processPaymentIntent).not.toHaveBeenCalled();
+  });
+
+  it("maps a busy reader to 409", async () => {
+    harness.stripe.terminal.readers.processPaymentIntent.mockRejectedValueOnce(
+      invalidRequestError("Reader is currently busy", { code: "terminal_reader_busy" })
+    );
+
+    const res = await processPayment();
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe("terminal_reader_busy");
+  });
+});
+
+describe("POST /api/payments/simulate-payment/:readerId", () => {
+  const harness = useApp();
+  const simulate = (body) => harness.request("cashier").post("/api/payments/simulate-payment/tmr_123").send(body);
+
+  it("presents the default test card", async () => {
+    const res = await simulate();
+
+    expect(res.status).toBe(200);
+    expect(harness.stripe.testHelpers.terminal.readers.presentPaymentMethod).toHaveBeenCalledWith("tmr_123", {}, {});
+  });
+
+  it("presents the card of a named scenario, with a tip", async () => {
+    await simulate({ scenario: "insufficient_funds", amount_tip: 200 });
+
+    expect(harness.stripe.testHelpers.terminal.readers.presentPaymentMethod).toHaveBeenCalledWith(
+      "tmr_123",
+      { type: "card_present", card_present: { number: "4000000000009995" }, amount_tip: 200 },
+      {}
+    );
+  });
+
+  it("presents Interac cards as interac_present", async () => {
+    await simulate({ scenario: "interac" });
+
+    expect(harness.stripe.testHelpers.terminal.readers.presentPaymentMethod.mock.calls[0][1]).toEqual({
+      type: "interac_present",
+      interac_present: { number: "4506445006931933" },
+    });
+  });
+
+  it("presents an explicit test card number", async () => {
+    await simulate({ card_number: "5555555555554444" });
+
+    expect(harness.stripe.testHelpers.terminal.readers.presentPaymentMethod.mock.calls[0][1]).toEqual({
+      type: "card_present",
+      card_present: { number: "5555555555554444" },
+    });
+  });
+
+  it("rejects a scenario and a card number together", async () => {
+    const res = await simulate({ scenario: "visa", card_number: "4242424242424242" });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("rejects unknown scenarios", async () => {
+    const res = await simulate({ scenario: "lucky" });
+
+    expect(res.status).toBe(400);
+    expect(harness.stripe.testHelpers.terminal.readers.presentPaymentMethod).not.toHaveBeenCalled();
+  });
+
+  it("documents every configured scenario", () => {
+    const schema = swaggerSpec.paths["/api/payments/simulate-payment/{readerId}"].post.requestBody.content["application/json"].schema;
+
+    expect(schema.properties.scenario.enum).toEqual(Object.keys(simulatedReaderConfig.testScenarios));
+  });
+
+  it("only lets the emulator choose the entry mode", async () => {
+    const res = await simulate({ entry_mode: "chip" });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("simulate-payment outside test mode", () => {
+  const harness = useApp({ ...loadConfig(), testMode: false });
+
+  it("is unavailable", async () => {
+    const res = await harness.request("cashier").post("/api/payments/simulate-payment/tmr_123").send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Simulated payments are only available in test mode");
+    expect(harness.stripe.testHelpers.terminal.readers.presentPaymentMethod).not.toHaveBeenCalled();
+  });
+});
+
+describe("POST /api/payments/create-and-process-payment/:readerId", () => {
+  const harness = useApp();
+  const createAndProcess = (body) =>
+    harness.request("cashier").post("/api/payments/create-and-process-payment/tmr_123").send(body);
+
+  it("creates the payment and starts it on the reader", async () => {
+    const res = await createAndProcess({ amount: 1500 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.paymentIntent.amount).toBe(1500);
+    expect(res.body.reader.action.process_payment_intent.payment_intent).toBe(res.body.paymentIntent.id);
+  });
+
+  it("uses separate Stripe idempotency keys for each step", async () => {
+    await createAndProcess({ amount: 1500 }).set("Idempotency-Key", "order-9");
+
+    const keyId = apiKeyId("cashier");
+    expect(harness.stripe.paymentIntents.create.mock.calls[0][1]).toEqual({ idempotencyKey: `${keyId}:order-9:create` });
+    expect(harness.stripe.terminal.readers.processPaymentIntent.mock.calls[0][2]).toEqual({
+      idempotencyKey: `${keyId}:order-9:process`,
+    });
+  });
+
+  it("rejects skip_tipping together with tipping", async () => {
+    const res = await createAndProcess({ amount: 1500, skip_tipping: true, tipping: { amount_eligible: 1000 } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Use either skip_tipping or tipping, not both");
+  });
+
+  it("validates the amount before calling Stripe", async () => {
+    const res = await createAndProcess({ amount: 0 });
+
+    expect(res.status).toBe(400);
+    expect(harness.stripe.terminal.readers.retrieve).not.toHaveBeenCalled();
+  });
+
+  it("charges the configured default currency", async () => {
+    harness.app.locals.config = { ...harness.app.locals.config, defaultCurrency: "cad" };
+
+    await createAndProcess({ amount: 1500 });
+
+    expect(harness.stripe.paymentIntents.create.mock.calls[0][0].currency).toBe("cad");
+  });
+});
+
+describe("GET /api/payments/pending-capture", () => {
+  const harness = useApp();
+
+  it("lists authorized payments from the ledger without calling Stripe", async () => {
+    await harness.store.saveTransaction({
+      id: "pi_123",
+      account_id: null,
+      reader_id: "tmr_123",
+      location_id: "tml_store",
+      amount: 1000,
+      amount_capturable: 1000,
+      amount_received: 0,
+      currency: "usd",
+      status: "requires_capture",
+      capture_before: new Date(1700172800 * 1000).toISOString(),
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    });
+
+    const res = await harness.request("manager").get("/api/payments/pending-capture");
+
+    expect(res.status).toBe(200);
+    expect(res.body.payments).toEqual([
+      expect.objectContaining({ id: "pi_123", reader_id: "tmr_123", amount_capturable: 1000 }),
+    ]);
+    expect(res.body.payments[0].capture_before).toBe(new Date(1700172800 * 1000).toISOString());
+    expect(harness.stripe.paymentIntents.retrieve).not.toHaveBeenCalled();
+  });
+
+  it("leaves out other locations for location-scoped keys", async () => {
+    const now = new Date().toISOString();
+    for (const [id, location] of [["pi_here", "tml_store"], ["pi_there", "tml_other"]]) {
+      await harness.store.saveTransaction({
+        id,
+        location_id: location,
+        amount: 1000,
+        status: "requires_capture",
+        created_at: now,
+        updated_at: now,
+      });
+    }
+
+    const res = await harness.request("store").get("/api/payments/pending-capture");
+
+    expect(res.body.payments.map((payment) => payment.id)).toEqual(["pi_here"]);
+  });
+
+  it("is empty without open payments", async () => {
+    const res = await harness.request("manager").get("/api/payments/pending-capture");
+
+    expect(res.body.payments).toEqual([]);
+  });
+});
+
+describe("receipts", () => {
+  const harness = useApp();
+
+  // Send receipt emails through transport instead of the configured one
+  function setMailTransport(transport) {
+    harness.app.locals.mailer = createMailer({ from: "receipts@localhost" }, transport);
+  }
+
+  it("returns a structured receipt", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(fixtures.succeededPaymentIntent());
+
+    const res = await harness.request("cashier").get("/api/payments/pi_123/receipt");
+
+    expect(res.status).toBe(200);
+    expect(res.body.receipt).toMatchObject({
+      receipt_number: "1234-5678",
+      merchant: { name: "Test Cafe" },
+      amount: 1000,
+      payment_method: { brand: "visa", last4: "4242", entry_mode: "Contactless" },
+      status: "paid",
+    });
+  });
+
+  it("renders text and HTML receipts", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValue(fixtures.succeededPaymentIntent());
+
+    const text = await harness.request("cashier").get("/api/payments/pi_123/receipt?format=text&width=32");
+    const html = await harness.request("cashier").get("/api/payments/pi_123/receipt?format=html");
+
+    expect(text.type).toBe("text/plain");
+    expect(text.text).toContain("VISA **** 4242");
+    expect(html.type).toBe("text/html");
+    expect(html.text).toContain("<title>Test Cafe receipt</title>");
+  });
+
+  it("uses the configured merchant name", async () => {
+    harness.app.locals.config = { ...harness.app.locals.config, receipts: { merchantName: "Harbour Bar" } };
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(fixtures.succeededPaymentIntent());
+
+    const res = await harness.request("cashier").get("/api/payments/pi_123/receipt");
+
+    expect(res.body.receipt.merchant.name).toBe("Harbour Bar");
+  });
+
+  it("has no receipt for unfinished payments", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(fixtures.authorizedPaymentIntent());
+
+    const res = await harness.request("cashier").get("/api/payments/pi_123/receipt");
+
+    expect(res.status).toBe(400);
+  });
+
+  it("emails the receipt", async () => {
+    const send = jest.fn().mockResolvedValue({ messageId: "<receipt@test>" });
+    setMailTransport({ send });
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(fixtures.succeededPaymentIntent());
+
+    const res = await harness
+      .request("cashier")
+      .post("/api/payments/pi_123/receipt/email")
+      .send({ email: "jenny@example.com" });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ status: "success", to: "jenny@example.com", message_id: "<receipt@test>" });
+    expect(send).toHaveBeenCalledWith(
+      expect.objectContaining({ to: "jenny@example.com", subject: "Your receipt from Test Cafe" })
+    );
+  });
+
+  it.each(["jenny@example.com,ops@example.com", "Jenny <jenny@example.com>", "jenny"])(
+    "rejects %s as the recipient",
+    async (email) => {
+      const send = jest.fn();
+      setMailTransport({ send });
+
+      const res = await harness.request("cashier").post("/api/payments/pi_123/receipt/email").send({ email });
+
+      expect(res.status).toBe(400);
+      expect(send).not.toHaveBeenCalled();
+    }
+  );
+
+  it("needs an address when the payment has none", async () => {
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(fixtures.succeededPaymentIntent());
+
+    const res = await harness.request("cashier").post("/api/payments/pi_123/receipt/email").send({});
+
+    expect(res.status).toBe(400);
+  });
+
+  it("reports mail failures as a bad gateway", async () => {
+    setMailTransport({ send: jest.fn().mockRejectedValue(new Error("connection refused")) });
+    harness.stripe.paymentIntents.retrieve.mockResolvedValueOnce(
+      fixtures.succeededPaymentIntent({ receipt_email: "jenny@example.com" })
+    );
+
+    const res = await harness.request("cashier").post("/api/payments/pi_123/receipt/email").send({});
+
+    expect(res.status).toBe(502);
+  });
+});
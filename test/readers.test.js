@@ -0,0 +1,351 @@
+const { useApp } = require("./helpers/app");
+const fixtures = require("./helpers/fixtures");
+const { listResult, invalidRequestError, resourceMissingError } = require("./helpers/mock-stripe");
+const readerEvents = require("../src/services/reader-events");
+const { loadConfig } = require("../src/config");
+
+describe("GET /api/readers", () => {
+  const harness = useApp();
+
+  it("lists readers with the given filters", async () => {
+    const res = await harness.request("cashier").get("/api/readers?status=online&limit=10");
+
+    expect(res.status).toBe(200);
+    expect(res.body.readers).toHaveLength(1);
+    expect(harness.stripe.terminal.readers.list).toHaveBeenCalledWith({
+      location: undefined,
+      status: "online",
+      device_type: undefined,
+      limit: 10,
+      starting_after: undefined,
+    });
+  });
+
+  it("defaults to the key's only location", async () => {
+    await harness.request("store").get("/api/readers");
+
+    expect(harness.stripe.terminal.readers.list.mock.calls[0][0].location).toBe("tml_store");
+  });
+
+  it("refuses locations outside the key's scope", async () => {
+    const res = await harness.request("store").get("/api/readers?location=tml_other");
+
+    expect(res.status).toBe(403);
+    expect(harness.stripe.terminal.readers.list).not.toHaveBeenCalled();
+  });
+
+  it("validates the status filter", async () => {
+    const res = await harness.request("cashier").get("/api/readers?status=sleeping");
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("POST /api/readers/register", () => {
+  const harness = useApp();
+  const register = (body) => harness.request("admin").post("/api/readers/register").send(body);
+
+  it("registers a physical reader at a location", async () => {
+    const res = await register({ registration_code: "puppies-plug-could", location: "tml_store", label: "Bar" });
+
+    expect(res.status).toBe(201);
+    expect(harness.stripe.terminal.readers.create).toHaveBeenCalledWith(
+      { registration_code: "puppies-plug-could", label: "Bar", location: "tml_store" },
+      {}
+    );
+  });
+
+  it("registers simulated readers at the existing simulated location", async () => {
+    harness.stripe.terminal.locations.list.mockReturnValueOnce(
+      listResult([fixtures.location(), fixtures.location({ id: "tml_sim", metadata: { simulated: "true" } })])
+    );
+
+    const res = await register({ simulated: true });
+
+    expect(res.status).toBe(201);
+    expect(harness.stripe.terminal.locations.create).not.toHaveBeenCalled();
+    expect(harness.stripe.terminal.readers.create.mock.calls[0][0]).toEqual({
+      registration_code: "simulated-wpe",
+      label: "Simulated Reader",
+      location: "tml_sim",
+    });
+  });
+
+  it("creates the simulated location when there is none", async () => {
+    await register({ simulated: true });
+
+    expect(harness.stripe.terminal.locations.create).toHaveBeenCalledWith(
+      expect.objectContaining({ metadata: { simulated: "true" } })
+    );
+    expect(harness.stripe.terminal.readers.create.mock.calls[0][0].location).toBe("tml_new");
+  });
+
+  it("requires a registration code for physical readers", async () => {
+    const res = await register({ location: "tml_store" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Registration code is required for physical readers");
+  });
+
+  it("requires a location for physical readers", async () => {
+    const res = await register({ registration_code: "puppies-plug-could" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Location is required for physical readers");
+  });
+
+  it("rejects unknown locations", async () => {
+    harness.stripe.terminal.locations.retrieve.mockRejectedValueOnce(resourceMissingError("tml_missing"));
+
+    const res = await register({ registration_code: "puppies-plug-could", location: "tml_missing" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Location not found");
+  });
+
+  it("passes Stripe's rejection of bad codes through", async () => {
+    harness.stripe.terminal.readers.create.mockRejectedValueOnce(
+      invalidRequestError("The registration code is invalid", { param: "registration_code" })
+    );
+
+    const res = await register({ registration_code: "wrong", location: "tml_store" });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ message: "The registration code is invalid", param: "registration_code" });
+  });
+
+  it("is limited to admins", async () => {
+    const res = await harness.request("manager").post("/api/readers/register").send({ simulated: true });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("POST /api/readers/register outside test mode", () => {
+  const harness = useApp({ ...loadConfig(), testMode: false });
+
+  it("only registers physical readers", async () => {
+    const simulated = await harness.request("admin").post("/api/readers/register").send({ simulated: true });
+    const physical = await harness
+      .request("admin")
+      .post("/api/readers/register")
+      .send({ registration_code: "puppies-plug-could", location: "tml_store" });
+
+    expect(simulated.status).toBe(400);
+    expect(simulated.body.message).toBe("Simulated readers are only available in test mode");
+    expect(physical.status).toBe(201);
+  });
+});
+
+describe("reader management", () => {
+  const harness = useApp();
+
+  it("returns a reader", async () => {
+    const res = await harness.request("cashier").get("/api/readers/tmr_123");
+
+    expect(res.status).toBe(200);
+    expect(res.body.reader.id).toBe("tmr_123");
+  });
+
+  it("returns 404 for unknown readers", async () => {
+    harness.stripe.terminal.readers.retrieve.mockRejectedValueOnce(resourceMissingError("tmr_missing"));
+
+    const res = await harness.request("cashier").get("/api/readers/tmr_missing");
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe("resource_missing");
+  });
+
+  it("updates the label and metadata", async () => {
+    const res = await harness
+      .request("admin")
+      .patch("/api/readers/tmr_123")
+      .send({ label: "Patio", metadata: { till: "2" } });
+
+    expect(res.status).toBe(200);
+    expect(harness.stripe.terminal.readers.update).toHaveBeenCalledWith("tmr_123", {
+      label: "Patio",
+      metadata: { till: "2" },
+    });
+  });
+
+  it("refuses to move a reader to another location", async () => {
+    const res = await harness.request("admin").patch("/api/readers/tmr_123").send({ location: "tml_other" });
+
+    expect(res.status).toBe(400);
+    expect(harness.stripe.terminal.readers.update).not.toHaveBeenCalled();
+  });
+
+  it("deletes a reader", async () => {
+    const res = await harness.request("admin").delete("/api/readers/tmr_123");
+
+    expect(res.status).toBe(200);
+    expect(res.body.reader.deleted).toBe(true);
+  });
+});
+
+describe("reader actions", () => {
+  const harness = useApp();
+
+  it("cancels the current action and tells subscribers", async () => {
+    const published = [];
+    const unsubscribe = readerEvents.subscribe("tmr_123", (event) => published.push(event.type));
+
+    const res = await harness.request("cashier").post("/api/readers/tmr_123/cancel-action");
+    unsubscribe();
+
+    expect(res.status).toBe(200);
+    expect(published).toEqual(["reader.action_canceled"]);
+  });
+
+  it("refuses actions on offline readers", async () => {
+    harness.stripe.terminal.readers.retrieve.mockResolvedValueOnce(fixtures.reader({ status: "offline" }));
+
+    const res = await harness.request("cashier").post("/api/readers/tmr_123/cancel-action");
+
+    expect(res.status).toBe(409);
+    expect(harness.stripe.terminal.readers.cancelAction).not.toHaveBeenCalled();
+  });
+
+  it("shows a cart with the computed total", async () => {
+    const res = await harness
+      .request("cashier")
+      .post("/api/readers/tmr_123/display")
+      .send({ line_items: [{ description: "Latte", amount: 450, quantity: 2 }], tax: 72 });
+
+    expect(res.status).toBe(200);
+    expect(harness.stripe.terminal.readers.setReaderDisplay.mock.calls[0][1]).toEqual({
+      type: "cart",
+      cart: {
+        currency: "usd",
+        line_items: [{ description: "Latte", amount: 450, quantity: 2 }],
+        tax: 72,
+        total: 972,
+      },
+    });
+  });
+
+  it("normalizes the cart currency", async () => {
+    const res = await harness
+      .request("cashier")
+      .post("/api/readers/tmr_123/display")
+      .send({ currency: "CAD", line_items: [{ description: "Latte", amount: 450, quantity: 1 }] });
+
+    expect(res.status).toBe(200);
+    expect(harness.stripe.terminal.readers.setReaderDisplay.mock.calls[0][1].cart.currency).toBe("cad");
+  });
+
+  it.each([
+    ["negative prices", { line_items: [{ description: "Latte", amount: -5, quantity: 1 }] }],
+    ["unsupported currencies", { currency: "zzz", line_items: [{ description: "Latte", amount: 450, quantity: 1 }] }],
+  ])("rejects carts with %s", async (_, cart) => {
+    const res = await harness.request("cashier").post("/api/readers/tmr_123/display").send(cart);
+
+    expect(res.status).toBe(400);
+    expect(harness.stripe.terminal.readers.setReaderDisplay).not.toHaveBeenCalled();
+  });
+
+  it("rejects a cart whose total does not add up", async () => {
+    const res = await harness
+      .request("cashier")
+      .post("/api/readers/tmr_123/display")
+      .send({ line_items: [{ description: "Latte", amount: 450, quantity: 2 }], total: 1000 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Total must equal the line items plus tax (900)");
+  });
+
+  it("collects inputs on the reader", async () => {
+    const inputs = [{ type: "email", custom_text: { title: "Email for your receipt" } }];
+
+    const res = await harness.request("cashier").post("/api/readers/tmr_123/collect-inputs").send({ inputs });
+
+    expect(res.status).toBe(200);
+    expect(res.body.reader.action.type).toBe("collect_inputs");
+    expect(harness.stripe.terminal.readers.collectInputs).toHaveBeenCalledWith(
+      "tmr_123",
+      { inputs, metadata: undefined },
+      {}
+    );
+  });
+
+  it("validates the input types", async () => {
+    const res = await harness
+      .request("cashier")
+      .post("/api/readers/tmr_123/collect-inputs")
+      .send({ inputs: [{ type: "retina", custom_text: { title: "Look here" } }] });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("saves a card for a customer", async () => {
+    const res = await harness
+      .request("cashier")
+      .post("/api/readers/tmr_123/process-setup-intent")
+      .send({ customer: "cus_123", customer_consent_collected: true });
+
+    expect(res.status).toBe(200);
+    expect(harness.stripe.setupIntents.create.mock.calls[0][0]).toMatchObject({
+      customer: "cus_123",
+      payment_method_types: ["card_present"],
+      usage: "off_session",
+    });
+    expect(harness.stripe.terminal.readers.processSetupIntent.mock.calls[0][1]).toEqual({
+      setup_intent: "seti_123",
+      customer_consent_collected: true,
+    });
+  });
+
+  it("requires the customer's consent to save a card", async () => {
+    const res = await harness
+      .request("cashier")
+      .post("/api/readers/tmr_123/process-setup-intent")
+      .send({ customer: "cus_123", customer_consent_collected: false });
+
+    expect(res.status).toBe(400);
+    expect(harness.stripe.setupIntents.create).not.toHaveBeenCalled();
+  });
+});
+
+describe("GET /api/readers/:readerId/events", () => {
+  const harness = useApp();
+
+  // Read the stream until it contains text, then hang up
+  function readStreamUntil(text) {
+    return (res, callback) => {
+      let body = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        body += chunk;
+        if (body.includes(text)) {
+          res.destroy();
+          callback(null, body);
+        }
+      });
+    };
+  }
+
+  it("replays buffered events after Last-Event-ID", async () => {
+    const before = readerEvents.publish("tmr_123", "reader.action_started", { step: 1 });
+    readerEvents.publish("tmr_123", "reader.action_succeeded", { step: 2 });
+
+    const res = await harness
+      .request("cashier")
+      .get("/api/readers/tmr_123/events")
+      .set("Last-Event-ID", before.id)
+      .buffer(true)
+      .parse(readStreamUntil("reader.action_succeeded"));
+
+    expect(res.headers["content-type"]).toMatch(/text\/event-stream/);
+    expect(res.body).toContain('event: reader.action_succeeded\ndata: {"step":2}');
+    expect(res.body).not.toContain("reader.action_started");
+  });
+
+  it("returns 404 before streaming for unknown readers", async () => {
+    harness.stripe.terminal.readers.retrieve.mockRejectedValueOnce(resourceMissingError("tmr_missing"));
+
+    const res = await harness.request("cashier").get("/api/readers/tmr_missing/events");
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,22 @@
+// Environment for the app under test; read when its modules load, so this
+// runs before any test file requires them
+process.env.NODE_ENV = "test";
+process.env.STORAGE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_unused";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_test_platform";
+process.env.STRIPE_CONNECT_WEBHOOK_SECRET = "whsec_test_connect";
+process.env.STRIPE_TENANTS = JSON.stringify({ "harbour-bar": "acct_harbour" });
+process.env.API_KEYS = JSON.stringify([
+  { key: "cashier-key-0000000000", role: "cashier" },
+  { key: "manager-key-0000000000", role: "manager" },
+  { key: "admin-key-000000000000", role: "admin" },
+  { key: "store-key-000000000000", role: "admin", locations: ["tml_store"] },
+  { key: "stores-key-00000000000", role: "manager", locations: ["tml_store", "tml_closed", "tml_harbour", "tml_mall"] },
+  { key: "tenant-key-00000000000", role: "manager", account: "acct_harbour" },
+]);
+delete process.env.AUTH_DISABLED;
+delete process.env.STRIPE_BACKEND;
+delete process.env.EMULATOR_WEBHOOK_URL;
+delete process.env.AUTO_CAPTURE_AFTER_MINUTES;
+delete process.env.CANCEL_UNCAPTURED_AFTER_HOURS;
+process.env.LOG_LEVEL = "silent";
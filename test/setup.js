@@ -0,0 +1,10 @@
+const { configureLogger } = require("../src/logging");
+
+// Routes log every error they pass on; keep the test output readable
+beforeEach(() => {
+  configureLogger({ level: "silent" });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
@@ -0,0 +1,73 @@
+const { useApp } = require("./helpers/app");
+const { createShutdown } = require("../src/shutdown");
+const readerEvents = require("../src/services/reader-events");
+const { logger } = require("../src/logging");
+
+describe("graceful shutdown", () => {
+  const harness = useApp();
+  let server;
+  let sweeper;
+
+  beforeEach(() => {
+    harness.app.locals.draining = false;
+    server = harness.app.listen(0);
+    sweeper = { stop: jest.fn().mockResolvedValue() };
+    jest.spyOn(harness.store, "close");
+  });
+
+  afterEach(() => {
+    readerEvents.publish("tmr_123", "reader.action_canceled", {});
+    server.close();
+  });
+
+  it("waits for reader actions to finish before closing", async () => {
+    readerEvents.publish("tmr_123", "reader.action_started", {});
+    const shutdown = createShutdown({ app: harness.app, server, sweeper, timeoutMs: 10000 });
+
+    const done = shutdown();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(sweeper.stop).not.toHaveBeenCalled();
+    readerEvents.publish("tmr_123", "reader.action_succeeded", {});
+    await done;
+
+    expect(sweeper.stop).toHaveBeenCalled();
+    expect(harness.store.close).toHaveBeenCalled();
+    expect(server.listening).toBe(false);
+  });
+
+  it("gives up on reader actions after the timeout", async () => {
+    readerEvents.publish("tmr_123", "reader.action_started", {});
+    jest.spyOn(logger, "warn");
+
+    await createShutdown({ app: harness.app, server, sweeper, timeoutMs: 20 })();
+
+    expect(logger.warn).toHaveBeenCalledWith("Shutting down with reader actions in progress", {
+      reader_ids: ["tmr_123"],
+    });
+    expect(harness.store.close).toHaveBeenCalled();
+  });
+
+  it("runs once however often it is asked", async () => {
+    const shutdown = createShutdown({ app: harness.app, server, sweeper, timeoutMs: 0 });
+
+    await Promise.all([shutdown(), shutdown()]);
+
+    expect(sweeper.stop).toHaveBeenCalledTimes(1);
+  });
+
+  it("refuses new reader actions while draining", async () => {
+    harness.app.locals.draining = true;
+
+    const processPayment = await harness
+      .request("cashier")
+      .post("/api/payments/process-payment/tmr_123")
+      .send({ payment_intent: "pi_123" });
+    const cancelAction = await harness.request("cashier").post("/api/readers/tmr_123/cancel-action");
+
+    expect(processPayment.status).toBe(503);
+    expect(processPayment.headers["retry-after"]).toBe("5");
+    expect(harness.stripe.terminal.readers.processPaymentIntent).not.toHaveBeenCalled();
+    expect(cancelAction.status).toBe(200);
+  });
+});
@@ -0,0 +1,198 @@
+const { createStore } = require("../src/storage");
+
+// The same contract for every driver; SQLite runs on an in-memory database
+describe.each([
+  ["memory", { driver: "memory" }],
+  ["sqlite", { driver: "sqlite", filename: ":memory:" }],
+])("%s store", (_, options) => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore(options);
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  function transaction(id, overrides = {}) {
+    return store.saveTransaction({
+      id,
+      account_id: null,
+      reader_id: "tmr_123",
+      location_id: "tml_store",
+      amount: 1000,
+      currency: "usd",
+      status: "succeeded",
+      created_at: "2026-01-01T00:00:00.000Z",
+      updated_at: "2026-01-01T00:00:00.000Z",
+      ...overrides,
+    });
+  }
+
+  const ids = (page) => page.data.map((tx) => tx.id);
+
+  describe("transactions", () => {
+    it("merges saved fields into the existing transaction", async () => {
+      await transaction("pi_1");
+
+      await store.saveTransaction({ id: "pi_1", status: "canceled" });
+
+      expect(await store.getTransaction("pi_1")).toMatchObject({
+        id: "pi_1",
+        amount: 1000,
+        amount_refunded: 0,
+        status: "canceled",
+      });
+      expect(await store.getTransaction("pi_missing")).toBeNull();
+    });
+
+    describe("listTransactions", () => {
+      beforeEach(async () => {
+        await transaction("pi_1", { created_at: "2026-01-01T00:00:00.000Z" });
+        await transaction("pi_2", { created_at: "2026-01-02T00:00:00.000Z", status: "requires_capture" });
+        await transaction("pi_3", { created_at: "2026-01-03T00:00:00.000Z", reader_id: "tmr_other" });
+        await transaction("pi_4", { created_at: "2026-01-03T00:00:00.000Z", location_id: "tml_other" });
+        await transaction("pi_5", { created_at: "2026-01-04T00:00:00.000Z", account_id: "acct_harbour" });
+      });
+
+      it("lists newest first, breaking ties by ID", async () => {
+        expect(ids(await store.listTransactions())).toEqual(["pi_5", "pi_4", "pi_3", "pi_2", "pi_1"]);
+      });
+
+      it("filters by account, with null for the platform account", async () => {
+        expect(ids(await store.listTransactions({ accountId: "acct_harbour" }))).toEqual(["pi_5"]);
+        expect(ids(await store.listTransactions({ accountId: null }))).toEqual(["pi_4", "pi_3", "pi_2", "pi_1"]);
+      });
+
+      it("filters by reader and locations", async () => {
+        expect(ids(await store.listTransactions({ readerId: "tmr_other" }))).toEqual(["pi_3"]);
+        expect(ids(await store.listTransactions({ locationIds: ["tml_other"] }))).toEqual(["pi_4"]);
+        expect(ids(await store.listTransactions({ locationIds: [] }))).toEqual([]);
+      });
+
+      it("filters by one status or several", async () => {
+        expect(ids(await store.listTransactions({ status: "requires_capture" }))).toEqual(["pi_2"]);
+        expect(ids(await store.listTransactions({ status: ["requires_capture", "canceled"] }))).toEqual(["pi_2"]);
+      });
+
+      it("filters by creation time, inclusively", async () => {
+        const page = await store.listTransactions({
+          createdFrom: "2026-01-02T00:00:00.000Z",
+          createdTo: "2026-01-03T00:00:00.000Z",
+        });
+
+        expect(ids(page)).toEqual(["pi_4", "pi_3", "pi_2"]);
+      });
+
+      it("pages with a cursor, including across equal creation times", async () => {
+        const first = await store.listTransactions({ limit: 2 });
+        const second = await store.listTransactions({ limit: 2, cursor: first.next_cursor });
+        const last = await store.listTransactions({ limit: 2, cursor: second.next_cursor });
+
+        expect(ids(first)).toEqual(["pi_5", "pi_4"]);
+        expect(ids(second)).toEqual(["pi_3", "pi_2"]);
+        expect(ids(last)).toEqual(["pi_1"]);
+        expect([first.has_more, second.has_more, last.has_more]).toEqual([true, true, false]);
+        expect(last.next_cursor).toBeNull();
+      });
+
+      it("rejects cursors it did not issue", async () => {
+        await expect(store.listTransactions({ cursor: "not-a-cursor" })).rejects.toMatchObject({
+          code: "invalid_cursor",
+        });
+      });
+    });
+
+    it("keeps each transaction's events in order", async () => {
+      await store.addTransactionEvent({ transaction_id: "pi_1", type: "payment_intent.created", created_at: "t1" });
+      await store.addTransactionEvent({ transaction_id: "pi_2", type: "payment_intent.created", created_at: "t2" });
+      await store.addTransactionEvent({
+        transaction_id: "pi_1",
+        type: "payment_intent.succeeded",
+        status: "succeeded",
+        created_at: "t3",
+      });
+
+      const events = await store.listTransactionEvents("pi_1");
+
+      expect(events.map((event) => event.type)).toEqual(["payment_intent.created", "payment_intent.succeeded"]);
+      expect(events[1]).toMatchObject({ status: "succeeded", created_at: "t3" });
+    });
+  });
+
+  describe("idempotency keys", () => {
+    const created = "2026-01-01T00:00:00.000Z";
+    const leaseEnd = "2026-01-01T00:01:00.000Z";
+    const later = "2026-01-01T00:02:00.000Z";
+
+    function claim(createdAt = created, expiresAt = leaseEnd) {
+      return store.createIdempotencyKey({
+        key: "key-1",
+        fingerprint: "abc",
+        status: "in_progress",
+        created_at: createdAt,
+        expires_at: expiresAt,
+      });
+    }
+
+    it("claims a key once until it expires", async () => {
+      expect(await claim()).toBe(true);
+      expect(await claim()).toBe(false);
+      expect(await store.getIdempotencyKey("key-1", created)).toMatchObject({
+        fingerprint: "abc",
+        status: "in_progress",
+      });
+
+      expect(await store.getIdempotencyKey("key-1", later)).toBeNull();
+      expect(await claim(later, "2026-01-01T00:03:00.000Z")).toBe(true);
+    });
+
+    it("saves the response and extends the expiry", async () => {
+      await claim();
+
+      await store.saveIdempotencyKey({
+        key: "key-1",
+        status: "completed",
+        response_status: 201,
+        response_body: { status: "success", refund: { id: "re_123" } },
+        expires_at: "2026-01-02T00:00:00.000Z",
+      });
+
+      expect(await store.getIdempotencyKey("key-1", later)).toMatchObject({
+        fingerprint: "abc",
+        status: "completed",
+        response_status: 201,
+        response_body: { status: "success", refund: { id: "re_123" } },
+      });
+    });
+
+    it("forgets deleted keys", async () => {
+      await claim();
+
+      await store.deleteIdempotencyKey("key-1");
+
+      expect(await store.getIdempotencyKey("key-1", created)).toBeNull();
+      expect(await claim()).toBe(true);
+    });
+  });
+
+  it("merges webhook event progress", async () => {
+    await store.saveWebhookEvent({
+      id: "evt_1",
+      type: "payment_intent.succeeded",
+      status: "processing",
+      received_at: "t1",
+    });
+
+    await store.saveWebhookEvent({ id: "evt_1", status: "processed", processed_at: "t2" });
+
+    expect(await store.getWebhookEvent("evt_1")).toMatchObject({
+      type: "payment_intent.succeeded",
+      status: "processed",
+      received_at: "t1",
+      processed_at: "t2",
+    });
+    expect(await store.getWebhookEvent("evt_missing")).toBeNull();
+  });
+});
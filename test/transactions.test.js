@@ -0,0 +1,96 @@
+const { useApp } = require("./helpers/app");
+const fixtures = require("./helpers/fixtures");
+
+describe("transactions", () => {
+  const harness = useApp();
+  const recordPaymentIntent = (...args) => harness.app.locals.ledger.recordPaymentIntent(...args);
+
+  beforeEach(async () => {
+    await recordPaymentIntent(fixtures.paymentIntent({ id: "pi_old", created: 1700000000 }), "created");
+    await recordPaymentIntent(
+      fixtures.authorizedPaymentIntent({ id: "pi_new", created: 1700086400, metadata: { readerId: "tmr_456" } }),
+      "authorized"
+    );
+    await recordPaymentIntent(fixtures.paymentIntent({ id: "pi_connected" }), "created", { account: "acct_harbour" });
+  });
+
+  it("lists the account's transactions newest first", async () => {
+    const res = await harness.request("manager").get("/api/transactions");
+
+    expect(res.status).toBe(200);
+    expect(res.body.transactions.map((tx) => tx.id)).toEqual(["pi_new", "pi_old"]);
+    expect(res.body.has_more).toBe(false);
+  });
+
+  it("filters by reader, status and date", async () => {
+    const byReader = await harness.request("manager").get("/api/transactions?reader=tmr_456");
+    const byStatus = await harness.request("manager").get("/api/transactions?status=requires_payment_method");
+    const byDate = await harness.request("manager").get("/api/transactions?to=2023-11-15T00:00:00Z");
+
+    expect(byReader.body.transactions.map((tx) => tx.id)).toEqual(["pi_new"]);
+    expect(byStatus.body.transactions.map((tx) => tx.id)).toEqual(["pi_old"]);
+    expect(byDate.body.transactions.map((tx) => tx.id)).toEqual(["pi_old"]);
+  });
+
+  it("pages with a cursor", async () => {
+    const first = await harness.request("manager").get("/api/transactions?limit=1");
+    const second = await harness.request("manager").get(`/api/transactions?limit=1&cursor=${first.body.next_cursor}`);
+
+    expect(first.body.has_more).toBe(true);
+    expect(second.body.transactions.map((tx) => tx.id)).toEqual(["pi_old"]);
+    expect(second.body.next_cursor).toBeNull();
+  });
+
+  it("rejects bad dates and cursors", async () => {
+    const badDate = await harness.request("manager").get("/api/transactions?from=yesterday");
+    const badCursor = await harness.request("manager").get("/api/transactions?cursor=nonsense");
+
+    expect(badDate.status).toBe(400);
+    expect(badCursor.status).toBe(400);
+  });
+
+  it("keeps connected accounts' transactions separate", async () => {
+    const res = await harness.request("tenant").get("/api/transactions");
+
+    expect(res.body.transactions.map((tx) => tx.id)).toEqual(["pi_connected"]);
+  });
+
+  describe("with a location-scoped key", () => {
+    beforeEach(async () => {
+      await recordPaymentIntent(fixtures.paymentIntent({ id: "pi_elsewhere", metadata: { location: "tml_other" } }), "created");
+    });
+
+    it("lists only transactions taken at the key's locations", async () => {
+      const res = await harness.request("store").get("/api/transactions");
+
+      expect(res.body.transactions.map((tx) => tx.id)).toEqual(["pi_old"]);
+      expect(res.body.transactions[0].location_id).toBe("tml_store");
+    });
+
+    it("hides transactions from other locations", async () => {
+      const res = await harness.request("store").get("/api/transactions/pi_elsewhere");
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  it("returns a transaction with its history", async () => {
+    const res = await harness.request("manager").get("/api/transactions/pi_new");
+
+    expect(res.status).toBe(200);
+    expect(res.body.transaction).toMatchObject({ id: "pi_new", reader_id: "tmr_456", status: "requires_capture" });
+    expect(res.body.transaction.events.map((event) => event.type)).toEqual(["authorized"]);
+  });
+
+  it("hides other accounts' transactions", async () => {
+    const res = await harness.request("manager").get("/api/transactions/pi_connected");
+
+    expect(res.status).toBe(404);
+  });
+
+  it("is limited to managers", async () => {
+    const res = await harness.request("cashier").get("/api/transactions");
+
+    expect(res.status).toBe(403);
+  });
+});
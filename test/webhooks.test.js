@@ -0,0 +1,197 @@
+const Stripe = require("stripe");
+const { useApp } = require("./helpers/app");
+const fixtures = require("./helpers/fixtures");
+const { PROCESSING_TIMEOUT_MS, registerHandler } = require("../src/webhooks/registry");
+const readerEvents = require("../src/services/reader-events");
+
+function stripeEvent(type, object, overrides = {}) {
+  return {
+    id: `evt_${Math.random().toString(36).slice(2)}`,
+    object: "event",
+    type,
+    created: 1700000000,
+    livemode: false,
+    data: { object },
+    ...overrides,
+  };
+}
+
+describe("POST /api/payments/webhook", () => {
+  const harness = useApp();
+
+  function deliver(event, secret = process.env.STRIPE_WEBHOOK_SECRET) {
+    const payload = JSON.stringify(event);
+    const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+    return harness
+      .request(null)
+      .post("/api/payments/webhook")
+      .set("Content-Type", "application/json")
+      .set("Stripe-Signature", signature)
+      .send(payload);
+  }
+
+  it("records payment updates in the ledger", async () => {
+    const res = await deliver(stripeEvent("payment_intent.amount_capturable_updated", fixtures.authorizedPaymentIntent()));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true, duplicate: false });
+    expect(await harness.store.getTransaction("pi_123")).toMatchObject({
+      status: "requires_capture",
+      reader_id: "tmr_123",
+    });
+    expect((await harness.store.listTransactionEvents("pi_123"))[0]).toMatchObject({
+      type: "payment_intent.amount_capturable_updated",
+      source: "webhook",
+    });
+  });
+
+  it("ignores events older than the last one applied", async () => {
+    await deliver(stripeEvent("payment_intent.payment_failed", fixtures.paymentIntent(), { created: 1700000100 }));
+    await deliver(
+      stripeEvent("payment_intent.amount_capturable_updated", fixtures.authorizedPaymentIntent(), { created: 1700000050 })
+    );
+
+    expect(await harness.store.getTransaction("pi_123")).toMatchObject({
+      status: "requires_payment_method",
+      last_event_at: new Date(1700000100 * 1000).toISOString(),
+    });
+    expect((await harness.store.listTransactionEvents("pi_123")).map((event) => event.type)).toEqual([
+      "payment_intent.payment_failed",
+      "payment_intent.amount_capturable_updated",
+    ]);
+  });
+
+  it("never moves a succeeded payment back to requires_capture", async () => {
+    await deliver(stripeEvent("payment_intent.succeeded", fixtures.succeededPaymentIntent(), { created: 1700000100 }));
+    await deliver(
+      stripeEvent("payment_intent.amount_capturable_updated", fixtures.authorizedPaymentIntent(), { created: 1700000100 })
+    );
+
+    expect((await harness.store.getTransaction("pi_123")).status).toBe("succeeded");
+  });
+
+  it("accepts events signed with the Connect secret", async () => {
+    const event = stripeEvent("payment_intent.succeeded", fixtures.succeededPaymentIntent(), {
+      account: "acct_harbour",
+    });
+
+    const res = await deliver(event, process.env.STRIPE_CONNECT_WEBHOOK_SECRET);
+
+    expect(res.status).toBe(200);
+    expect((await harness.store.getTransaction("pi_123")).account_id).toBe("acct_harbour");
+  });
+
+  it("tells the reader's subscribers about the payment", async () => {
+    const published = [];
+    const unsubscribe = readerEvents.subscribe("tmr_123", (event) => published.push(event));
+
+    await deliver(stripeEvent("payment_intent.payment_failed", fixtures.paymentIntent()));
+    unsubscribe();
+
+    expect(published).toHaveLength(1);
+    expect(published[0].data).toMatchObject({ event: "payment_intent.payment_failed", payment_intent: { id: "pi_123" } });
+  });
+
+  it("rejects events with a bad signature", async () => {
+    const res = await deliver(stripeEvent("payment_intent.succeeded", fixtures.succeededPaymentIntent()), "whsec_wrong");
+
+    expect(res.status).toBe(400);
+    expect(res.text).toMatch(/^Webhook Error:/);
+    expect(await harness.store.getTransaction("pi_123")).toBeNull();
+  });
+
+  it("rejects unsigned events", async () => {
+    const res = await harness
+      .request(null)
+      .post("/api/payments/webhook")
+      .set("Content-Type", "application/json")
+      .send(JSON.stringify(stripeEvent("payment_intent.succeeded", fixtures.succeededPaymentIntent())));
+
+    expect(res.status).toBe(400);
+  });
+
+  it("acknowledges redelivered events without handling them again", async () => {
+    const event = stripeEvent("charge.dispute.created", {
+      id: "dp_123",
+      object: "dispute",
+      amount: 1000,
+      payment_intent: "pi_123",
+      status: "needs_response",
+    });
+
+    await deliver(event);
+    const res = await deliver(event);
+
+    expect(res.body).toEqual({ received: true, duplicate: true });
+    expect(await harness.store.listTransactionEvents("pi_123")).toHaveLength(1);
+  });
+
+  it("acknowledges event types without handlers", async () => {
+    const event = stripeEvent("customer.created", fixtures.customer());
+
+    const res = await deliver(event);
+
+    expect(res.status).toBe(200);
+    expect(await harness.store.getWebhookEvent(event.id)).toMatchObject({ status: "ignored" });
+  });
+
+  it("answers 500 when a handler fails, so Stripe retries", async () => {
+    registerHandler("test_helpers.test_clock.ready", async () => {
+      throw new Error("ledger unavailable");
+    });
+    const event = stripeEvent("test_helpers.test_clock.ready", { id: "clock_123" });
+
+    const res = await deliver(event);
+
+    expect(res.status).toBe(500);
+    expect(res.body.message).toBe("Webhook handler failed");
+    expect(await harness.store.getWebhookEvent(event.id)).toMatchObject({ status: "failed" });
+  });
+
+  it("fails the event when the ledger cannot record it", async () => {
+    jest.spyOn(harness.store, "saveTransaction").mockRejectedValueOnce(new Error("disk full"));
+    const event = stripeEvent("payment_intent.succeeded", fixtures.succeededPaymentIntent());
+
+    const res = await deliver(event);
+
+    expect(res.status).toBe(500);
+    expect(await harness.store.getWebhookEvent(event.id)).toMatchObject({ status: "failed" });
+
+    const retry = await deliver(event);
+
+    expect(retry.body).toEqual({ received: true, duplicate: false });
+    expect(await harness.store.getTransaction("pi_123")).toMatchObject({ status: "succeeded" });
+  });
+
+  describe("events left processing", () => {
+    const event = stripeEvent("payment_intent.succeeded", fixtures.succeededPaymentIntent());
+
+    function leftProcessing(ageMs) {
+      return harness.store.saveWebhookEvent({
+        id: event.id,
+        type: event.type,
+        status: "processing",
+        received_at: new Date(Date.now() - ageMs).toISOString(),
+      });
+    }
+
+    it("are not acknowledged while another delivery may still be handling them", async () => {
+      await leftProcessing(1000);
+
+      const res = await deliver(event);
+
+      expect(res.status).toBe(409);
+      expect(await harness.store.getTransaction("pi_123")).toBeNull();
+    });
+
+    it("are handled again once abandoned", async () => {
+      await leftProcessing(PROCESSING_TIMEOUT_MS + 1000);
+
+      const res = await deliver(event);
+
+      expect(res.body).toEqual({ received: true, duplicate: false });
+      expect(await harness.store.getWebhookEvent(event.id)).toMatchObject({ status: "processed" });
+      expect(await harness.store.getTransaction("pi_123")).toMatchObject({ status: "succeeded" });
+    });
+  });
+});